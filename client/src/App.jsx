@@ -1,8 +1,14 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route, Link } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Link, useNavigate } from 'react-router-dom';
 import ErrorBoundary from './components/ErrorBoundary';
 import Button from './components/Button';
 import LoginForm from './components/LoginForm';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
+import VerifyEmail from './components/VerifyEmail';
+import Bookmarks from './components/Bookmarks';
+import SearchBox from './components/SearchBox';
+import SearchResults from './components/SearchResults';
 import './App.css';
 
 // Dashboard component
@@ -37,7 +43,12 @@ const Dashboard = () => {
         {posts.map(post => (
           <div key={post._id} className="post-item">
             <h3>{post.title}</h3>
-            <p>{post.content}</p>
+            {post.contentHtml ? (
+              // Rendered and sanitized by the server
+              <div className="post-content" dangerouslySetInnerHTML={{ __html: post.contentHtml }} />
+            ) : (
+              <p>{post.content}</p>
+            )}
             <small>By: {post.author?.name}</small>
           </div>
         ))}
@@ -66,19 +77,25 @@ const ErrorTestComponent = () => {
 };
 
 // Navigation component
-const Navigation = () => (
-  <nav className="navigation">
-    <div className="nav-brand">
-      <Link to="/">MERN App</Link>
-    </div>
-    <ul className="nav-links">
-      <li><Link to="/">Home</Link></li>
-      <li><Link to="/login">Login</Link></li>
-      <li><Link to="/dashboard">Dashboard</Link></li>
-      <li><Link to="/error-test">Error Test</Link></li>
-    </ul>
-  </nav>
-);
+const Navigation = () => {
+  const navigate = useNavigate();
+
+  return (
+    <nav className="navigation">
+      <div className="nav-brand">
+        <Link to="/">MERN App</Link>
+      </div>
+      <SearchBox onSearch={query => navigate(`/search?q=${encodeURIComponent(query)}`)} />
+      <ul className="nav-links">
+        <li><Link to="/">Home</Link></li>
+        <li><Link to="/login">Login</Link></li>
+        <li><Link to="/dashboard">Dashboard</Link></li>
+        <li><Link to="/bookmarks">Bookmarks</Link></li>
+        <li><Link to="/error-test">Error Test</Link></li>
+      </ul>
+    </nav>
+  );
+};
 
 // Home component
 const Home = () => (
@@ -105,7 +122,12 @@ function App() {
             <Routes>
               <Route path="/" element={<Home />} />
               <Route path="/login" element={<LoginForm />} />
+              <Route path="/forgot-password" element={<ForgotPassword />} />
+              <Route path="/reset-password" element={<ResetPassword />} />
+              <Route path="/verify-email" element={<VerifyEmail />} />
               <Route path="/dashboard" element={<Dashboard />} />
+              <Route path="/bookmarks" element={<Bookmarks />} />
+              <Route path="/search" element={<SearchResults />} />
               <Route path="/error-test" element={<ErrorTestComponent />} />
             </Routes>
           </main>
@@ -0,0 +1,133 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import Button from './Button';
+import { bookmarksApi } from '../utils/api';
+import './Bookmarks.css';
+
+const ALL_FOLDERS = '__all__';
+const NO_FOLDER = '';
+
+const Bookmarks = () => {
+  const [bookmarks, setBookmarks] = useState([]);
+  const [folders, setFolders] = useState([]);
+  const [folder, setFolder] = useState(ALL_FOLDERS);
+  const [page, setPage] = useState(1);
+  const [pagination, setPagination] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchBookmarks = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const params = { page };
+      if (folder !== ALL_FOLDERS) {
+        params.folder = folder;
+      }
+
+      const [bookmarksResponse, foldersResponse] = await Promise.all([
+        bookmarksApi.getBookmarks(params),
+        bookmarksApi.getFolders(),
+      ]);
+
+      setBookmarks(bookmarksResponse.data.bookmarks);
+      setPagination(bookmarksResponse.data.pagination);
+      setFolders(foldersResponse.data.folders);
+    } catch (err) {
+      setError(err.message || 'Could not load bookmarks');
+    } finally {
+      setLoading(false);
+    }
+  }, [folder, page]);
+
+  useEffect(() => {
+    fetchBookmarks();
+  }, [fetchBookmarks]);
+
+  const handleFolderChange = (e) => {
+    setFolder(e.target.value);
+    setPage(1);
+  };
+
+  const handleRemove = async (postId) => {
+    try {
+      await bookmarksApi.removeBookmark(postId);
+      // Step back a page when the last bookmark on it was removed
+      if (bookmarks.length === 1 && page > 1) {
+        setPage(page - 1);
+      } else {
+        fetchBookmarks();
+      }
+    } catch (err) {
+      setError(err.message || 'Could not remove bookmark');
+    }
+  };
+
+  return (
+    <div className="bookmarks">
+      <h2>Bookmarks</h2>
+
+      <div className="bookmarks-toolbar">
+        <label htmlFor="bookmark-folder">Folder</label>
+        <select id="bookmark-folder" value={folder} onChange={handleFolderChange}>
+          <option value={ALL_FOLDERS}>All bookmarks</option>
+          <option value={NO_FOLDER}>Not in a folder</option>
+          {folders.map(item => (
+            <option key={item.name} value={item.name}>
+              {item.name} ({item.count})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="error-message" role="alert" data-testid="error-message">
+          {error}
+        </div>
+      )}
+
+      {loading && <p>Loading bookmarks...</p>}
+
+      {!loading && !error && bookmarks.length === 0 && (
+        <p className="bookmarks-empty">You haven't saved any posts yet.</p>
+      )}
+
+      {!loading && bookmarks.length > 0 && (
+        <div className="posts-list">
+          {bookmarks.map(bookmark => (
+            <div key={bookmark._id} className="post-item bookmark-item" data-testid="bookmark-item">
+              <div>
+                {bookmark.post ? (
+                  <>
+                    <h3>{bookmark.post.title}</h3>
+                    {bookmark.post.excerpt && <p>{bookmark.post.excerpt}</p>}
+                    <small>By: {bookmark.post.author?.username}</small>
+                  </>
+                ) : (
+                  <h3>This post is no longer available</h3>
+                )}
+                {bookmark.folder && <small className="bookmark-folder">{bookmark.folder}</small>}
+              </div>
+              <Button variant="secondary" size="sm" onClick={() => handleRemove(bookmark.postId)}>
+                Remove
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {pagination && pagination.pages > 1 && (
+        <div className="bookmarks-pagination">
+          <Button size="sm" disabled={!pagination.hasPrev} onClick={() => setPage(page - 1)}>
+            Previous
+          </Button>
+          <span>Page {pagination.current} of {pagination.pages}</span>
+          <Button size="sm" disabled={!pagination.hasNext} onClick={() => setPage(page + 1)}>
+            Next
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Bookmarks;
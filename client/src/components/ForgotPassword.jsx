@@ -0,0 +1,97 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Button from './Button';
+import { authApi } from '../utils/api';
+import { validateEmail } from '../utils/validation';
+import './LoginForm.css';
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState('');
+  const [fieldError, setFieldError] = useState('');
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!email) {
+      setFieldError('Email is required');
+      return;
+    }
+    if (!validateEmail(email)) {
+      setFieldError('Please enter a valid email address');
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authApi.forgotPassword(email);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (message) {
+    return (
+      <div className="login-form">
+        <h2>Check your email</h2>
+        <div className="success-message" role="status" data-testid="success-message">
+          {message}
+        </div>
+        <Link to="/login">Back to login</Link>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="login-form">
+      <h2>Forgot Password</h2>
+
+      {error && (
+        <div className="error-message" data-testid="error-message" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="email">Email</label>
+        <input
+          type="email"
+          id="email"
+          name="email"
+          value={email}
+          onChange={(e) => {
+            setEmail(e.target.value);
+            setFieldError('');
+          }}
+          className={fieldError ? 'error' : ''}
+          disabled={loading}
+          placeholder="Email"
+          data-testid="email-input"
+          aria-describedby={fieldError ? 'email-error' : undefined}
+        />
+        {fieldError && (
+          <span id="email-error" className="field-error" data-testid="email-error">
+            {fieldError}
+          </span>
+        )}
+      </div>
+
+      <Button
+        type="submit"
+        disabled={loading}
+        className="login-button"
+        data-testid="forgot-password-button"
+      >
+        {loading ? 'Sending...' : 'Send reset link'}
+      </Button>
+    </form>
+  );
+};
+
+export default ForgotPassword;
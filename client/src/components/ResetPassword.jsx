@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Button from './Button';
+import { authApi } from '../utils/api';
+import { validatePassword } from '../utils/validation';
+import './LoginForm.css';
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [formData, setFormData] = useState({
+    password: '',
+    confirmPassword: '',
+  });
+  const [errors, setErrors] = useState({});
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({
+      ...prev,
+      [name]: value
+    }));
+
+    if (errors[name]) {
+      setErrors(prev => ({
+        ...prev,
+        [name]: ''
+      }));
+    }
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!validatePassword(formData.password)) {
+      newErrors.password = 'Password must be at least 6 characters with letters and numbers';
+    }
+
+    if (formData.confirmPassword !== formData.password) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    return newErrors;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationErrors = validateForm();
+    setErrors(validationErrors);
+    if (Object.keys(validationErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await authApi.resetPassword(token, formData.password);
+      setMessage(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not reset password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (!token) {
+    return (
+      <div className="login-form">
+        <h2>Reset Password</h2>
+        <div className="error-message" role="alert">
+          This reset link is invalid. Please request a new one.
+        </div>
+        <Link to="/forgot-password">Request a new link</Link>
+      </div>
+    );
+  }
+
+  if (message) {
+    return (
+      <div className="login-form">
+        <h2>Password reset</h2>
+        <div className="success-message" role="status" data-testid="success-message">
+          {message}
+        </div>
+        <Link to="/login">Go to login</Link>
+      </div>
+    );
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="login-form">
+      <h2>Reset Password</h2>
+
+      {error && (
+        <div className="error-message" data-testid="error-message" role="alert">
+          {error}
+        </div>
+      )}
+
+      <div className="form-group">
+        <label htmlFor="password">New password</label>
+        <input
+          type="password"
+          id="password"
+          name="password"
+          value={formData.password}
+          onChange={handleChange}
+          className={errors.password ? 'error' : ''}
+          disabled={loading}
+          placeholder="New password"
+          data-testid="password-input"
+          aria-describedby={errors.password ? 'password-error' : undefined}
+        />
+        {errors.password && (
+          <span id="password-error" className="field-error" data-testid="password-error">
+            {errors.password}
+          </span>
+        )}
+      </div>
+
+      <div className="form-group">
+        <label htmlFor="confirmPassword">Confirm password</label>
+        <input
+          type="password"
+          id="confirmPassword"
+          name="confirmPassword"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          className={errors.confirmPassword ? 'error' : ''}
+          disabled={loading}
+          placeholder="Confirm password"
+          data-testid="confirm-password-input"
+          aria-describedby={errors.confirmPassword ? 'confirm-password-error' : undefined}
+        />
+        {errors.confirmPassword && (
+          <span id="confirm-password-error" className="field-error" data-testid="confirm-password-error">
+            {errors.confirmPassword}
+          </span>
+        )}
+      </div>
+
+      <Button
+        type="submit"
+        disabled={loading}
+        className="login-button"
+        data-testid="reset-password-button"
+      >
+        {loading ? 'Resetting...' : 'Reset password'}
+      </Button>
+    </form>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { searchApi } from '../utils/api';
+import './SearchBox.css';
+
+const SUGGESTION_GROUPS = [
+  { key: 'posts', label: 'Posts', text: item => item.title },
+  { key: 'tags', label: 'Tags', text: item => item.tag },
+  { key: 'categories', label: 'Categories', text: item => item.name },
+  { key: 'users', label: 'Authors', text: item => item.username },
+];
+
+const SearchBox = ({ onSearch, debounceMs = 300, minLength = 2, limit = 5 }) => {
+  const [query, setQuery] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [open, setOpen] = useState(false);
+
+  // Ask for suggestions once the user stops typing
+  useEffect(() => {
+    const prefix = query.trim();
+    if (prefix.length < minLength) {
+      setSuggestions(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await searchApi.autocomplete({ q: prefix, limit });
+        if (!cancelled) {
+          setSuggestions(response.data.suggestions);
+        }
+      } catch (err) {
+        // Suggestions are optional; searching still works without them
+        if (!cancelled) {
+          setSuggestions(null);
+        }
+      }
+    }, debounceMs);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, debounceMs, minLength, limit]);
+
+  const search = (value) => {
+    const trimmed = value.trim();
+    if (!trimmed) return;
+
+    setQuery(trimmed);
+    setOpen(false);
+    onSearch(trimmed);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    search(query);
+  };
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setOpen(true);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  const groups = suggestions
+    ? SUGGESTION_GROUPS.filter(group => suggestions[group.key]?.length > 0)
+    : [];
+
+  return (
+    <form className="search-box" role="search" onSubmit={handleSubmit}>
+      <input
+        type="search"
+        value={query}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        placeholder="Search posts"
+        aria-label="Search posts"
+        autoComplete="off"
+      />
+      {open && groups.length > 0 && (
+        <div className="search-suggestions" data-testid="search-suggestions">
+          {groups.map(group => (
+            <div key={group.key} className="search-suggestion-group">
+              <small>{group.label}</small>
+              <ul>
+                {suggestions[group.key].map(item => {
+                  const text = group.text(item);
+                  return (
+                    <li key={`${group.key}-${item._id || text}`}>
+                      <button type="button" onClick={() => search(text)}>
+                        {text}
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default SearchBox;
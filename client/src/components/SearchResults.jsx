@@ -0,0 +1,91 @@
+import React, { useEffect, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import Button from './Button';
+import { postsApi } from '../utils/api';
+import './SearchResults.css';
+
+const SearchResults = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const query = (searchParams.get('q') || '').trim();
+  const [posts, setPosts] = useState([]);
+  const [didYouMean, setDidYouMean] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!query) {
+      setPosts([]);
+      setDidYouMean(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const fetchResults = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const response = await postsApi.getAllPosts({ search: query });
+        if (!cancelled) {
+          setPosts(response.data.posts);
+          setDidYouMean(response.data.didYouMean || null);
+        }
+      } catch (err) {
+        if (!cancelled) {
+          setError(err.message || 'Search failed');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    };
+
+    fetchResults();
+    return () => {
+      cancelled = true;
+    };
+  }, [query]);
+
+  return (
+    <div className="search-results">
+      <h2>{query ? `Results for "${query}"` : 'Search'}</h2>
+
+      {error && (
+        <div className="error-message" role="alert" data-testid="error-message">
+          {error}
+        </div>
+      )}
+
+      {loading && <p>Searching...</p>}
+
+      {!loading && !error && query && posts.length === 0 && (
+        <div className="search-empty">
+          <p>No posts found.</p>
+          {didYouMean && (
+            <p>
+              Did you mean{' '}
+              <Button variant="secondary" size="sm" onClick={() => setSearchParams({ q: didYouMean })}>
+                {didYouMean}
+              </Button>
+              ?
+            </p>
+          )}
+        </div>
+      )}
+
+      {!loading && posts.length > 0 && (
+        <div className="posts-list">
+          {posts.map(post => (
+            <div key={post._id} className="post-item" data-testid="search-result">
+              <h3>{post.title}</h3>
+              {post.excerpt && <p>{post.excerpt}</p>}
+              <small>By: {post.author?.username}</small>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchResults;
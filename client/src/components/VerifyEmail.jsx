@@ -0,0 +1,60 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { authApi } from '../utils/api';
+import './LoginForm.css';
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'error');
+  const [message, setMessage] = useState(token ? null : 'This verification link is invalid.');
+
+  useEffect(() => {
+    if (!token) return;
+
+    let cancelled = false;
+
+    authApi.verifyEmail(token)
+      .then((response) => {
+        if (!cancelled) {
+          setStatus('success');
+          setMessage(response.message);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setStatus('error');
+          setMessage(err.message || 'Could not verify email');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [token]);
+
+  return (
+    <div className="login-form">
+      <h2>Email Verification</h2>
+
+      {status === 'verifying' && <p>Verifying your email...</p>}
+
+      {status === 'success' && (
+        <div className="success-message" role="status" data-testid="success-message">
+          {message}
+        </div>
+      )}
+
+      {status === 'error' && (
+        <div className="error-message" role="alert" data-testid="error-message">
+          {message}
+        </div>
+      )}
+
+      {status !== 'verifying' && <Link to="/login">Go to login</Link>}
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -47,6 +47,19 @@ export const handlers = [
     );
   }),
 
+  rest.post(`${BASE_URL}/auth/refresh`, (req, res, ctx) => {
+    return res(
+      ctx.status(200),
+      ctx.json({
+        success: true,
+        data: {
+          token: 'mock-refreshed-jwt-token',
+          refreshToken: 'mock-rotated-refresh-token',
+        },
+      })
+    );
+  }),
+
   rest.get(`${BASE_URL}/auth/me`, (req, res, ctx) => {
     return res(
       ctx.status(200),
@@ -0,0 +1,127 @@
+// Unit tests for Bookmarks component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import Bookmarks from '../../components/Bookmarks';
+import { bookmarksApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  bookmarksApi: {
+    getBookmarks: jest.fn(),
+    getFolders: jest.fn(),
+    removeBookmark: jest.fn(),
+  },
+}));
+
+const bookmark = (id, title, fields = {}) => ({
+  _id: `bookmark-${id}`,
+  postId: `post-${id}`,
+  folder: null,
+  post: { _id: `post-${id}`, title, author: { username: 'author' } },
+  ...fields,
+});
+
+const pagination = (fields = {}) => ({
+  current: 1,
+  pages: 1,
+  total: 1,
+  hasNext: false,
+  hasPrev: false,
+  ...fields,
+});
+
+describe('Unit: Bookmarks Component', () => {
+  beforeEach(() => {
+    bookmarksApi.getBookmarks.mockReset();
+    bookmarksApi.getFolders.mockReset();
+    bookmarksApi.removeBookmark.mockReset();
+
+    bookmarksApi.getFolders.mockResolvedValue({
+      data: { folders: [{ name: 'Recipes', count: 1 }] },
+    });
+  });
+
+  it('lists saved posts', async () => {
+    bookmarksApi.getBookmarks.mockResolvedValue({
+      data: { bookmarks: [bookmark(1, 'Saved post')], pagination: pagination() },
+    });
+
+    render(<Bookmarks />);
+
+    expect(await screen.findByText('Saved post')).toBeInTheDocument();
+    expect(bookmarksApi.getBookmarks).toHaveBeenCalledWith({ page: 1 });
+  });
+
+  it('shows a message when nothing is saved', async () => {
+    bookmarksApi.getBookmarks.mockResolvedValue({
+      data: { bookmarks: [], pagination: pagination({ total: 0, pages: 0 }) },
+    });
+
+    render(<Bookmarks />);
+
+    expect(await screen.findByText(/haven't saved any posts/i)).toBeInTheDocument();
+  });
+
+  it('filters by folder', async () => {
+    bookmarksApi.getBookmarks.mockResolvedValue({
+      data: { bookmarks: [bookmark(1, 'Saved post')], pagination: pagination() },
+    });
+
+    render(<Bookmarks />);
+    await screen.findByText('Saved post');
+
+    fireEvent.change(screen.getByLabelText('Folder'), { target: { value: 'Recipes' } });
+
+    await waitFor(() => {
+      expect(bookmarksApi.getBookmarks).toHaveBeenLastCalledWith({ page: 1, folder: 'Recipes' });
+    });
+  });
+
+  it('removes a bookmark, including posts that are no longer available', async () => {
+    bookmarksApi.getBookmarks
+      .mockResolvedValueOnce({
+        data: { bookmarks: [bookmark(1, 'Saved post', { post: null })], pagination: pagination() },
+      })
+      .mockResolvedValue({
+        data: { bookmarks: [], pagination: pagination({ total: 0, pages: 0 }) },
+      });
+    bookmarksApi.removeBookmark.mockResolvedValue({ success: true });
+
+    render(<Bookmarks />);
+
+    expect(await screen.findByText(/no longer available/i)).toBeInTheDocument();
+    fireEvent.click(screen.getByText('Remove'));
+
+    await waitFor(() => {
+      expect(bookmarksApi.removeBookmark).toHaveBeenCalledWith('post-1');
+    });
+    expect(await screen.findByText(/haven't saved any posts/i)).toBeInTheDocument();
+  });
+
+  it('pages through bookmarks', async () => {
+    bookmarksApi.getBookmarks.mockResolvedValue({
+      data: {
+        bookmarks: [bookmark(1, 'Saved post')],
+        pagination: pagination({ pages: 2, total: 2, hasNext: true }),
+      },
+    });
+
+    render(<Bookmarks />);
+    await screen.findByText('Saved post');
+
+    fireEvent.click(screen.getByText('Next'));
+
+    await waitFor(() => {
+      expect(bookmarksApi.getBookmarks).toHaveBeenLastCalledWith({ page: 2 });
+    });
+  });
+
+  it('shows an error when loading fails', async () => {
+    bookmarksApi.getBookmarks.mockRejectedValue(new Error('Authentication required'));
+
+    render(<Bookmarks />);
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Authentication required');
+  });
+});
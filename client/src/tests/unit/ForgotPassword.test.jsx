@@ -0,0 +1,51 @@
+// Unit tests for ForgotPassword component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import ForgotPassword from '../../components/ForgotPassword';
+import { authApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  authApi: { forgotPassword: jest.fn() },
+}));
+
+const renderForgotPassword = () => render(
+  <MemoryRouter>
+    <ForgotPassword />
+  </MemoryRouter>
+);
+
+describe('Unit: ForgotPassword Component', () => {
+  beforeEach(() => {
+    authApi.forgotPassword.mockReset();
+  });
+
+  it('validates the email before submitting', async () => {
+    const user = userEvent.setup();
+    renderForgotPassword();
+
+    await user.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    expect(screen.getByTestId('email-error')).toHaveTextContent('Email is required');
+    expect(authApi.forgotPassword).not.toHaveBeenCalled();
+  });
+
+  it('shows the server confirmation after submitting', async () => {
+    authApi.forgotPassword.mockResolvedValue({
+      success: true,
+      message: 'If an account exists for that email, a password reset link has been sent',
+    });
+
+    const user = userEvent.setup();
+    renderForgotPassword();
+
+    await user.type(screen.getByLabelText(/email/i), 'test@example.com');
+    await user.click(screen.getByRole('button', { name: /send reset link/i }));
+
+    expect(await screen.findByTestId('success-message')).toHaveTextContent(/reset link has been sent/i);
+    expect(authApi.forgotPassword).toHaveBeenCalledWith('test@example.com');
+  });
+});
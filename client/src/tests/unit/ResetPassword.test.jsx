@@ -0,0 +1,73 @@
+// Unit tests for ResetPassword component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import ResetPassword from '../../components/ResetPassword';
+import { authApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  authApi: { resetPassword: jest.fn() },
+}));
+
+const renderResetPassword = (path = '/reset-password?token=abc123') => render(
+  <MemoryRouter initialEntries={[path]}>
+    <ResetPassword />
+  </MemoryRouter>
+);
+
+describe('Unit: ResetPassword Component', () => {
+  beforeEach(() => {
+    authApi.resetPassword.mockReset();
+  });
+
+  it('explains when the link has no token', () => {
+    renderResetPassword('/reset-password');
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/invalid/i);
+  });
+
+  it('requires matching passwords', async () => {
+    const user = userEvent.setup();
+    renderResetPassword();
+
+    await user.type(screen.getByLabelText(/new password/i), 'password123');
+    await user.type(screen.getByLabelText(/confirm password/i), 'password456');
+    await user.click(screen.getByRole('button', { name: /reset password/i }));
+
+    expect(screen.getByTestId('confirm-password-error')).toHaveTextContent('Passwords do not match');
+    expect(authApi.resetPassword).not.toHaveBeenCalled();
+  });
+
+  it('sends the token and shows the server error', async () => {
+    authApi.resetPassword.mockRejectedValue(new Error('Invalid or expired reset token'));
+
+    const user = userEvent.setup();
+    renderResetPassword();
+
+    await user.type(screen.getByLabelText(/new password/i), 'password123');
+    await user.type(screen.getByLabelText(/confirm password/i), 'password123');
+    await user.click(screen.getByRole('button', { name: /reset password/i }));
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Invalid or expired reset token');
+    expect(authApi.resetPassword).toHaveBeenCalledWith('abc123', 'password123');
+  });
+
+  it('confirms a successful reset', async () => {
+    authApi.resetPassword.mockResolvedValue({
+      success: true,
+      message: 'Password has been reset, please log in with your new password',
+    });
+
+    const user = userEvent.setup();
+    renderResetPassword();
+
+    await user.type(screen.getByLabelText(/new password/i), 'password123');
+    await user.type(screen.getByLabelText(/confirm password/i), 'password123');
+    await user.click(screen.getByRole('button', { name: /reset password/i }));
+
+    expect(await screen.findByTestId('success-message')).toHaveTextContent(/password has been reset/i);
+  });
+});
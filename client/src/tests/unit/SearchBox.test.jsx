@@ -0,0 +1,110 @@
+// Unit tests for SearchBox component
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import SearchBox from '../../components/SearchBox';
+import { searchApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  searchApi: {
+    autocomplete: jest.fn(),
+  },
+}));
+
+const suggestions = (fields = {}) => ({
+  posts: [],
+  tags: [],
+  categories: [],
+  users: [],
+  ...fields,
+});
+
+// Lets the debounce timer fire and the request resolve
+const flushDebounce = async (ms = 300) => {
+  await act(async () => {
+    jest.advanceTimersByTime(ms);
+  });
+};
+
+describe('Unit: SearchBox Component', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    searchApi.autocomplete.mockReset();
+    searchApi.autocomplete.mockResolvedValue({
+      data: {
+        suggestions: suggestions({
+          posts: [{ _id: 'post-1', title: 'Testing with Jest' }],
+          tags: [{ tag: 'jest', count: 3 }],
+        }),
+      },
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('requests suggestions once typing pauses', async () => {
+    render(<SearchBox onSearch={jest.fn()} />);
+    const input = screen.getByLabelText('Search posts');
+
+    fireEvent.change(input, { target: { value: 'je' } });
+    await flushDebounce(100);
+    fireEvent.change(input, { target: { value: 'jes' } });
+    await flushDebounce(100);
+
+    expect(searchApi.autocomplete).not.toHaveBeenCalled();
+
+    await flushDebounce();
+
+    expect(searchApi.autocomplete).toHaveBeenCalledTimes(1);
+    expect(searchApi.autocomplete).toHaveBeenCalledWith({ q: 'jes', limit: 5 });
+    expect(screen.getByText('Testing with Jest')).toBeInTheDocument();
+    expect(screen.getByText('jest')).toBeInTheDocument();
+  });
+
+  it('does not ask for suggestions for very short input', async () => {
+    render(<SearchBox onSearch={jest.fn()} />);
+
+    fireEvent.change(screen.getByLabelText('Search posts'), { target: { value: 'j' } });
+    await flushDebounce();
+
+    expect(searchApi.autocomplete).not.toHaveBeenCalled();
+    expect(screen.queryByTestId('search-suggestions')).not.toBeInTheDocument();
+  });
+
+  it('searches for a suggestion when it is chosen', async () => {
+    const onSearch = jest.fn();
+    render(<SearchBox onSearch={onSearch} />);
+
+    fireEvent.change(screen.getByLabelText('Search posts'), { target: { value: 'jes' } });
+    await flushDebounce();
+    fireEvent.click(screen.getByText('Testing with Jest'));
+
+    expect(onSearch).toHaveBeenCalledWith('Testing with Jest');
+    expect(screen.queryByTestId('search-suggestions')).not.toBeInTheDocument();
+  });
+
+  it('searches for the typed text on submit', () => {
+    const onSearch = jest.fn();
+    render(<SearchBox onSearch={onSearch} />);
+    const input = screen.getByLabelText('Search posts');
+
+    fireEvent.change(input, { target: { value: '  react hooks ' } });
+    fireEvent.submit(input);
+
+    expect(onSearch).toHaveBeenCalledWith('react hooks');
+  });
+
+  it('hides suggestions on Escape', async () => {
+    render(<SearchBox onSearch={jest.fn()} />);
+    const input = screen.getByLabelText('Search posts');
+
+    fireEvent.change(input, { target: { value: 'jes' } });
+    await flushDebounce();
+    fireEvent.keyDown(input, { key: 'Escape' });
+
+    expect(screen.queryByTestId('search-suggestions')).not.toBeInTheDocument();
+  });
+});
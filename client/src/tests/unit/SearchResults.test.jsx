@@ -0,0 +1,60 @@
+// Unit tests for SearchResults component
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+import { MemoryRouter } from 'react-router-dom';
+import SearchResults from '../../components/SearchResults';
+import { postsApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  postsApi: {
+    getAllPosts: jest.fn(),
+  },
+}));
+
+const renderWithRouter = (path = '/search?q=jest') => render(
+  <MemoryRouter initialEntries={[path]}>
+    <SearchResults />
+  </MemoryRouter>
+);
+
+describe('Unit: SearchResults Component', () => {
+  beforeEach(() => {
+    postsApi.getAllPosts.mockReset();
+  });
+
+  it('lists posts matching the query', async () => {
+    postsApi.getAllPosts.mockResolvedValue({
+      data: { posts: [{ _id: 'post-1', title: 'Testing with Jest', author: { username: 'author' } }], didYouMean: null },
+    });
+
+    renderWithRouter();
+
+    expect(await screen.findByText('Testing with Jest')).toBeInTheDocument();
+    expect(postsApi.getAllPosts).toHaveBeenCalledWith({ search: 'jest' });
+  });
+
+  it('offers a corrected query when nothing is found', async () => {
+    postsApi.getAllPosts
+      .mockResolvedValueOnce({ data: { posts: [], didYouMean: 'jest' } })
+      .mockResolvedValueOnce({ data: { posts: [], didYouMean: null } });
+
+    renderWithRouter('/search?q=jset');
+
+    expect(await screen.findByText('No posts found.')).toBeInTheDocument();
+    fireEvent.click(screen.getByText('jest'));
+
+    await waitFor(() => {
+      expect(postsApi.getAllPosts).toHaveBeenLastCalledWith({ search: 'jest' });
+    });
+  });
+
+  it('shows an error when the search fails', async () => {
+    postsApi.getAllPosts.mockRejectedValue(new Error('Network error'));
+
+    renderWithRouter();
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Network error');
+  });
+});
@@ -0,0 +1,49 @@
+// Unit tests for VerifyEmail component
+
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import '@testing-library/jest-dom';
+import VerifyEmail from '../../components/VerifyEmail';
+import { authApi } from '../../utils/api';
+
+jest.mock('../../utils/api', () => ({
+  authApi: { verifyEmail: jest.fn() },
+}));
+
+const renderVerifyEmail = (path) => render(
+  <MemoryRouter initialEntries={[path]}>
+    <VerifyEmail />
+  </MemoryRouter>
+);
+
+describe('Unit: VerifyEmail Component', () => {
+  beforeEach(() => {
+    authApi.verifyEmail.mockReset();
+  });
+
+  it('verifies the token from the link', async () => {
+    authApi.verifyEmail.mockResolvedValue({ success: true, message: 'Email verified successfully' });
+
+    renderVerifyEmail('/verify-email?token=abc123');
+
+    expect(screen.getByText(/verifying your email/i)).toBeInTheDocument();
+    expect(await screen.findByTestId('success-message')).toHaveTextContent('Email verified successfully');
+    expect(authApi.verifyEmail).toHaveBeenCalledWith('abc123');
+  });
+
+  it('shows the error for a rejected token', async () => {
+    authApi.verifyEmail.mockRejectedValue(new Error('Invalid or expired verification token'));
+
+    renderVerifyEmail('/verify-email?token=expired');
+
+    expect(await screen.findByTestId('error-message')).toHaveTextContent('Invalid or expired verification token');
+  });
+
+  it('does not call the API without a token', () => {
+    renderVerifyEmail('/verify-email');
+
+    expect(screen.getByTestId('error-message')).toHaveTextContent(/invalid/i);
+    expect(authApi.verifyEmail).not.toHaveBeenCalled();
+  });
+});
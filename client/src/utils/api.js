@@ -23,12 +23,71 @@ const setAuthToken = (token) => {
   }
 };
 
+const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
+const setRefreshToken = (refreshToken) => {
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  } else {
+    localStorage.removeItem('refreshToken');
+  }
+};
+
 const getAuthHeaders = () => {
   const token = getAuthToken();
   return token ? { Authorization: `Bearer ${token}` } : {};
 };
 
-const makeRequest = async (url, options = {}) => {
+// Endpoints where a 401 means bad credentials rather than an expired token
+const NO_REFRESH_URLS = [
+  '/auth/login',
+  '/auth/login/2fa',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/forgot-password',
+  '/auth/reset-password',
+  '/auth/verify-email',
+];
+
+// Shared between concurrent requests so a single rotation happens per expiry
+let refreshPromise = null;
+
+const refreshAuthToken = () => {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) {
+    return Promise.resolve(false);
+  }
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_BASE_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) {
+          setAuthToken(null);
+          setRefreshToken(null);
+          return false;
+        }
+
+        const data = await response.json();
+        setAuthToken(data.data.token);
+        setRefreshToken(data.data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+
+  return refreshPromise;
+};
+
+const makeRequest = async (url, options = {}, retryOnUnauthorized = true) => {
   const config = {
     headers: {
       'Content-Type': 'application/json',
@@ -40,6 +99,15 @@ const makeRequest = async (url, options = {}) => {
 
   try {
     const response = await fetch(`${API_BASE_URL}${url}`, config);
+
+    // Retry once with a fresh access token
+    if (response.status === 401 && retryOnUnauthorized && !NO_REFRESH_URLS.includes(url)) {
+      const refreshed = await refreshAuthToken();
+      if (refreshed) {
+        return await makeRequest(url, options, false);
+      }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
@@ -75,6 +143,7 @@ export const authApi = {
     
     if (response.data.token) {
       setAuthToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
     }
     
     return response;
@@ -88,6 +157,22 @@ export const authApi = {
     
     if (response.data.token) {
       setAuthToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
+    }
+    
+    return response;
+  },
+
+  // Second login step for accounts with two-factor authentication
+  verifyTwoFactorLogin: async (challengeToken, { code, recoveryCode }) => {
+    const response = await makeRequest('/auth/login/2fa', {
+      method: 'POST',
+      body: JSON.stringify({ challengeToken, code, recoveryCode }),
+    });
+    
+    if (response.data.token) {
+      setAuthToken(response.data.token);
+      setRefreshToken(response.data.refreshToken);
     }
     
     return response;
@@ -95,12 +180,35 @@ export const authApi = {
 
   logout: async () => {
     try {
-      await makeRequest('/auth/logout', { method: 'POST' });
+      await makeRequest('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken: getRefreshToken() }),
+      });
     } finally {
       setAuthToken(null);
+      setRefreshToken(null);
     }
   },
 
+  logoutAll: async () => {
+    try {
+      await makeRequest('/auth/logout-all', { method: 'POST' });
+    } finally {
+      setAuthToken(null);
+      setRefreshToken(null);
+    }
+  },
+
+  getSessions: async () => {
+    return await makeRequest('/auth/sessions');
+  },
+
+  revokeSession: async (id) => {
+    return await makeRequest(`/auth/sessions/${id}`, {
+      method: 'DELETE',
+    });
+  },
+
   getCurrentUser: async () => {
     return await makeRequest('/auth/me');
   },
@@ -118,20 +226,96 @@ export const authApi = {
       body: JSON.stringify(passwordData),
     });
   },
+
+  forgotPassword: async (email) => {
+    return await makeRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: async (token, password) => {
+    return await makeRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, password }),
+    });
+  },
+
+  verifyEmail: async (token) => {
+    return await makeRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerification: async () => {
+    return await makeRequest('/auth/resend-verification', {
+      method: 'POST',
+    });
+  },
+
+  getTwoFactorStatus: async () => {
+    return await makeRequest('/auth/2fa/status');
+  },
+
+  setupTwoFactor: async () => {
+    return await makeRequest('/auth/2fa/setup', {
+      method: 'POST',
+    });
+  },
+
+  enableTwoFactor: async (code) => {
+    return await makeRequest('/auth/2fa/enable', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
+
+  disableTwoFactor: async (password, code) => {
+    return await makeRequest('/auth/2fa/disable', {
+      method: 'POST',
+      body: JSON.stringify({ password, code }),
+    });
+  },
+
+  regenerateRecoveryCodes: async (code) => {
+    return await makeRequest('/auth/2fa/recovery-codes', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    });
+  },
 };
 
 // Posts API functions
+const reactionsUrl = (id, commentId) => {
+  return commentId ? `/posts/${id}/comments/${commentId}/reactions` : `/posts/${id}/reactions`;
+};
+
 export const postsApi = {
+  // Pages by { page } or, with a pagination.nextCursor / prevCursor from an
+  // earlier response, by { cursor }
   getAllPosts: async (params = {}) => {
     const queryString = new URLSearchParams(params).toString();
     const url = queryString ? `/posts?${queryString}` : '/posts';
     return await makeRequest(url);
   },
 
+  // Pass the previous response's nextCursor to get the next page
+  getFeed: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/posts/feed?${queryString}` : '/posts/feed';
+    return await makeRequest(url);
+  },
+
   getPost: async (id) => {
     return await makeRequest(`/posts/${id}`);
   },
 
+  // Old slugs resolve to { redirect: { slug, url } } instead of a post
+  getPostBySlug: async (slug) => {
+    return await makeRequest(`/posts/slug/${slug}`);
+  },
+
   createPost: async (postData) => {
     return await makeRequest('/posts', {
       method: 'POST',
@@ -154,20 +338,89 @@ export const postsApi = {
 
   likePost: async (id) => {
     return await makeRequest(`/posts/${id}/like`, {
-      method: 'POST',
+      method: 'PUT',
     });
   },
 
+  unlikePost: async (id) => {
+    return await makeRequest(`/posts/${id}/like`, {
+      method: 'DELETE',
+    });
+  },
+
+  getLikes: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/posts/${id}/likes?${queryString}` : `/posts/${id}/likes`;
+    return await makeRequest(url);
+  },
+
+  getComments: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/posts/${id}/comments?${queryString}` : `/posts/${id}/comments`;
+    return await makeRequest(url);
+  },
+
+  // Pass { content, parent } to reply to a comment
   addComment: async (id, commentData) => {
     return await makeRequest(`/posts/${id}/comments`, {
       method: 'POST',
       body: JSON.stringify(commentData),
     });
   },
+
+  updateComment: async (id, commentId, content) => {
+    return await makeRequest(`/posts/${id}/comments/${commentId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ content }),
+    });
+  },
+
+  deleteComment: async (id, commentId) => {
+    return await makeRequest(`/posts/${id}/comments/${commentId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  // Pass a commentId to react to one of the post's comments instead
+  getReactions: async (id, commentId) => {
+    return await makeRequest(reactionsUrl(id, commentId));
+  },
+
+  addReaction: async (id, type, commentId) => {
+    return await makeRequest(`${reactionsUrl(id, commentId)}/${type}`, {
+      method: 'PUT',
+    });
+  },
+
+  removeReaction: async (id, type, commentId) => {
+    return await makeRequest(`${reactionsUrl(id, commentId)}/${type}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getRevisions: async (id) => {
+    return await makeRequest(`/posts/${id}/revisions`);
+  },
+
+  getRevision: async (id, number) => {
+    return await makeRequest(`/posts/${id}/revisions/${number}`);
+  },
+
+  diffRevisions: async (id, from, to) => {
+    const queryString = new URLSearchParams(to ? { from, to } : { from }).toString();
+    return await makeRequest(`/posts/${id}/revisions/diff?${queryString}`);
+  },
+
+  restoreRevision: async (id, number) => {
+    return await makeRequest(`/posts/${id}/revisions/${number}/restore`, {
+      method: 'POST',
+    });
+  },
 };
 
 // Users API functions
 export const usersApi = {
+  // Pages by { page } or { cursor }, like postsApi.getAllPosts
   getAllUsers: async (params = {}) => {
     const queryString = new URLSearchParams(params).toString();
     const url = queryString ? `/users?${queryString}` : '/users';
@@ -194,6 +447,176 @@ export const usersApi = {
   getUserStats: async (id) => {
     return await makeRequest(`/users/${id}/stats`);
   },
+
+  getLoginAttempts: async (id) => {
+    return await makeRequest(`/users/${id}/login-attempts`);
+  },
+
+  unlockUser: async (id) => {
+    return await makeRequest(`/users/${id}/unlock`, {
+      method: 'POST',
+    });
+  },
+
+  banUser: async (id) => {
+    return await makeRequest(`/users/${id}/ban`, {
+      method: 'POST',
+    });
+  },
+
+  unbanUser: async (id) => {
+    return await makeRequest(`/users/${id}/unban`, {
+      method: 'POST',
+    });
+  },
+
+  followUser: async (id) => {
+    return await makeRequest(`/users/${id}/follow`, {
+      method: 'PUT',
+    });
+  },
+
+  unfollowUser: async (id) => {
+    return await makeRequest(`/users/${id}/follow`, {
+      method: 'DELETE',
+    });
+  },
+
+  getFollowers: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/users/${id}/followers?${queryString}` : `/users/${id}/followers`;
+    return await makeRequest(url);
+  },
+
+  getFollowing: async (id, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/users/${id}/following?${queryString}` : `/users/${id}/following`;
+    return await makeRequest(url);
+  },
+
+  followTag: async (id, tag) => {
+    return await makeRequest(`/users/${id}/followed-tags/${encodeURIComponent(tag)}`, {
+      method: 'PUT',
+    });
+  },
+
+  unfollowTag: async (id, tag) => {
+    return await makeRequest(`/users/${id}/followed-tags/${encodeURIComponent(tag)}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Categories API functions
+export const categoriesApi = {
+  getAllCategories: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/categories?${queryString}` : '/categories';
+    return await makeRequest(url);
+  },
+
+  getCategoryTree: async () => {
+    return await makeRequest('/categories/tree');
+  },
+
+  getCategory: async (slug) => {
+    return await makeRequest(`/categories/${slug}`);
+  },
+
+  createCategory: async (categoryData) => {
+    return await makeRequest('/categories', {
+      method: 'POST',
+      body: JSON.stringify(categoryData),
+    });
+  },
+
+  updateCategory: async (id, categoryData) => {
+    return await makeRequest(`/categories/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(categoryData),
+    });
+  },
+
+  reorderCategories: async (order) => {
+    return await makeRequest('/categories/reorder', {
+      method: 'PUT',
+      body: JSON.stringify({ order }),
+    });
+  },
+
+  deactivateCategory: async (id) => {
+    return await makeRequest(`/categories/${id}/deactivate`, {
+      method: 'PUT',
+    });
+  },
+
+  deleteCategory: async (id) => {
+    return await makeRequest(`/categories/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// API keys API functions
+export const apiKeysApi = {
+  getApiKeys: async () => {
+    return await makeRequest('/api-keys');
+  },
+
+  createApiKey: async (keyData) => {
+    return await makeRequest('/api-keys', {
+      method: 'POST',
+      body: JSON.stringify(keyData),
+    });
+  },
+
+  revokeApiKey: async (id) => {
+    return await makeRequest(`/api-keys/${id}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Bookmarks API functions
+export const bookmarksApi = {
+  // Pass folder: '' to list bookmarks that aren't in a folder
+  getBookmarks: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const url = queryString ? `/bookmarks?${queryString}` : '/bookmarks';
+    return await makeRequest(url);
+  },
+
+  getFolders: async () => {
+    return await makeRequest('/bookmarks/folders');
+  },
+
+  addBookmark: async (postId, folder) => {
+    return await makeRequest(`/bookmarks/${postId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ folder }),
+    });
+  },
+
+  removeBookmark: async (postId) => {
+    return await makeRequest(`/bookmarks/${postId}`, {
+      method: 'DELETE',
+    });
+  },
+};
+
+// Search API functions
+export const searchApi = {
+  // q supports "exact phrases" and -excluded terms; highlights come back as HTML with <mark>
+  searchPosts: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await makeRequest(`/search?${queryString}`);
+  },
+
+  // Titles, tags, categories and usernames starting with params.q
+  autocomplete: async (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return await makeRequest(`/search/autocomplete?${queryString}`);
+  },
 };
 
-export { ApiError, getAuthToken, setAuthToken };
+export { ApiError, getAuthToken, setAuthToken, getRefreshToken, setRefreshToken };
@@ -0,0 +1,36 @@
+// Stores likesCount on posts created before it was kept in step with likes.
+//
+// Usage: npm run migrate:likes
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../src/models/Post');
+const logger = require('../src/utils/logger');
+
+const backfillLikesCount = async () => {
+  const result = await Post.collection.updateMany(
+    { likesCount: { $exists: false } },
+    [{ $set: { likesCount: { $size: { $ifNull: ['$likes', []] } } } }]
+  );
+
+  return { posts: result.modifiedCount };
+};
+
+if (require.main === module) {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing';
+
+  mongoose.connect(mongoURI)
+    .then(backfillLikesCount)
+    .then(({ posts }) => {
+      logger.info(`Stored likesCount on ${posts} posts`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      logger.error('likesCount backfill failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = backfillLikesCount;
@@ -0,0 +1,98 @@
+// Moves comments embedded in post documents into the comments collection and
+// stores each post's comment count. Safe to run again after a partial run.
+//
+// Usage: npm run migrate:comments
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../src/models/Post');
+const Comment = require('../src/models/Comment');
+const logger = require('../src/utils/logger');
+
+// The top-level comment each embedded comment's thread starts from
+const findThread = (comment, byId) => {
+  let current = comment;
+  const visited = new Set();
+  while (current.parent && byId.has(current.parent.toString()) && !visited.has(current._id.toString())) {
+    visited.add(current._id.toString());
+    current = byId.get(current.parent.toString());
+  }
+  return current._id;
+};
+
+const migrateComments = async () => {
+  let posts = 0;
+  let comments = 0;
+
+  // Read the raw documents: comments are no longer part of the Post schema
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const byId = new Map(post.comments.map(comment => [comment._id.toString(), comment]));
+
+    const operations = post.comments.map(comment => ({
+      replaceOne: {
+        filter: { _id: comment._id },
+        replacement: {
+          _id: comment._id,
+          post: post._id,
+          user: comment.user,
+          parent: comment.parent || null,
+          thread: findThread(comment, byId),
+          depth: comment.depth || 0,
+          content: comment.content,
+          edited: comment.edited || false,
+          editedAt: comment.editedAt,
+          deletedAt: comment.deletedAt,
+          deletedBy: comment.deletedBy,
+          deletedByModerator: comment.deletedByModerator || false,
+          createdAt: comment.createdAt,
+          updatedAt: comment.editedAt || comment.createdAt,
+        },
+        upsert: true,
+      },
+    }));
+
+    await Comment.collection.bulkWrite(operations, { ordered: false });
+
+    const commentsCount = await Comment.countDocuments({ post: post._id, deletedAt: null });
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { commentsCount }, $unset: { comments: '' } }
+    );
+
+    posts++;
+    comments += operations.length;
+  }
+
+  // Posts that never had comments
+  await Post.collection.updateMany(
+    { commentsCount: { $exists: false } },
+    { $set: { commentsCount: 0 } }
+  );
+
+  return { posts, comments };
+};
+
+if (require.main === module) {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing';
+
+  mongoose.connect(mongoURI)
+    .then(() => Comment.init())
+    .then(migrateComments)
+    .then(({ posts, comments }) => {
+      logger.info(`Migrated ${comments} comments from ${posts} posts`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      logger.error('Comment migration failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = migrateComments;
@@ -0,0 +1,78 @@
+// Renders the Markdown of every post to contentHtml and recalculates its read
+// time and content statistics from the rendered HTML. Run after upgrading, or after changing the
+// renderer, to bring stored HTML up to date. Excerpts that were generated from
+// the raw Markdown are generated again from the rendered text. Safe to run again.
+//
+// Usage: npm run migrate:content
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Post = require('../src/models/Post');
+const { renderMarkdown } = require('../src/utils/markdown');
+const { analyzeContent } = require('../src/utils/contentAnalysis');
+const { truncate } = require('../src/utils/helpers');
+const logger = require('../src/utils/logger');
+
+const BATCH_SIZE = 500;
+
+// Before rendering, posts without an excerpt got the first 200 characters of
+// their Markdown. Excerpts that still match that were never written by hand.
+const isRawExcerpt = (post) => post.excerpt === truncate(post.content || '', 200);
+
+const renderPostContent = async () => {
+  let posts = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Post.collection.bulkWrite(operations, { ordered: false });
+    posts += result.modifiedCount;
+    operations = [];
+  };
+
+  // Update the raw documents so slugs, publish dates and timestamps stay as they are
+  const cursor = Post.collection.find({}, { projection: { content: 1, excerpt: 1 } });
+
+  for await (const post of cursor) {
+    const contentHtml = renderMarkdown(post.content || '');
+    const { readTime, ...contentStats } = analyzeContent(contentHtml);
+    const update = { contentHtml, readTime, contentStats };
+
+    if (post.excerpt && isRawExcerpt(post)) {
+      update.excerpt = Post.generateExcerpt(contentHtml);
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: post._id },
+        update: { $set: update },
+      },
+    });
+
+    if (operations.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return { posts };
+};
+
+if (require.main === module) {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/mern-testing';
+
+  mongoose.connect(mongoURI)
+    .then(renderPostContent)
+    .then(({ posts }) => {
+      logger.info(`Rendered content of ${posts} posts`);
+      return mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      logger.error('Post content rendering failed:', error);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = renderPostContent;
@@ -8,11 +8,20 @@ require('express-async-errors');
 require('dotenv').config();
 
 const logger = require('./utils/logger');
+const events = require('./utils/events');
+const publishScheduler = require('./utils/publishScheduler');
 const errorHandler = require('./middleware/errorHandler');
 const notFound = require('./middleware/notFound');
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
 const postRoutes = require('./routes/posts');
+const postRevisionRoutes = require('./routes/postRevisions');
+const { postReactionRoutes, commentReactionRoutes } = require('./routes/reactions');
 const userRoutes = require('./routes/users');
+const categoryRoutes = require('./routes/categories');
+const apiKeyRoutes = require('./routes/apiKeys');
+const bookmarkRoutes = require('./routes/bookmarks');
+const searchRoutes = require('./routes/search');
 
 const app = express();
 
@@ -54,14 +63,26 @@ app.get('/health', (req, res) => {
 });
 
 // API Routes
+app.use('/api/auth/2fa', twoFactorRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/posts/:id/revisions', postRevisionRoutes);
+app.use('/api/posts/:id/reactions', postReactionRoutes);
+app.use('/api/posts/:id/comments/:commentId/reactions', commentReactionRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/search', searchRoutes);
 
 // Error handling middleware
 app.use(notFound);
 app.use(errorHandler);
 
+events.on('post:published', (post) => {
+  logger.info(`Post published: ${post.title}`);
+});
+
 // Database connection
 const connectDB = async () => {
   try {
@@ -84,6 +105,7 @@ if (process.env.NODE_ENV !== 'test') {
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
     });
+    publishScheduler.start();
   });
 }
 
@@ -1,9 +1,80 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const ApiKey = require('../models/ApiKey');
+const Session = require('../models/Session');
+const { hasPermission, needsTwoFactorFor } = require('../utils/permissions');
 const logger = require('../utils/logger');
 
+const revokedError = () => {
+  const error = new Error('Token has been revoked');
+  error.revoked = true;
+  return error;
+};
+
+// Verifies an access token and loads its user, rejecting revoked tokens
+const verifyAccessToken = async (token, ip) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+
+  if (decoded.jti && await RevokedToken.isRevoked(decoded.jti)) {
+    throw revokedError();
+  }
+
+  // Tokens die with the session they were issued for
+  if (decoded.sid) {
+    const session = await Session.findActive(decoded.sid);
+    if (!session) {
+      throw revokedError();
+    }
+    await session.touch(ip);
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  // Logging out of all devices bumps tokenVersion past older tokens
+  if (user && (decoded.tv || 0) !== (user.tokenVersion || 0)) {
+    throw revokedError();
+  }
+
+  return { decoded, user };
+};
+
+// Looks up an API key and its owner, recording that the key was used
+const verifyApiKey = async (key, ip) => {
+  const apiKey = await ApiKey.findByKey(key);
+  if (!apiKey) {
+    return {};
+  }
+
+  const user = await User.findById(apiKey.user).select('-password');
+  if (!user || !user.isActive) {
+    return {};
+  }
+
+  await apiKey.recordUsage(ip);
+  return { apiKey, user };
+};
+
 const auth = async (req, res, next) => {
   try {
+    const key = req.header('X-API-Key');
+
+    // Scripts and integrations authenticate with a personal API key instead of a JWT
+    if (key) {
+      const { apiKey, user } = await verifyApiKey(key, req.ip);
+
+      if (!apiKey) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'API key is not valid' 
+        });
+      }
+
+      req.user = user;
+      req.apiKey = apiKey;
+      return next();
+    }
+
     const authHeader = req.header('Authorization');
     
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -16,10 +87,9 @@ const auth = async (req, res, next) => {
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
     
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
+      const { decoded, user } = await verifyAccessToken(token, req.ip);
       
       // Check if user still exists
-      const user = await User.findById(decoded.id).select('-password');
       if (!user) {
         return res.status(401).json({ 
           success: false, 
@@ -28,12 +98,13 @@ const auth = async (req, res, next) => {
       }
 
       req.user = user;
+      req.tokenPayload = decoded;
       next();
     } catch (jwtError) {
       logger.error('JWT verification failed:', jwtError);
       return res.status(401).json({ 
         success: false, 
-        error: 'Token is not valid' 
+        error: jwtError.revoked ? 'Token has been revoked' : 'Token is not valid' 
       });
     }
   } catch (error) {
@@ -47,17 +118,28 @@ const auth = async (req, res, next) => {
 
 const optionalAuth = async (req, res, next) => {
   try {
+    const key = req.header('X-API-Key');
     const authHeader = req.header('Authorization');
     
-    if (authHeader && authHeader.startsWith('Bearer ')) {
+    if (key) {
+      const { apiKey, user } = await verifyApiKey(key, req.ip);
+
+      if (apiKey) {
+        req.user = user;
+        req.apiKey = apiKey;
+      } else {
+        // Optional auth - continue without user
+        logger.warn('Optional auth failed: API key is not valid');
+      }
+    } else if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       
       try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
-        const user = await User.findById(decoded.id).select('-password');
+        const { decoded, user } = await verifyAccessToken(token, req.ip);
         
         if (user) {
           req.user = user;
+          req.tokenPayload = decoded;
         }
       } catch (jwtError) {
         // Optional auth - continue without user
@@ -88,8 +170,140 @@ const authorize = (...roles) => {
       });
     }
 
+    // Admin access requires two-factor authentication (opt out with ADMIN_REQUIRE_2FA=false)
+    if (req.user.role === 'admin' &&
+        process.env.ADMIN_REQUIRE_2FA !== 'false' &&
+        !req.user.twoFactor?.enabled) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Two-factor authentication must be enabled for admin access',
+        code: 'TWO_FACTOR_REQUIRED',
+      });
+    }
+
     next();
   };
 };
 
-module.exports = { auth, optionalAuth, authorize };
+// Checks a permission from the central policy. With a resource descriptor
+// ({ name, load(req) }) the resource is loaded first, exposed as req.resource and
+// checked for ownership, so `post:update` lets authors edit their own posts and
+// moderators edit anyone's.
+const can = (permission, resource) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Authentication required' 
+      });
+    }
+
+    let target;
+    if (resource) {
+      const notFound = () => res.status(404).json({
+        success: false,
+        error: `${resource.name} not found`,
+      });
+
+      try {
+        target = await resource.load(req);
+      } catch (error) {
+        if (error.name === 'CastError') {
+          return notFound();
+        }
+
+        logger.error('Permission check error:', error);
+        return res.status(500).json({ 
+          success: false, 
+          error: 'Server error checking permissions' 
+        });
+      }
+
+      if (!target) {
+        return notFound();
+      }
+
+      req.resource = target;
+    }
+
+    if (!hasPermission(req.user, permission, target)) {
+      if (needsTwoFactorFor(req.user, permission, target)) {
+        return res.status(403).json({ 
+          success: false, 
+          error: 'Two-factor authentication must be enabled for admin access',
+          code: 'TWO_FACTOR_REQUIRED',
+        });
+      }
+
+      const action = permission.split(':')[1];
+      return res.status(403).json({ 
+        success: false, 
+        error: resource
+          ? `Not authorized to ${action} this ${resource.name.toLowerCase()}`
+          : 'Access forbidden - insufficient permissions' 
+      });
+    }
+
+    next();
+  };
+};
+
+// Blocks unverified accounts from write routes when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_EMAIL_VERIFICATION !== 'true') {
+    return next();
+  }
+
+  if (!req.user) {
+    return res.status(401).json({ 
+      success: false, 
+      error: 'Authentication required' 
+    });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ 
+      success: false, 
+      error: 'Email verification required' 
+    });
+  }
+
+  next();
+};
+
+// Restricts API key requests to the given scope; JWT sessions have full access
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.hasScope(scope)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: `API key is missing the required scope: ${scope}`,
+        code: 'INSUFFICIENT_SCOPE',
+      });
+    }
+
+    next();
+  };
+};
+
+// Blocks API keys from account management routes (keys, passwords, 2FA, sessions)
+const requireSession = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({ 
+      success: false, 
+      error: 'This action cannot be performed with an API key' 
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  auth,
+  optionalAuth,
+  authorize,
+  can,
+  requireVerifiedEmail,
+  requireScope,
+  requireSession,
+};
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const KEY_PREFIX = 'mtk_';
+
+// Scopes an API key can be granted; requests outside them are rejected
+const API_KEY_SCOPES = ['posts:read', 'posts:write', 'users:read', 'users:write', 'categories:write'];
+
+// Last-used timestamps are written at most once per interval
+const LAST_USED_INTERVAL = 60 * 1000;
+
+const apiKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters'],
+  },
+  // SHA-256 of the full key; the key itself is only shown when created
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // Start of the key, so users can tell their keys apart
+  prefix: {
+    type: String,
+    required: true,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: {
+        values: API_KEY_SCOPES,
+        message: 'Invalid scope: {VALUE}',
+      },
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: 'At least one scope is required',
+    },
+  },
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date,
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      return ret;
+    },
+  },
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+const hashKey = (key) => {
+  return crypto.createHash('sha256').update(key).digest('hex');
+};
+
+// Virtual for whether the key can still be used
+apiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt && !(this.expiresAt && this.expiresAt <= Date.now());
+});
+
+// Static method to create a key; returns the document and the plain key (shown once)
+apiKeySchema.statics.generate = async function({ user, name, scopes, expiresAt }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+  const apiKey = await this.create({
+    user,
+    name,
+    scopes: [...new Set(scopes)],
+    expiresAt,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+  });
+
+  return { apiKey, key };
+};
+
+// Static method to find an active key by its plain value
+apiKeySchema.statics.findByKey = function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) {
+    return null;
+  }
+
+  return this.findOne({
+    keyHash: hashKey(key),
+    revokedAt: null,
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: Date.now() } },
+    ],
+  });
+};
+
+// Instance method to record usage, throttled so busy keys don't write on every request
+apiKeySchema.methods.recordUsage = function(ip) {
+  if (this.lastUsedAt && Date.now() - this.lastUsedAt < LAST_USED_INTERVAL) {
+    return Promise.resolve();
+  }
+
+  this.lastUsedAt = new Date();
+  this.lastUsedIp = ip;
+  return this.updateOne({ $set: { lastUsedAt: this.lastUsedAt, lastUsedIp: ip } });
+};
+
+apiKeySchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  // Optional folder name for organizing the reading list
+  folder: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Folder cannot exceed 50 characters'],
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+bookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, folder: 1, createdAt: -1 });
+bookmarkSchema.index({ post: 1 });
+
+// Static method to save a post for a user, or move it to another folder
+bookmarkSchema.statics.add = function(userId, postId, folder = null) {
+  return this.findOneAndUpdate(
+    { user: userId, post: postId },
+    { $set: { folder: folder || null } },
+    { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method returning which of the given posts the user has bookmarked
+bookmarkSchema.statics.findBookmarkedIds = async function(userId, postIds) {
+  const bookmarks = await this.find({ user: userId, post: { $in: postIds } }).select('post').lean();
+  return new Set(bookmarks.map(bookmark => bookmark.post.toString()));
+};
+
+const Bookmark = mongoose.model('Bookmark', bookmarkSchema);
+
+module.exports = Bookmark;
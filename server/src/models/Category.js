@@ -62,8 +62,14 @@ categorySchema.virtual('subcategories', {
 });
 
 // Virtual for full path (for nested categories)
+// Walks the populated parent chain, see populateAncestors()
 categorySchema.virtual('fullPath').get(function() {
-  // This would need to be populated with parent data
+  const parent = this.parentCategory;
+
+  if (parent && parent.name) {
+    return `${parent.fullPath || parent.name} / ${this.name}`;
+  }
+
   return this.name;
 });
 
@@ -86,13 +92,45 @@ categorySchema.pre('save', function(next) {
   next();
 });
 
-// Prevent deletion if category has posts
-categorySchema.pre('remove', async function(next) {
+// Prevent nesting a category under itself or one of its descendants
+categorySchema.pre('save', async function() {
+  if (!this.isModified('parentCategory') || !this.parentCategory) return;
+
+  const visited = new Set();
+  let currentId = this.parentCategory._id || this.parentCategory;
+
+  while (currentId && !visited.has(currentId.toString())) {
+    if (currentId.toString() === this._id.toString()) {
+      const error = new Error('Category cannot be nested under itself or one of its subcategories');
+      error.status = 400;
+      throw error;
+    }
+
+    visited.add(currentId.toString());
+    const parent = await this.constructor.findById(currentId).select('parentCategory').lean();
+    currentId = parent ? parent.parentCategory : null;
+  }
+});
+
+// Prevent deletion if category has posts or subcategories, which would be
+// left under a parent that no longer exists
+categorySchema.pre('deleteOne', { document: true, query: false }, async function(next) {
   const Post = mongoose.model('Post');
-  const postCount = await Post.countDocuments({ category: this._id });
+  const [postCount, hasSubcategories] = await Promise.all([
+    Post.countDocuments({ category: this._id }),
+    this.constructor.exists({ parentCategory: this._id }),
+  ]);
   
   if (postCount > 0) {
-    throw new Error('Cannot delete category with existing posts');
+    const error = new Error('Cannot delete category with existing posts');
+    error.status = 409;
+    throw error;
+  }
+
+  if (hasSubcategories) {
+    const error = new Error('Cannot delete category with subcategories');
+    error.status = 409;
+    throw error;
   }
   
   next();
@@ -107,4 +145,93 @@ categorySchema.statics.findTopLevel = function() {
   return this.find({ parentCategory: null, active: true }).sort({ sortOrder: 1, name: 1 });
 };
 
+// Returns the ids of a category and all of its subcategories, at any depth
+categorySchema.statics.findDescendantIds = async function(categoryId) {
+  const ids = [new mongoose.Types.ObjectId(categoryId)];
+  const seen = new Set(ids.map(id => id.toString()));
+  let frontier = ids;
+
+  while (frontier.length > 0) {
+    const children = await this.find({ parentCategory: { $in: frontier } }).select('_id').lean();
+    frontier = children.map(child => child._id).filter(id => !seen.has(id.toString()));
+    frontier.forEach(id => {
+      seen.add(id.toString());
+      ids.push(id);
+    });
+  }
+
+  return ids;
+};
+
+// Builds the active category hierarchy as nested nodes ordered by sortOrder
+categorySchema.statics.buildTree = async function() {
+  const Post = mongoose.model('Post');
+
+  const [categories, counts] = await Promise.all([
+    this.find({ active: true }).sort({ sortOrder: 1, name: 1 }).lean(),
+    Post.aggregate([
+      { $match: Post.liveQuery() },
+      { $group: { _id: '$category', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const countById = new Map(counts.map(entry => [String(entry._id), entry.count]));
+  const nodes = new Map(categories.map(category => [String(category._id), {
+    _id: category._id,
+    name: category.name,
+    slug: category.slug,
+    description: category.description,
+    color: category.color,
+    icon: category.icon,
+    sortOrder: category.sortOrder,
+    parentCategory: category.parentCategory,
+    postCount: countById.get(String(category._id)) || 0,
+    subcategories: [],
+  }]));
+
+  const roots = [];
+  nodes.forEach(node => {
+    if (!node.parentCategory) {
+      roots.push(node);
+      return;
+    }
+
+    // Subcategories of an inactive parent are hidden along with it
+    const parent = nodes.get(String(node.parentCategory));
+    if (parent) parent.subcategories.push(node);
+  });
+
+  // Fill in fullPath and the post count of each subtree
+  const finalize = (node, parentPath) => {
+    node.fullPath = parentPath ? `${parentPath} / ${node.name}` : node.name;
+    node.totalPostCount = node.subcategories.reduce(
+      (total, child) => total + finalize(child, node.fullPath),
+      node.postCount
+    );
+    return node.totalPostCount;
+  };
+  roots.forEach(root => finalize(root, null));
+
+  return roots;
+};
+
+// Instance method to populate the whole parent chain so fullPath resolves
+categorySchema.methods.populateAncestors = async function() {
+  const visited = new Set([this._id.toString()]);
+  let current = this;
+
+  while (current.parentCategory && !visited.has(String(current.parentCategory._id || current.parentCategory))) {
+    const parentId = current.parentCategory._id || current.parentCategory;
+    const parent = await this.constructor.findById(parentId).select('name slug color icon parentCategory');
+
+    if (!parent) break;
+
+    visited.add(parent._id.toString());
+    current.parentCategory = parent;
+    current = parent;
+  }
+
+  return this;
+};
+
 module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const reactionsPlugin = require('./plugins/reactions');
+
+const commentSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  // The comment being replied to; top-level comments have none
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null,
+  },
+  // The top-level comment the thread starts from (its own id for top-level comments)
+  thread: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+  },
+  depth: {
+    type: Number,
+    default: 0,
+  },
+  // Cleared when the comment is deleted but kept as a tombstone
+  content: {
+    type: String,
+    required: function() {
+      return !this.deletedAt;
+    },
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+  },
+  edited: {
+    type: Boolean,
+    default: false,
+  },
+  editedAt: Date,
+  deletedAt: Date,
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  deletedByModerator: {
+    type: Boolean,
+    default: false,
+  },
+}, {
+  timestamps: true,
+});
+
+commentSchema.plugin(reactionsPlugin);
+
+// Indexes
+commentSchema.index({ post: 1, parent: 1, createdAt: 1 });
+commentSchema.index({ post: 1, thread: 1 });
+commentSchema.index({ parent: 1 });
+commentSchema.index({ user: 1 });
+
+const getMaxDepth = () => parseInt(process.env.COMMENT_MAX_DEPTH) || 3;
+
+const commentError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Keeps Post.commentsCount in step with the number of live comments
+const updateCommentsCount = (postId, change) => {
+  return mongoose.model('Post').updateOne({ _id: postId }, { $inc: { commentsCount: change } });
+};
+
+// Static method to add a comment to a post, or a reply to one of its comments
+commentSchema.statics.add = async function(postId, userId, content, parentId) {
+  const comment = new this({
+    post: postId,
+    user: userId,
+    content: content.trim(),
+  });
+
+  if (parentId) {
+    const parent = await this.findOne({ _id: parentId, post: postId });
+    if (!parent) {
+      throw commentError('Parent comment not found', 404);
+    }
+    if (parent.deletedAt) {
+      throw commentError('Cannot reply to a deleted comment', 400);
+    }
+    if (parent.depth >= getMaxDepth()) {
+      throw commentError(`Replies cannot be nested more than ${getMaxDepth()} levels deep`, 400);
+    }
+
+    comment.parent = parent._id;
+    comment.thread = parent.thread || parent._id;
+    comment.depth = parent.depth + 1;
+  } else {
+    comment.thread = comment._id;
+  }
+
+  await comment.save();
+  await updateCommentsCount(postId, 1);
+  return comment;
+};
+
+// Instance method to change the comment's text
+commentSchema.methods.edit = function(content) {
+  this.content = content.trim();
+  this.edited = true;
+  this.editedAt = new Date();
+  return this.save();
+};
+
+// Comments with replies, and comments removed by a moderator, are replaced by
+// a tombstone so the rest of the thread stays in place. Author-deleted
+// tombstones go away with their last reply.
+commentSchema.methods.removeFromThread = async function({ deletedBy, moderated = false } = {}) {
+  const Comment = this.constructor;
+  const hasReplies = await Comment.exists({ parent: this._id });
+
+  if (moderated || hasReplies) {
+    this.content = undefined;
+    this.deletedAt = new Date();
+    this.deletedBy = deletedBy;
+    this.deletedByModerator = moderated;
+    await this.save();
+  } else {
+    await this.deleteOne();
+
+    let parent = this.parent && await Comment.findById(this.parent);
+    while (parent && parent.deletedAt && !parent.deletedByModerator && !(await Comment.exists({ parent: parent._id }))) {
+      await parent.deleteOne();
+      parent = parent.parent && await Comment.findById(parent.parent);
+    }
+  }
+
+  await updateCommentsCount(this.post, -1);
+  return this;
+};
+
+const Comment = mongoose.model('Comment', commentSchema);
+
+module.exports = Comment;
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const followSchema = new mongoose.Schema({
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Follower is required'],
+  },
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Followed user is required'],
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ following: 1, createdAt: -1 });
+followSchema.index({ follower: 1, createdAt: -1 });
+
+// Keeps User.followersCount and User.followingCount in step
+const updateCounts = (followerId, followingId, change) => {
+  const User = mongoose.model('User');
+  return Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: change } }),
+    User.updateOne({ _id: followingId }, { $inc: { followersCount: change } }),
+  ]);
+};
+
+// Static method to follow a user; following twice is a no-op.
+// Resolves to whether a new follow was created.
+followSchema.statics.follow = async function(followerId, followingId) {
+  try {
+    const result = await this.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId } },
+      { upsert: true }
+    );
+
+    if (result.upsertedCount === 0) return false;
+  } catch (error) {
+    // A concurrent request created the same follow first
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  await updateCounts(followerId, followingId, 1);
+  return true;
+};
+
+// Static method to unfollow a user; unfollowing twice is a no-op.
+// Resolves to whether a follow was removed.
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const follow = await this.findOneAndDelete({ follower: followerId, following: followingId });
+  if (!follow) return false;
+
+  await updateCounts(followerId, followingId, -1);
+  return true;
+};
+
+// Static method to remove all of a deleted user's follows, updating the
+// counts of the users on the other side
+followSchema.statics.removeAllForUser = async function(userId) {
+  const User = mongoose.model('User');
+  const [followed, followers] = await Promise.all([
+    this.find({ follower: userId }).distinct('following'),
+    this.find({ following: userId }).distinct('follower'),
+  ]);
+
+  await Promise.all([
+    User.updateMany({ _id: { $in: followed } }, { $inc: { followersCount: -1 } }),
+    User.updateMany({ _id: { $in: followers } }, { $inc: { followingCount: -1 } }),
+  ]);
+
+  return this.deleteMany({ $or: [{ follower: userId }, { following: userId }] });
+};
+
+const Follow = mongoose.model('Follow', followSchema);
+
+module.exports = Follow;
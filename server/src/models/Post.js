@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
-const { slugify, calculateReadTime } = require('../utils/helpers');
+const { slugify, truncate } = require('../utils/helpers');
+const { renderMarkdown, htmlToText } = require('../utils/markdown');
+const { analyzeContent } = require('../utils/contentAnalysis');
+const { hasPermission } = require('../utils/permissions');
+const reactionsPlugin = require('./plugins/reactions');
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -15,6 +19,10 @@ const postSchema = new mongoose.Schema({
     minlength: [10, 'Content must be at least 10 characters long'],
     maxlength: [10000, 'Content cannot exceed 10000 characters'],
   },
+  // Sanitized HTML rendered from the Markdown in content
+  contentHtml: {
+    type: String,
+  },
   excerpt: {
     type: String,
     maxlength: [500, 'Excerpt cannot exceed 500 characters'],
@@ -24,6 +32,11 @@ const postSchema = new mongoose.Schema({
     unique: true,
     lowercase: true,
   },
+  // Slugs the post had before its title changed; they redirect to the current one
+  previousSlugs: [{
+    type: String,
+    lowercase: true,
+  }],
   author: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -47,12 +60,37 @@ const postSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // May be in the future, in which case the post goes live at that time
   publishedAt: {
     type: Date,
   },
+  // Whether the "post published" event has fired for the current publication
+  publishAnnounced: {
+    type: Boolean,
+    default: false,
+  },
   readTime: {
     type: Number, // in minutes
   },
+  // Derived from contentHtml whenever the content changes
+  contentStats: {
+    wordCount: Number,
+    characterCount: Number,
+    imageCount: Number,
+    codeBlockCount: Number,
+    outline: [{
+      _id: false,
+      level: Number,
+      text: String,
+      id: String,
+    }],
+    links: [{
+      _id: false,
+      href: String,
+      text: String,
+      external: Boolean,
+    }],
+  },
   views: {
     type: Number,
     default: 0,
@@ -67,27 +105,16 @@ const postSchema = new mongoose.Schema({
       default: Date.now,
     },
   }],
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true,
-    },
-    content: {
-      type: String,
-      required: true,
-      maxlength: [1000, 'Comment cannot exceed 1000 characters'],
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now,
-    },
-    edited: {
-      type: Boolean,
-      default: false,
-    },
-    editedAt: Date,
-  }],
+  // Kept in step with likes so posts can be sorted by it
+  likesCount: {
+    type: Number,
+    default: 0,
+  },
+  // Live comments, kept in step by the Comment model
+  commentsCount: {
+    type: Number,
+    default: 0,
+  },
   image: {
     url: String,
     alt: String,
@@ -111,24 +138,23 @@ const postSchema = new mongoose.Schema({
 });
 
 // Virtuals
-postSchema.virtual('likesCount').get(function() {
-  return this.likes ? this.likes.length : 0;
-});
-
-postSchema.virtual('commentsCount').get(function() {
-  return this.comments ? this.comments.length : 0;
-});
-
 postSchema.virtual('isPublished').get(function() {
   return this.published && this.publishedAt && this.publishedAt <= new Date();
 });
 
+postSchema.virtual('isScheduled').get(function() {
+  return this.published && this.publishedAt && this.publishedAt > new Date();
+});
+
 postSchema.virtual('url').get(function() {
   return `/posts/${this.slug}`;
 });
 
+postSchema.plugin(reactionsPlugin);
+
 // Indexes
 postSchema.index({ slug: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ author: 1 });
 postSchema.index({ category: 1 });
 postSchema.index({ published: 1, publishedAt: -1 });
@@ -136,24 +162,24 @@ postSchema.index({ tags: 1 });
 postSchema.index({ featured: 1 });
 postSchema.index({ title: 'text', content: 'text', excerpt: 'text' });
 
+// Length of generated excerpts, before the ellipsis
+const EXCERPT_LENGTH = 200;
+
 // Pre-save middleware
 postSchema.pre('save', function(next) {
-  // Generate slug if not provided
-  if (!this.slug) {
-    this.slug = slugify(this.title);
+  // Render the Markdown; excerpt and read time go by the text readers see
+  if (this.content && (this.isModified('content') || !this.contentHtml || this.contentStats?.wordCount == null)) {
+    this.contentHtml = renderMarkdown(this.content);
+
+    const { readTime, ...contentStats } = analyzeContent(this.contentHtml);
+    this.readTime = readTime;
+    this.contentStats = contentStats;
   }
+  const text = this.contentHtml ? htmlToText(this.contentHtml).replace(/\s+/g, ' ') : '';
   
   // Generate excerpt if not provided
-  if (!this.excerpt && this.content) {
-    const maxLength = 200;
-    this.excerpt = this.content.length > maxLength 
-      ? this.content.substring(0, maxLength).trim() + '...'
-      : this.content;
-  }
-  
-  // Calculate read time
-  if (this.content) {
-    this.readTime = calculateReadTime(this.content);
+  if (!this.excerpt && text) {
+    this.excerpt = truncate(text, EXCERPT_LENGTH);
   }
   
   // Set published date when publishing
@@ -161,6 +187,15 @@ postSchema.pre('save', function(next) {
     this.publishedAt = new Date();
   }
   
+  if (this.isModified('likes')) {
+    this.likesCount = this.likes.length;
+  }
+  
+  // Announce again whenever the post is rescheduled or republished
+  if (this.isModified('publishedAt') || (this.isModified('published') && this.published)) {
+    this.publishAnnounced = false;
+  }
+  
   // Generate SEO meta title if not provided
   if (!this.seo?.metaTitle) {
     if (!this.seo) this.seo = {};
@@ -180,59 +215,113 @@ postSchema.pre('save', function(next) {
   next();
 });
 
-// Instance methods
-postSchema.methods.addLike = function(userId) {
-  const existingLike = this.likes.find(like => like.user.toString() === userId.toString());
-  
-  if (existingLike) {
-    throw new Error('Post already liked by this user');
+// Give new posts a unique slug and regenerate it when the title changes,
+// keeping the old one so existing links still resolve
+postSchema.pre('save', async function() {
+  const titleChanged = !this.isNew && this.isModified('title');
+  if (this.slug && !titleChanged) return;
+
+  const slug = await this.constructor.generateSlug(this.title, this._id);
+  if (slug === this.slug) return;
+
+  if (this.slug) {
+    this.previousSlugs.addToSet(this.slug);
   }
-  
-  this.likes.push({ user: userId });
-  return this.save();
+  this.previousSlugs.pull(slug);
+  this.slug = slug;
+});
+
+// Instance methods
+// Unpublished and scheduled posts are only visible to their author and moderators
+postSchema.methods.isVisibleTo = function(user) {
+  return this.isPublished || hasPermission(user, 'post:read', this);
+};
+
+// Static methods
+// Conditions for posts that are published and whose publish time has come
+postSchema.statics.liveQuery = function() {
+  return {
+    published: true,
+    publishedAt: { $lte: new Date() },
+  };
+};
+
+postSchema.statics.findPublished = function() {
+  return this.find(this.liveQuery()).sort({ publishedAt: -1 });
 };
 
-postSchema.methods.removeLike = function(userId) {
-  this.likes = this.likes.filter(like => like.user.toString() !== userId.toString());
-  return this.save();
+postSchema.statics.findBySlug = function(slug) {
+  return this.findOne({ slug, ...this.liveQuery() });
 };
 
-postSchema.methods.addComment = function(userId, content) {
-  this.comments.push({
-    user: userId,
-    content: content.trim(),
-  });
-  return this.save();
+// Static method to build the excerpt used when a post doesn't set its own
+postSchema.statics.generateExcerpt = function(html) {
+  return truncate(htmlToText(html).replace(/\s+/g, ' '), EXCERPT_LENGTH);
 };
 
-postSchema.methods.updateComment = function(commentId, content) {
-  const comment = this.comments.id(commentId);
-  if (!comment) {
-    throw new Error('Comment not found');
+// Static method to build a slug from a title that no other post uses, now or
+// in the past, by appending -2, -3, ... when needed
+postSchema.statics.generateSlug = async function(title, excludeId) {
+  const base = slugify(title) || 'post';
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+
+  const posts = await this.find({
+    _id: { $ne: excludeId },
+    $or: [{ slug: pattern }, { previousSlugs: pattern }],
+  }).select('slug previousSlugs').lean();
+
+  const taken = new Set(posts.flatMap(post => [post.slug, ...(post.previousSlugs || [])]));
+  if (!taken.has(base)) return base;
+
+  let suffix = 2;
+  while (taken.has(`${base}-${suffix}`)) {
+    suffix++;
   }
-  
-  comment.content = content.trim();
-  comment.edited = true;
-  comment.editedAt = new Date();
-  
-  return this.save();
+  return `${base}-${suffix}`;
 };
 
-postSchema.methods.removeComment = function(commentId) {
-  this.comments = this.comments.filter(comment => comment._id.toString() !== commentId.toString());
-  return this.save();
+// Slugs are checked before they are saved, so two new posts with the same
+// title can race for one; the loser picks the next free slug and tries again
+const SLUG_SAVE_ATTEMPTS = 5;
+
+postSchema.methods.saveWithUniqueSlug = async function() {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await this.save();
+    } catch (error) {
+      const slugTaken = error.code === 11000 && error.keyPattern?.slug;
+      if (!slugTaken || !this.isNew || attempt >= SLUG_SAVE_ATTEMPTS) throw error;
+      this.slug = undefined;
+    }
+  }
 };
 
-// Static methods
-postSchema.statics.findPublished = function() {
-  return this.find({
-    published: true,
-    publishedAt: { $lte: new Date() }
-  }).sort({ publishedAt: -1 });
+// Static method to like a post in a single atomic update. Liking twice is a
+// no-op. Resolves to the post's like count, or null if the post is gone.
+postSchema.statics.addLike = async function(postId, userId) {
+  const post = await this.findOneAndUpdate(
+    { _id: postId, 'likes.user': { $ne: userId } },
+    { $push: { likes: { user: userId } }, $inc: { likesCount: 1 } },
+    { new: true, projection: { likesCount: 1 } }
+  );
+  if (post) return post.likesCount;
+
+  const existing = await this.findById(postId).select('likesCount');
+  return existing ? existing.likesCount : null;
 };
 
-postSchema.statics.findBySlug = function(slug) {
-  return this.findOne({ slug, published: true });
+// Static method to unlike a post in a single atomic update; unliking a post
+// that isn't liked is a no-op
+postSchema.statics.removeLike = async function(postId, userId) {
+  const post = await this.findOneAndUpdate(
+    { _id: postId, 'likes.user': userId },
+    { $pull: { likes: { user: userId } }, $inc: { likesCount: -1 } },
+    { new: true, projection: { likesCount: 1 } }
+  );
+  if (post) return post.likesCount;
+
+  const existing = await this.findById(postId).select('likesCount');
+  return existing ? existing.likesCount : null;
 };
 
 postSchema.statics.incrementViews = function(postId) {
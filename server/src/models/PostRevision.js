@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Post fields captured in every revision
+const TRACKED_FIELDS = ['title', 'content', 'excerpt', 'tags', 'category'];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: [true, 'Post is required'],
+  },
+  // Sequential per post, starting at 1
+  number: {
+    type: Number,
+    required: true,
+  },
+  editor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  changedFields: [{
+    type: String,
+    enum: TRACKED_FIELDS,
+  }],
+  // Set when this revision was created by restoring an older one
+  restoredFrom: Number,
+  title: String,
+  content: String,
+  excerpt: String,
+  tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category',
+  },
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+const getRetentionLimit = () => parseInt(process.env.POST_REVISION_LIMIT) || 50;
+
+const snapshot = (post) => ({
+  title: post.title,
+  content: post.content,
+  excerpt: post.excerpt,
+  tags: [...(post.tags || [])],
+  category: post.category?._id || post.category,
+});
+
+// Concurrent updates to a post can race for the same revision number; the
+// loser reads the latest number again and tries the next one
+const RECORD_ATTEMPTS = 5;
+
+// Static method to store the post's current state as its next revision,
+// dropping the oldest revisions beyond the retention limit
+postRevisionSchema.statics.record = async function(post, editor, { changedFields = TRACKED_FIELDS, restoredFrom } = {}) {
+  let revision;
+  for (let attempt = 1; !revision; attempt++) {
+    const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+
+    try {
+      revision = await this.create({
+        post: post._id,
+        number: latest ? latest.number + 1 : 1,
+        editor,
+        changedFields,
+        restoredFrom,
+        ...snapshot(post),
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= RECORD_ATTEMPTS) throw error;
+    }
+  }
+
+  const stale = await this.find({ post: post._id })
+    .sort({ number: -1 })
+    .skip(getRetentionLimit())
+    .select('_id');
+
+  if (stale.length > 0) {
+    await this.deleteMany({ _id: { $in: stale.map(revision => revision._id) } });
+  }
+
+  return revision;
+};
+
+// Static method to record the state of a post from before revisions were kept,
+// so its original text survives the first update
+postRevisionSchema.statics.ensureBaseline = async function(post) {
+  if (await this.exists({ post: post._id })) {
+    return null;
+  }
+
+  return this.record(post, post.author?._id || post.author);
+};
+
+const PostRevision = mongoose.model('PostRevision', postRevisionSchema);
+
+module.exports = PostRevision;
+module.exports.TRACKED_FIELDS = TRACKED_FIELDS;
@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { generateRefreshToken, verifyRefreshToken } = require('../utils/auth');
+
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Every token obtained by rotating the same login shares a family
+  family: {
+    type: String,
+    required: true,
+  },
+  usedAt: Date,
+  replacedBy: String,
+  revokedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// Indexes
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const refreshError = (message) => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+// Static method to issue and persist a refresh token, starting a new family if none is given
+refreshTokenSchema.statics.issue = async function(user, family = crypto.randomUUID()) {
+  const jti = crypto.randomUUID();
+  const token = generateRefreshToken(user, { jti, family });
+  const { exp } = verifyRefreshToken(token);
+
+  await this.create({
+    user: user._id,
+    jti,
+    family,
+    expiresAt: new Date(exp * 1000),
+  });
+
+  return token;
+};
+
+// Static method to exchange a refresh token for the next one in its family.
+// Presenting a token that was already rotated revokes the whole family.
+refreshTokenSchema.statics.rotate = async function(token) {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token);
+  } catch (error) {
+    throw refreshError('Invalid refresh token');
+  }
+
+  const record = await this.findOne({ jti: decoded.jti });
+
+  if (!record || record.user.toString() !== String(decoded.id)) {
+    throw refreshError('Invalid refresh token');
+  }
+
+  if (record.usedAt || record.revokedAt) {
+    await this.revokeFamily(record.family);
+    throw refreshError('Refresh token reuse detected');
+  }
+
+  const user = await mongoose.model('User').findById(record.user);
+  if (!user || !user.isActive) {
+    await this.revokeFamily(record.family);
+    throw refreshError('User not found');
+  }
+
+  const refreshToken = await this.issue(user, record.family);
+
+  // Only the first concurrent rotation wins; the rest count as reuse
+  const claimed = await this.findOneAndUpdate(
+    { _id: record._id, usedAt: null, revokedAt: null },
+    { $set: { usedAt: new Date(), replacedBy: verifyRefreshToken(refreshToken).jti } }
+  );
+
+  if (!claimed) {
+    await this.revokeFamily(record.family);
+    throw refreshError('Refresh token reuse detected');
+  }
+
+  return { user, refreshToken, family: record.family };
+};
+
+refreshTokenSchema.statics.revokeFamily = function(family) {
+  return this.updateMany(
+    { family, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+// Static method to revoke the family of a presented token, ignoring tokens that are invalid or not the user's
+refreshTokenSchema.statics.revokeByToken = async function(token, userId) {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token);
+  } catch (error) {
+    return;
+  }
+
+  const record = await this.findOne({ jti: decoded.jti, user: userId });
+  if (record) {
+    await this.revokeFamily(record.family);
+  }
+};
+
+refreshTokenSchema.statics.revokeAllForUser = function(userId) {
+  return this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+};
+
+module.exports = mongoose.model('RefreshToken', refreshTokenSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // The token's own expiry; once it passes the entry is no longer needed
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+});
+
+// TTL index - MongoDB removes entries once the revoked token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to revoke a decoded access token
+revokedTokenSchema.statics.revoke = function(decoded) {
+  return this.updateOne(
+    { jti: decoded.jti },
+    {
+      $setOnInsert: {
+        jti: decoded.jti,
+        user: decoded.id,
+        expiresAt: new Date(decoded.exp * 1000),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return !!(await this.exists({ jti }));
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
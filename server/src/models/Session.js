@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const RefreshToken = require('./RefreshToken');
+const { generateToken, verifyRefreshToken } = require('../utils/auth');
+
+// Last-seen timestamps are written at most once per interval
+const LAST_SEEN_INTERVAL = 60 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required'],
+  },
+  userAgent: String,
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now,
+  },
+  revokedAt: Date,
+  // Follows the session's latest refresh token
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true },
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ['Windows', /Windows/],
+  ['iOS', /iPhone|iPad/],
+  ['macOS', /Mac OS X/],
+  ['Android', /Android/],
+  ['Linux', /Linux/],
+];
+
+// Virtual for a readable device label, e.g. "Firefox on Linux"
+sessionSchema.virtual('device').get(function() {
+  if (!this.userAgent) return 'Unknown device';
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(this.userAgent));
+  const os = OPERATING_SYSTEMS.find(([, pattern]) => pattern.test(this.userAgent));
+
+  if (!browser && !os) return this.userAgent.split(' ')[0];
+  return [browser && browser[0], os && os[0]].filter(Boolean).join(' on ');
+});
+
+// Static method to start a session for a login. The session id doubles as the
+// refresh token family, so revoking the session also ends its refresh tokens.
+sessionSchema.statics.start = async function(user, { ip, userAgent } = {}) {
+  const session = new this({ user: user._id, ip, userAgent });
+  const refreshToken = await RefreshToken.issue(user, session._id.toString());
+
+  session.expiresAt = new Date(verifyRefreshToken(refreshToken).exp * 1000);
+  await session.save();
+
+  return {
+    session,
+    token: generateToken(user, { sessionId: session._id }),
+    refreshToken,
+  };
+};
+
+// Static method to find a session that can still be used
+sessionSchema.statics.findActive = function(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return this.findOne({ _id: id, revokedAt: null, expiresAt: { $gt: Date.now() } });
+};
+
+// Instance method to record activity, throttled so busy sessions don't write on every request
+sessionSchema.methods.touch = function(ip, { expiresAt } = {}) {
+  if (!expiresAt && this.lastSeenAt && Date.now() - this.lastSeenAt < LAST_SEEN_INTERVAL) {
+    return Promise.resolve();
+  }
+
+  const updates = { lastSeenAt: new Date(), ...(ip && { ip }), ...(expiresAt && { expiresAt }) };
+  Object.assign(this, updates);
+  return this.updateOne({ $set: updates });
+};
+
+// Instance method to end the session and its refresh tokens
+sessionSchema.methods.revoke = async function() {
+  this.revokedAt = new Date();
+  await this.updateOne({ $set: { revokedAt: this.revokedAt } });
+  await RefreshToken.revokeFamily(this._id.toString());
+};
+
+sessionSchema.statics.revokeAllForUser = async function(userId) {
+  await this.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  await RefreshToken.revokeAllForUser(userId);
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { generateSecret, verifyTotp } = require('../utils/totp');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -58,14 +60,68 @@ const userSchema = new mongoose.Schema({
     default: false,
   },
   emailVerificationToken: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
   lastLogin: Date,
+  // Kept in step by the Follow model
+  followersCount: {
+    type: Number,
+    default: 0,
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+  },
+  // Tags whose posts show up in the user's feed
+  followedTags: [{
+    type: String,
+    lowercase: true,
+    trim: true,
+  }],
   loginAttempts: {
     type: Number,
     default: 0,
   },
   lockUntil: Date,
+  // Most recent failed login attempts, newest last
+  failedLogins: {
+    type: [{
+      _id: false,
+      at: { type: Date, default: Date.now },
+      ip: String,
+      userAgent: String,
+    }],
+    select: false,
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    // Base32 TOTP secret; set during enrollment, active once enabled
+    secret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP time step, so a code can't be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    enabledAt: Date,
+  },
+  // Bumped to invalidate every access token issued before it
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -107,21 +163,130 @@ userSchema.methods.matchPassword = async function(enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Instance method to increment login attempts
-userSchema.methods.incLoginAttempts = function() {
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.trim().toLowerCase()).digest('hex');
+};
+
+// Instance method to start 2FA enrollment with a fresh secret
+userSchema.methods.startTwoFactorSetup = function() {
+  this.twoFactor.secret = generateSecret();
+  this.twoFactor.enabled = false;
+  return this.twoFactor.secret;
+};
+
+// Instance method to check a TOTP code (requires +twoFactor.secret +twoFactor.lastUsedStep).
+// Accepted codes are consumed so they can't be replayed.
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  if (!this.twoFactor.secret) return false;
+
+  const step = verifyTotp(this.twoFactor.secret, code);
+  if (step === null) return false;
+
+  const result = await this.constructor.updateOne(
+    {
+      _id: this._id,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } },
+      ],
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Instance method to generate new recovery codes; returns the plain codes (shown once)
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+// Instance method to spend a recovery code; each code works once
+userSchema.methods.useRecoveryCode = async function(code) {
+  if (!code) return false;
+
+  const hashedCode = hashRecoveryCode(code);
+  const result = await this.constructor.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': hashedCode },
+    { $pull: { 'twoFactor.recoveryCodes': hashedCode } }
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Lockout thresholds, configurable through the environment
+const MAX_FAILED_LOGINS_KEPT = 20;
+
+const getLockoutSettings = () => ({
+  maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5,
+  lockTime: (parseInt(process.env.LOGIN_LOCK_MINUTES) || 120) * 60 * 1000, // 2 hours by default
+});
+
+const loginError = (message, code, extra = {}) => {
+  const error = new Error(message);
+  error.status = 401;
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+};
+
+// Instance method to clear failed attempts and stamp the login time
+userSchema.methods.recordLogin = function() {
+  if (this.loginAttempts > 0) {
+    return this.updateOne({
+      $unset: { loginAttempts: 1, lockUntil: 1 },
+      $set: { lastLogin: new Date() }
+    });
+  }
+
+  return this.updateOne({ $set: { lastLogin: new Date() } });
+};
+
+// Reports the lock straight away when the failed attempt is the one that triggered it
+const throwFailedAttempt = async (User, user, message, code) => {
+  const updated = await User.findById(user._id).select('lockUntil');
+  if (updated && updated.isLocked) {
+    throw loginError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+      lockedNow: true,
+      email: user.email,
+      lockUntil: updated.lockUntil,
+      retryAfter: Math.ceil((updated.lockUntil - Date.now()) / 1000),
+    });
+  }
+
+  throw loginError(message, code);
+};
+
+// Instance method to increment login attempts, recording where the attempt came from
+userSchema.methods.incLoginAttempts = function({ ip, userAgent } = {}) {
+  const recordAttempt = {
+    $push: {
+      failedLogins: {
+        $each: [{ at: new Date(), ip, userAgent }],
+        $slice: -MAX_FAILED_LOGINS_KEPT,
+      },
+    },
+  };
+
   // If we have a previous lock that has expired, restart at 1
   if (this.lockUntil && this.lockUntil < Date.now()) {
     return this.updateOne({
       $unset: { lockUntil: 1 },
-      $set: { loginAttempts: 1 }
+      $set: { loginAttempts: 1 },
+      ...recordAttempt,
     });
   }
   
-  const updates = { $inc: { loginAttempts: 1 } };
+  const updates = { $inc: { loginAttempts: 1 }, ...recordAttempt };
   
   // Lock the account if we've reached max attempts and it's not locked already
-  const maxAttempts = 5;
-  const lockTime = 2 * 60 * 60 * 1000; // 2 hours
+  const { maxAttempts, lockTime } = getLockoutSettings();
   
   if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked) {
     updates.$set = { lockUntil: Date.now() + lockTime };
@@ -130,38 +295,125 @@ userSchema.methods.incLoginAttempts = function() {
   return this.updateOne(updates);
 };
 
-// Static method to find user by credentials
-userSchema.statics.findByCredentials = async function(email, password) {
+// Instance method to clear a lockout (admin unlock)
+userSchema.methods.unlock = function() {
+  return this.updateOne({
+    $set: { loginAttempts: 0 },
+    $unset: { lockUntil: 1 },
+  });
+};
+
+// Instance method to issue a password reset token.
+// Only a SHA-256 hash is stored; the raw token goes into the emailed link.
+userSchema.methods.createPasswordResetToken = function() {
+  const resetToken = crypto.randomBytes(32).toString('hex');
+  const expiresInMinutes = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES) || 60;
+
+  this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+  return resetToken;
+};
+
+// Static method to find the user owning an unexpired password reset token
+userSchema.statics.findByPasswordResetToken = function(resetToken) {
+  const hashedToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+
+  return this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() },
+  });
+};
+
+// Instance method to issue an email verification token (stored hashed, like reset tokens)
+userSchema.methods.createEmailVerificationToken = function() {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+  const expiresInHours = parseInt(process.env.EMAIL_VERIFICATION_EXPIRE_HOURS) || 24;
+
+  this.emailVerificationToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + expiresInHours * 60 * 60 * 1000);
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+// Static method to find the user owning an unexpired email verification token
+userSchema.statics.findByEmailVerificationToken = function(verificationToken) {
+  const hashedToken = crypto.createHash('sha256').update(verificationToken).digest('hex');
+
+  return this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: new Date() },
+  });
+};
+
+// Static method to find user by credentials.
+// Errors carry status 401 and a code (INVALID_CREDENTIALS or ACCOUNT_LOCKED);
+// lockout errors also carry lockUntil and retryAfter (seconds).
+userSchema.statics.findByCredentials = async function(email, password, context = {}) {
   const user = await this.findOne({ email }).select('+password');
   
-  if (!user) {
-    throw new Error('Invalid credentials');
+  // Deactivated accounts get the same answer as unknown ones, before any
+  // password check, so it can't tell whether the password was right
+  if (!user || !user.isActive) {
+    throw loginError('Invalid credentials', 'INVALID_CREDENTIALS');
   }
   
   // Check if account is locked
   if (user.isLocked) {
-    await user.incLoginAttempts();
-    throw new Error('Account temporarily locked due to too many failed login attempts');
+    await user.incLoginAttempts(context);
+    throw loginError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+      lockUntil: user.lockUntil,
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000),
+    });
   }
   
   const isMatch = await user.matchPassword(password);
   
   if (!isMatch) {
-    await user.incLoginAttempts();
-    throw new Error('Invalid credentials');
+    await user.incLoginAttempts(context);
+    return throwFailedAttempt(this, user, 'Invalid credentials', 'INVALID_CREDENTIALS');
   }
   
-  // Reset login attempts on successful login
-  if (user.loginAttempts > 0) {
-    await user.updateOne({
-      $unset: { loginAttempts: 1, lockUntil: 1 },
-      $set: { lastLogin: new Date() }
-    });
-  } else {
-    await user.updateOne({ $set: { lastLogin: new Date() } });
+  // With 2FA the login only completes after the second factor, so attempts
+  // keep counting until then
+  if (!user.twoFactor.enabled) {
+    await user.recordLogin();
   }
   
   return user;
 };
 
+// Static method for the second step of a two-factor login. Accepts either a
+// TOTP code or a recovery code; failures count towards the account lockout.
+userSchema.statics.verifySecondFactor = async function(userId, { code, recoveryCode } = {}, context = {}) {
+  const user = await this.findById(userId).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+  if (!user || !user.isActive || !user.twoFactor.enabled) {
+    throw loginError('Invalid credentials', 'INVALID_CREDENTIALS');
+  }
+
+  if (user.isLocked) {
+    await user.incLoginAttempts(context);
+    throw loginError('Account temporarily locked due to too many failed login attempts', 'ACCOUNT_LOCKED', {
+      lockUntil: user.lockUntil,
+      retryAfter: Math.ceil((user.lockUntil - Date.now()) / 1000),
+    });
+  }
+
+  const isValid = recoveryCode
+    ? await user.useRecoveryCode(recoveryCode)
+    : await user.verifyTwoFactorCode(code);
+
+  if (!isValid) {
+    await user.incLoginAttempts(context);
+    return throwFailedAttempt(this, user, 'Invalid two-factor code', 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  await user.recordLogin();
+  return user;
+};
+
+userSchema.statics.getLockoutSettings = getLockoutSettings;
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+// Emoji reactions, stored like likes: one subdocument per user and reaction,
+// with a running count per reaction type for cheap list responses.
+
+const DEFAULT_REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'sad', 'angry'];
+
+// Reaction types can be changed with REACTION_TYPES (comma-separated)
+const getReactionTypes = () => {
+  if (!process.env.REACTION_TYPES) return DEFAULT_REACTION_TYPES;
+  return process.env.REACTION_TYPES.split(',').map(type => type.trim()).filter(Boolean);
+};
+
+// By default a new reaction replaces the user's previous one
+const allowsMultipleReactions = () => process.env.REACTIONS_ALLOW_MULTIPLE === 'true';
+
+// Counts per reaction type, leaving out types nobody uses any more
+const summarizeReactions = (counts) => {
+  const entries = counts instanceof Map ? [...counts] : Object.entries(counts || {});
+  return Object.fromEntries(entries.filter(([, count]) => count > 0));
+};
+
+// Concurrent changes can make a conditional update miss; retry this many times
+const SINGLE_REACTION_ATTEMPTS = 5;
+
+// Single-reaction mode: each step is one conditional update, so concurrent
+// requests can't leave a user with two reactions. The reaction is added only
+// if the user has none, or swapped in place from the exact type it was read as.
+const addSingleReaction = async (Model, id, userId, type) => {
+  for (let attempt = 0; attempt < SINGLE_REACTION_ATTEMPTS; attempt++) {
+    const added = await Model.findOneAndUpdate(
+      { _id: id, 'reactions.user': { $ne: userId } },
+      {
+        $push: { reactions: { user: userId, type } },
+        $inc: { [`reactionCounts.${type}`]: 1 },
+      },
+      { new: true, projection: { reactionCounts: 1 } }
+    );
+    if (added) return added;
+
+    const current = await Model.findOne(
+      { _id: id, 'reactions.user': userId },
+      { reactions: { $elemMatch: { user: userId } } }
+    );
+    if (!current) {
+      // Either the document is gone or the reaction was just removed
+      if (!(await Model.exists({ _id: id }))) return null;
+      continue;
+    }
+
+    const previousType = current.reactions[0].type;
+    if (previousType === type) break;
+
+    const swapped = await Model.findOneAndUpdate(
+      { _id: id, reactions: { $elemMatch: { user: userId, type: previousType } } },
+      {
+        $set: { 'reactions.$.type': type, 'reactions.$.createdAt': new Date() },
+        $inc: { [`reactionCounts.${type}`]: 1, [`reactionCounts.${previousType}`]: -1 },
+      },
+      { new: true, projection: { reactionCounts: 1 } }
+    );
+    if (swapped) return swapped;
+  }
+
+  return Model.findById(id).select('reactionCounts');
+};
+
+const reactionsPlugin = (schema) => {
+  schema.add({
+    reactions: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      type: {
+        type: String,
+        required: true,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    reactionCounts: {
+      type: Map,
+      of: Number,
+      default: () => new Map(),
+    },
+  });
+
+  // Static method to add a user's reaction with atomic updates; reacting twice
+  // is a no-op. Resolves to the document's counts, or null if it is gone.
+  schema.statics.addReaction = async function(id, userId, type) {
+    if (!allowsMultipleReactions()) {
+      return addSingleReaction(this, id, userId, type);
+    }
+
+    const doc = await this.findOneAndUpdate(
+      { _id: id, reactions: { $not: { $elemMatch: { user: userId, type } } } },
+      {
+        $push: { reactions: { user: userId, type } },
+        $inc: { [`reactionCounts.${type}`]: 1 },
+      },
+      { new: true, projection: { reactionCounts: 1 } }
+    );
+
+    return doc || this.findById(id).select('reactionCounts');
+  };
+
+  // Static method to remove a user's reaction atomically; removing a reaction
+  // that isn't there is a no-op
+  schema.statics.removeReaction = async function(id, userId, type) {
+    const doc = await this.findOneAndUpdate(
+      { _id: id, reactions: { $elemMatch: { user: userId, type } } },
+      {
+        $pull: { reactions: { user: userId, type } },
+        $inc: { [`reactionCounts.${type}`]: -1 },
+      },
+      { new: true, projection: { reactionCounts: 1 } }
+    );
+
+    return doc || this.findById(id).select('reactionCounts');
+  };
+
+  // Instance method listing the reaction types the user has added
+  schema.methods.getUserReactions = function(userId) {
+    if (!userId) return [];
+    return this.reactions
+      .filter(reaction => reaction.user && reaction.user.toString() === userId.toString())
+      .map(reaction => reaction.type);
+  };
+};
+
+module.exports = reactionsPlugin;
+module.exports.getReactionTypes = getReactionTypes;
+module.exports.allowsMultipleReactions = allowsMultipleReactions;
+module.exports.summarizeReactions = summarizeReactions;
@@ -0,0 +1,135 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { API_KEY_SCOPES } = require('../models/ApiKey');
+const { auth, requireSession } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Keys can only be managed from a logged-in session, never with another key
+router.use(auth, requireSession);
+
+// @route   GET /api/api-keys
+// @desc    List the current user's API keys
+// @access  Private
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { apiKeys },
+    });
+  } catch (error) {
+    logger.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving API keys',
+    });
+  }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key; the key is only returned in this response
+// @access  Private
+router.post('/', [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Name must be between 1 and 50 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(API_KEY_SCOPES)
+    .withMessage(`Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Expiry must be between 1 and 365 days'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    const { apiKey, key } = await ApiKey.generate({
+      user: req.user._id,
+      name,
+      scopes,
+      expiresAt: expiresInDays
+        ? new Date(Date.now() + parseInt(expiresInDays) * 24 * 60 * 60 * 1000)
+        : undefined,
+    });
+
+    logger.info(`API key created: ${apiKey.prefix} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again',
+      data: { apiKey, key },
+    });
+  } catch (error) {
+    logger.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating API key',
+    });
+  }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key
+// @access  Private
+router.delete('/:id', async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+
+    logger.info(`API key revoked: ${apiKey.prefix} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      data: { apiKey },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found',
+      });
+    }
+
+    logger.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error revoking API key',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,17 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken, generateRefreshToken } = require('../utils/auth');
-const { auth } = require('../middleware/auth');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const Session = require('../models/Session');
+const {
+  generateToken,
+  verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+} = require('../utils/auth');
+const { sendMail, clientUrl } = require('../utils/mailer');
+const { auth, requireSession } = require('../middleware/auth');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -48,6 +57,41 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Issues a fresh verification token and emails the link to the user
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.username},\n\n`
+      + 'Please confirm your email address by opening the link below.\n\n'
+      + `${clientUrl('/verify-email', { token: verificationToken })}\n\n`
+      + `The link expires at ${user.emailVerificationExpires.toISOString()}.`,
+  });
+};
+
+// Tells the account owner their account was locked; failures are only logged
+const sendLockoutNotification = async (email, lockUntil, req) => {
+  try {
+    const user = await User.findOne({ email });
+    if (!user) return;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `Hi ${user.username},\n\n`
+        + 'Your account was locked after too many failed login attempts, '
+        + `the last one from ${req.ip} (${req.get('User-Agent') || 'unknown device'}).\n\n`
+        + `You can try again after ${new Date(lockUntil).toISOString()}. `
+        + `If this wasn't you, consider resetting your password: ${clientUrl('/forgot-password')}`,
+    });
+  } catch (mailError) {
+    logger.error('Lockout notification error:', mailError);
+  }
+};
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -77,9 +121,18 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
       lastName,
     });
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    // A failed verification email shouldn't fail the registration; it can be resent
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      logger.error('Verification email error:', mailError);
+    }
+
+    // Start a session and generate its tokens
+    const { token, refreshToken } = await Session.start(user, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
 
     logger.info(`New user registered: ${user.email}`);
 
@@ -94,6 +147,7 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
           firstName: user.firstName,
           lastName: user.lastName,
           role: user.role,
+          emailVerified: user.emailVerified,
           createdAt: user.createdAt,
         },
         token,
@@ -109,6 +163,64 @@ router.post('/register', registerValidation, handleValidationErrors, async (req,
   }
 });
 
+// Starts a session and issues its tokens once every login step has passed
+const sendLoginResponse = async (req, res, user) => {
+  const { token, refreshToken } = await Session.start(user, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+  });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    data: {
+      user: {
+        id: user._id,
+        username: user.username,
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        lastLogin: user.lastLogin,
+      },
+      token,
+      refreshToken,
+    },
+  });
+};
+
+// Maps credential and lockout errors raised by the User model to a response
+const handleLoginError = async (error, req, res) => {
+  if (error.code === 'INVALID_CREDENTIALS' || error.code === 'INVALID_TWO_FACTOR_CODE') {
+    res.status(401).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+    });
+    return true;
+  }
+
+  if (error.code === 'ACCOUNT_LOCKED') {
+    if (error.lockedNow) {
+      await sendLockoutNotification(error.email || req.body.email, error.lockUntil, req);
+    }
+
+    res.set('Retry-After', String(error.retryAfter));
+    res.status(401).json({
+      success: false,
+      error: error.message,
+      code: error.code,
+      retryAfter: error.retryAfter,
+      lockedUntil: error.lockUntil,
+    });
+    return true;
+  }
+
+  return false;
+};
+
 // @route   POST /api/auth/login
 // @desc    Login user
 // @access  Public
@@ -117,46 +229,131 @@ router.post('/login', loginValidation, handleValidationErrors, async (req, res)
     const { email, password } = req.body;
 
     // Find user and include password field
-    const user = await User.findByCredentials(email, password);
+    const user = await User.findByCredentials(email, password, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    // Accounts with 2FA get a short-lived challenge instead of tokens
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+        },
+      });
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    logger.error('Login error:', error);
+    
+    // Handle credential and lockout errors raised by findByCredentials
+    if (await handleLoginError(error, req, res)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login',
+    });
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-factor login with a TOTP or recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code')
+    .if(body('recoveryCode').not().exists())
+    .matches(/^\d{6}$/)
+    .withMessage('A 6-digit code or a recovery code is required'),
+  body('recoveryCode')
+    .optional()
+    .isString()
+    .withMessage('Recovery code must be a string'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    let challenge;
+    try {
+      challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge token',
+      });
+    }
+
+    const user = await User.verifySecondFactor(challenge.id, {
+      code: req.body.code,
+      recoveryCode: req.body.recoveryCode,
+    }, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+    });
+
+    if (req.body.recoveryCode) {
+      logger.warn(`Recovery code used to log in: ${user.email}`);
+    }
+
+    await sendLoginResponse(req, res, user);
+  } catch (error) {
+    logger.error('Two-factor login error:', error);
 
-    // Generate tokens
-    const token = generateToken(user);
-    const refreshToken = generateRefreshToken(user);
+    if (await handleLoginError(error, req, res)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error during login',
+    });
+  }
+});
 
-    logger.info(`User logged in: ${user.email}`);
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { user, refreshToken, family } = await RefreshToken.rotate(req.body.refreshToken);
+
+    // Keep the session alive for as long as its new refresh token
+    const session = await Session.findActive(family);
+    if (session) {
+      await session.touch(req.ip, { expiresAt: new Date(verifyRefreshToken(refreshToken).exp * 1000) });
+    }
+
+    const token = generateToken(user, { sessionId: session?._id });
+
+    logger.info(`Token refreshed for user: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Login successful',
+      message: 'Token refreshed successfully',
       data: {
-        user: {
-          id: user._id,
-          username: user.username,
-          email: user.email,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          role: user.role,
-          lastLogin: user.lastLogin,
-        },
         token,
         refreshToken,
       },
     });
   } catch (error) {
-    logger.error('Login error:', error);
-    
-    // Handle specific error messages
-    if (error.message === 'Invalid credentials' || 
-        error.message.includes('Account temporarily locked')) {
+    if (error.status === 401) {
+      logger.warn(`Refresh token rejected: ${error.message}`);
       return res.status(401).json({
         success: false,
         error: error.message,
       });
     }
 
+    logger.error('Token refresh error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error during login',
+      error: 'Server error refreshing token',
     });
   }
 });
@@ -199,7 +396,7 @@ router.get('/me', auth, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', auth, [
+router.put('/profile', auth, requireSession, [
   body('firstName').optional().trim().isLength({ max: 50 }),
   body('lastName').optional().trim().isLength({ max: 50 }),
   body('bio').optional().trim().isLength({ max: 500 }),
@@ -247,7 +444,7 @@ router.put('/profile', auth, [
 // @route   POST /api/auth/change-password
 // @desc    Change user password
 // @access  Private
-router.post('/change-password', auth, [
+router.post('/change-password', auth, requireSession, [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword')
     .isLength({ min: 6 })
@@ -289,13 +486,211 @@ router.post('/change-password', auth, [
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please enter a valid email'),
+], handleValidationErrors, async (req, res) => {
+  // Same answer whether or not the account exists, so emails can't be enumerated
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for that email, a password reset link has been sent',
+  };
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+
+    if (!user || !user.isActive) {
+      return res.json(genericResponse);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = clientUrl('/reset-password', { token: resetToken });
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.username},\n\n`
+          + `Use the link below to choose a new password. It expires at ${user.passwordResetExpires.toISOString()}.\n\n`
+          + `${resetUrl}\n\n`
+          + 'If you did not request a password reset, you can ignore this email.',
+      });
+    } catch (mailError) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpires = undefined;
+      await user.save({ validateBeforeSave: false });
+      throw mailError;
+    }
+
+    logger.info(`Password reset requested for user: ${user.email}`);
+
+    res.json(genericResponse);
+  } catch (error) {
+    logger.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending password reset email',
+    });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password')
+    .isLength({ min: 6 })
+    .withMessage('Password must be at least 6 characters long')
+    .matches(/^(?=.*[A-Za-z])(?=.*\d)/)
+    .withMessage('Password must contain at least one letter and one number'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token',
+      });
+    }
+
+    // Tokens are single use, and every existing session ends with the old password
+    user.password = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.loginAttempts = 0;
+    user.lockUntil = undefined;
+    user.tokenVersion = (user.tokenVersion || 0) + 1;
+    await user.save();
+
+    await Session.revokeAllForUser(user._id);
+
+    logger.info(`Password reset completed for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Password has been reset, please log in with your new password',
+    });
+  } catch (error) {
+    logger.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error resetting password',
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address using the emailed token
+// @access  Public
+router.post('/verify-email', [
+  body('token').notEmpty().withMessage('Verification token is required'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await User.findByEmailVerificationToken(req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token',
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Email verified for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully',
+    });
+  } catch (error) {
+    logger.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error verifying email',
+    });
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email (throttled)
+// @access  Private
+router.post('/resend-verification', auth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email is already verified',
+      });
+    }
+
+    const throttleSeconds = parseInt(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+    const elapsedSeconds = user.emailVerificationSentAt
+      ? (Date.now() - user.emailVerificationSentAt.getTime()) / 1000
+      : Infinity;
+
+    if (elapsedSeconds < throttleSeconds) {
+      const retryAfter = Math.ceil(throttleSeconds - elapsedSeconds);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: 'Verification email was sent recently, please wait before requesting another',
+        retryAfter,
+      });
+    }
+
+    await sendVerificationEmail(user);
+
+    logger.info(`Verification email resent to: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent',
+    });
+  } catch (error) {
+    logger.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error sending verification email',
+    });
+  }
+});
+
 // @route   POST /api/auth/logout
 // @desc    Logout user (invalidate token)
 // @access  Private
-router.post('/logout', auth, async (req, res) => {
+router.post('/logout', auth, requireSession, async (req, res) => {
   try {
-    // In a real application, you might maintain a blacklist of tokens
-    // For now, we'll just respond with success
+    if (req.tokenPayload.jti) {
+      await RevokedToken.revoke(req.tokenPayload);
+    }
+
+    const session = await Session.findActive(req.tokenPayload.sid);
+    if (session) {
+      await session.revoke();
+    }
+
+    // Also end the refresh token family of this login, if the client sent it
+    if (req.body.refreshToken) {
+      await RefreshToken.revokeByToken(req.body.refreshToken, req.user._id);
+    }
+
     logger.info(`User logged out: ${req.user.email}`);
     
     res.json({
@@ -311,4 +706,92 @@ router.post('/logout', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/logout-all
+// @desc    Logout from all devices (invalidate every issued token)
+// @access  Private
+router.post('/logout-all', auth, requireSession, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { $inc: { tokenVersion: 1 } });
+    await Session.revokeAllForUser(req.user._id);
+
+    logger.info(`User logged out of all devices: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Logged out of all devices',
+    });
+  } catch (error) {
+    logger.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout',
+    });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, requireSession, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: Date.now() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          id: session._id,
+          device: session.device,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id.toString() === req.tokenPayload.sid,
+        })),
+      },
+    });
+  } catch (error) {
+    logger.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving sessions',
+    });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke a session, signing that device out immediately
+// @access  Private
+router.delete('/sessions/:id', auth, requireSession, async (req, res) => {
+  try {
+    const session = await Session.findActive(req.params.id);
+
+    if (!session || session.user.toString() !== req.user._id.toString()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found',
+      });
+    }
+
+    await session.revoke();
+
+    logger.info(`Session revoked: ${session._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    logger.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error revoking session',
+    });
+  }
+});
+
 module.exports = router;
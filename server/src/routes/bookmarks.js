@@ -0,0 +1,180 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const Bookmark = require('../models/Bookmark');
+const Post = require('../models/Post');
+const { auth, can, requireScope } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+const postIdValidation = [
+  param('postId').isMongoId().withMessage('Valid post ID is required'),
+];
+
+router.use(auth);
+
+// @route   GET /api/bookmarks
+// @desc    Get the current user's bookmarks, most recent first
+// @access  Private
+router.get('/', requireScope('posts:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('folder').optional().trim(),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const filter = { user: req.user._id };
+    if (req.query.folder !== undefined) {
+      // An empty folder lists bookmarks that aren't in any folder
+      filter.folder = req.query.folder || null;
+    }
+
+    const [bookmarks, total] = await Promise.all([
+      Bookmark.find(filter)
+        .populate({
+          path: 'post',
+          select: 'title slug excerpt author category published publishedAt readTime likesCount commentsCount reactionCounts',
+          populate: [
+            { path: 'author', select: 'username firstName lastName avatar' },
+            { path: 'category', select: 'name slug color' },
+          ],
+        })
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Bookmark.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        // Posts that were unpublished since they were saved stay listed without their content
+        bookmarks: bookmarks.map(bookmark => ({
+          _id: bookmark._id,
+          postId: bookmark.populated('post') || bookmark.post,
+          folder: bookmark.folder,
+          createdAt: bookmark.createdAt,
+          post: bookmark.post && bookmark.post.isVisibleTo(req.user) ? bookmark.post : null,
+        })),
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Get bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving bookmarks',
+    });
+  }
+});
+
+// @route   GET /api/bookmarks/folders
+// @desc    Get the current user's bookmark folders with their sizes
+// @access  Private
+router.get('/folders', requireScope('posts:read'), async (req, res) => {
+  try {
+    const folders = await Bookmark.aggregate([
+      { $match: { user: req.user._id, folder: { $ne: null } } },
+      { $group: { _id: '$folder', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        folders: folders.map(folder => ({ name: folder._id, count: folder.count })),
+      },
+    });
+  } catch (error) {
+    logger.error('Get bookmark folders error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving bookmark folders',
+    });
+  }
+});
+
+// @route   PUT /api/bookmarks/:postId
+// @desc    Bookmark a post, or move a bookmark to another folder
+// @access  Private
+router.put('/:postId', requireScope('posts:write'), can('post:bookmark'), [
+  ...postIdValidation,
+  body('folder')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Folder cannot exceed 50 characters'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.postId).select('author published publishedAt');
+
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    const bookmark = await Bookmark.add(req.user._id, post._id, req.body.folder);
+
+    logger.info(`Post ${post._id} bookmarked by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Post bookmarked',
+      data: { bookmark },
+    });
+  } catch (error) {
+    logger.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error adding bookmark',
+    });
+  }
+});
+
+// @route   DELETE /api/bookmarks/:postId
+// @desc    Remove a bookmark; removing one that doesn't exist is a no-op
+// @access  Private
+router.delete('/:postId', requireScope('posts:write'), postIdValidation, handleValidationErrors, async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, post: req.params.postId });
+
+    res.json({
+      success: true,
+      message: 'Bookmark removed',
+    });
+  } catch (error) {
+    logger.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error removing bookmark',
+    });
+  }
+});
+
+module.exports = router;
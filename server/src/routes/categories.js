@@ -0,0 +1,445 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const { auth, optionalAuth, can, requireScope } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Validation middleware
+const categoryValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Category name must be between 2 and 50 characters'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('color')
+    .optional()
+    .matches(/^#([A-Fa-f0-9]{6}|[A-Fa-f0-9]{3})$/)
+    .withMessage('Color must be a valid hex color'),
+  body('icon')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Icon must be between 1 and 50 characters'),
+  body('parentCategory')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent category must be a valid ID'),
+  body('sortOrder')
+    .optional()
+    .isInt()
+    .withMessage('Sort order must be an integer'),
+];
+
+// @route   GET /api/categories
+// @desc    Get all categories ordered by sortOrder
+// @access  Public (inactive categories for admins/moderators only)
+router.get('/', optionalAuth, [
+  query('parent').optional().custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+    .withMessage('Parent must be a valid ID or "root"'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive must be a boolean'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { parent, includeInactive } = req.query;
+
+    const query = {};
+
+    if (includeInactive !== 'true' || !hasPermission(req.user, 'category:manage')) {
+      query.active = true;
+    }
+
+    if (parent === 'root') {
+      query.parentCategory = null;
+    } else if (parent) {
+      query.parentCategory = parent;
+    }
+
+    const categories = await Category.find(query)
+      .sort({ sortOrder: 1, name: 1 })
+      .populate('postCount');
+
+    res.json({
+      success: true,
+      data: { categories },
+    });
+  } catch (error) {
+    logger.error('Get categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving categories',
+    });
+  }
+});
+
+// @route   GET /api/categories/tree
+// @desc    Get the active category hierarchy as a nested tree
+// @access  Public
+router.get('/tree', async (req, res) => {
+  try {
+    const tree = await Category.buildTree();
+
+    res.json({
+      success: true,
+      data: { categories: tree },
+    });
+  } catch (error) {
+    logger.error('Get category tree error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving category tree',
+    });
+  }
+});
+
+// @route   PUT /api/categories/reorder
+// @desc    Update sortOrder for several categories at once
+// @access  Private (Admin/Moderator)
+router.put('/reorder', auth, requireScope('categories:write'), can('category:manage'), [
+  body('order')
+    .isArray({ min: 1 })
+    .withMessage('Order must be a non-empty array'),
+  body('order.*.id')
+    .isMongoId()
+    .withMessage('Each entry needs a valid category ID'),
+  body('order.*.sortOrder')
+    .isInt()
+    .withMessage('Each entry needs an integer sortOrder'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { order } = req.body;
+
+    const ids = order.map(entry => entry.id);
+    const found = await Category.countDocuments({ _id: { $in: ids } });
+
+    if (found !== new Set(ids).size) {
+      return res.status(400).json({
+        success: false,
+        error: 'One or more categories do not exist',
+      });
+    }
+
+    await Category.bulkWrite(order.map(entry => ({
+      updateOne: {
+        filter: { _id: entry.id },
+        update: { $set: { sortOrder: parseInt(entry.sortOrder) } },
+      },
+    })));
+
+    const categories = await Category.find({ _id: { $in: ids } })
+      .sort({ sortOrder: 1, name: 1 });
+
+    logger.info(`Categories reordered: ${ids.length} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Categories reordered successfully',
+      data: { categories },
+    });
+  } catch (error) {
+    logger.error('Reorder categories error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error reordering categories',
+    });
+  }
+});
+
+// @route   GET /api/categories/:slug
+// @desc    Get single category by slug
+// @access  Public
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const category = await Category.findOne({ slug: req.params.slug.toLowerCase() })
+      .populate('postCount')
+      .populate({
+        path: 'subcategories',
+        match: { active: true },
+        select: 'name slug color icon sortOrder parentCategory',
+        options: { sort: { sortOrder: 1, name: 1 } },
+      });
+
+    if (!category || (!category.active && !hasPermission(req.user, 'category:manage'))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    await category.populateAncestors();
+
+    res.json({
+      success: true,
+      data: { category },
+    });
+  } catch (error) {
+    logger.error('Get category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving category',
+    });
+  }
+});
+
+// @route   POST /api/categories
+// @desc    Create a new category
+// @access  Private (Admin/Moderator)
+router.post('/', auth, requireScope('categories:write'), can('category:manage'), [
+  body('name')
+    .exists({ checkFalsy: true })
+    .withMessage('Category name is required'),
+  ...categoryValidation,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const { name, description, color, icon, parentCategory, sortOrder } = req.body;
+
+    if (parentCategory) {
+      const parentExists = await Category.findById(parentCategory);
+      if (!parentExists) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parent category',
+        });
+      }
+    }
+
+    const existingCategory = await Category.findOne({ name });
+    if (existingCategory) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category with this name already exists',
+      });
+    }
+
+    const category = await Category.create({
+      name,
+      description,
+      color,
+      icon,
+      parentCategory: parentCategory || null,
+      sortOrder,
+    });
+
+    logger.info(`Category created: ${category.name} by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Category created successfully',
+      data: { category },
+    });
+  } catch (error) {
+    logger.error('Create category error:', error);
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category with this name or slug already exists',
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server error creating category',
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id
+// @desc    Update a category
+// @access  Private (Admin/Moderator)
+router.put('/:id', auth, requireScope('categories:write'), can('category:manage'), [
+  ...categoryValidation,
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    const { name, description, color, icon, parentCategory, sortOrder, active } = req.body;
+
+    if (parentCategory) {
+      if (parentCategory === category._id.toString()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category cannot be its own parent',
+        });
+      }
+
+      const parentExists = await Category.findById(parentCategory);
+      if (!parentExists) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid parent category',
+        });
+      }
+    }
+
+    // Reset slug if name changed
+    if (name && name !== category.name) {
+      category.name = name;
+      category.slug = undefined; // Will be regenerated by pre-save middleware
+    }
+
+    if (description !== undefined) category.description = description;
+    if (color !== undefined) category.color = color;
+    if (icon !== undefined) category.icon = icon;
+    if (parentCategory !== undefined) category.parentCategory = parentCategory || null;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+    if (active !== undefined) category.active = active;
+
+    await category.save();
+
+    logger.info(`Category updated: ${category.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Category updated successfully',
+      data: { category },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    if (error.code === 11000) {
+      return res.status(400).json({
+        success: false,
+        error: 'Category with this name or slug already exists',
+      });
+    }
+
+    // Raised by the Category cycle check when moving it under a descendant
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Update category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating category',
+    });
+  }
+});
+
+// @route   PUT /api/categories/:id/deactivate
+// @desc    Deactivate a category (hides it without touching its posts)
+// @access  Private (Admin/Moderator)
+router.put('/:id/deactivate', auth, requireScope('categories:write'), can('category:manage'), async (req, res) => {
+  try {
+    const category = await Category.findByIdAndUpdate(
+      req.params.id,
+      { $set: { active: false } },
+      { new: true }
+    );
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    logger.info(`Category deactivated: ${category.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Category deactivated successfully',
+      data: { category },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    logger.error('Deactivate category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deactivating category',
+    });
+  }
+});
+
+// @route   DELETE /api/categories/:id
+// @desc    Permanently delete a category that has no posts or subcategories
+// @access  Private (Admin/Moderator)
+router.delete('/:id', auth, requireScope('categories:write'), can('category:manage'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    await category.deleteOne();
+
+    logger.info(`Category deleted: ${category.name} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    // Raised by the Category pre-deleteOne hook
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    logger.error('Delete category error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting category',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const PostRevision = require('../models/PostRevision');
+const { TRACKED_FIELDS } = require('../models/PostRevision');
+const { auth, can, requireScope } = require('../middleware/auth');
+const { diffText, diffList } = require('../utils/diff');
+const logger = require('../utils/logger');
+
+// Mounted under /api/posts/:id/revisions
+const router = express.Router({ mergeParams: true });
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+// Revisions are available to whoever may edit the post
+const canEditPost = can('post:update', {
+  name: 'Post',
+  load: (req) => Post.findById(req.params.id),
+});
+
+const revisionNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    error: 'Revision not found',
+  });
+};
+
+// Field-by-field differences between two revisions; unchanged fields are left out
+const diffRevisions = (from, to) => {
+  const changes = {};
+
+  ['title', 'excerpt'].forEach(field => {
+    if ((from[field] || '') !== (to[field] || '')) {
+      changes[field] = diffText(from[field], to[field], { by: 'word' });
+    }
+  });
+
+  if ((from.content || '') !== (to.content || '')) {
+    changes.content = diffText(from.content, to.content);
+  }
+
+  const tags = diffList(from.tags, to.tags);
+  if (tags.added.length > 0 || tags.removed.length > 0) {
+    changes.tags = tags;
+  }
+
+  if (String(from.category) !== String(to.category)) {
+    changes.category = { from: from.category, to: to.category };
+  }
+
+  return changes;
+};
+
+router.use(auth);
+
+// @route   GET /api/posts/:id/revisions
+// @desc    List a post's revisions, newest first
+// @access  Private (Author or moderator)
+router.get('/', requireScope('posts:read'), canEditPost, async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.resource._id })
+      .select('-content -excerpt')
+      .populate('editor', 'username firstName lastName')
+      .sort({ number: -1 });
+
+    res.json({
+      success: true,
+      data: { revisions },
+    });
+  } catch (error) {
+    logger.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving revisions',
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/diff
+// @desc    Compare two revisions (to defaults to the latest)
+// @access  Private (Author or moderator)
+router.get('/diff', requireScope('posts:read'), canEditPost, [
+  query('from').isInt({ min: 1 }).withMessage('From must be a revision number'),
+  query('to').optional().isInt({ min: 1 }).withMessage('To must be a revision number'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const post = req.resource._id;
+    const from = await PostRevision.findOne({ post, number: parseInt(req.query.from) });
+    const to = req.query.to
+      ? await PostRevision.findOne({ post, number: parseInt(req.query.to) })
+      : await PostRevision.findOne({ post }).sort({ number: -1 });
+
+    if (!from || !to) {
+      return revisionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: from.number,
+        to: to.number,
+        changes: diffRevisions(from, to),
+      },
+    });
+  } catch (error) {
+    logger.error('Diff revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error comparing revisions',
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/:number
+// @desc    Get a single revision
+// @access  Private (Author or moderator)
+router.get('/:number', requireScope('posts:read'), canEditPost, [
+  param('number').isInt({ min: 1 }).withMessage('Revision number must be a positive integer'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({ post: req.resource._id, number: parseInt(req.params.number) })
+      .populate('editor', 'username firstName lastName');
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    res.json({
+      success: true,
+      data: { revision },
+    });
+  } catch (error) {
+    logger.error('Get revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving revision',
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/revisions/:number/restore
+// @desc    Restore an old revision; the restore is recorded as a new revision
+// @access  Private (Author or moderator)
+router.post('/:number/restore', requireScope('posts:write'), canEditPost, [
+  param('number').isInt({ min: 1 }).withMessage('Revision number must be a positive integer'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const post = req.resource;
+    const revision = await PostRevision.findOne({ post: post._id, number: parseInt(req.params.number) });
+
+    if (!revision) {
+      return revisionNotFound(res);
+    }
+
+    if (revision.category && !(await Category.exists({ _id: revision.category }))) {
+      return res.status(400).json({
+        success: false,
+        error: 'The category of this revision no longer exists',
+      });
+    }
+
+    await PostRevision.ensureBaseline(post);
+
+    TRACKED_FIELDS.forEach(field => {
+      if (revision[field] !== undefined) {
+        post[field] = revision[field];
+      }
+    });
+
+    const changedFields = TRACKED_FIELDS.filter(field => post.isModified(field));
+    if (changedFields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Post already matches this revision',
+      });
+    }
+
+    await post.save();
+    const restored = await PostRevision.record(post, req.user._id, {
+      changedFields,
+      restoredFrom: revision.number,
+    });
+
+    logger.info(`Post ${post.title} restored to revision ${revision.number} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.number} restored`,
+      data: {
+        post,
+        revision: restored,
+      },
+    });
+  } catch (error) {
+    logger.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error restoring revision',
+    });
+  }
+});
+
+module.exports = router;
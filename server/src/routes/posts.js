@@ -1,9 +1,17 @@
 const express = require('express');
 const { body, query, validationResult } = require('express-validator');
 const Post = require('../models/Post');
+const User = require('../models/User');
+const Follow = require('../models/Follow');
+const Bookmark = require('../models/Bookmark');
 const Category = require('../models/Category');
-const { auth, optionalAuth } = require('../middleware/auth');
+const Comment = require('../models/Comment');
+const PostRevision = require('../models/PostRevision');
+const { TRACKED_FIELDS } = require('../models/PostRevision');
+const { auth, optionalAuth, can, requireVerifiedEmail, requireScope } = require('../middleware/auth');
+const { isOwner } = require('../utils/permissions');
 const { paginate } = require('../utils/helpers');
+const { didYouMean } = require('../utils/searchSuggestions');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -39,6 +47,10 @@ const postValidation = [
     .trim()
     .isLength({ max: 500 })
     .withMessage('Excerpt cannot exceed 500 characters'),
+  body('publishedAt')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date'),
   body('tags')
     .optional()
     .isArray()
@@ -50,10 +62,67 @@ const postValidation = [
     .withMessage('Each tag must be between 1 and 30 characters'),
 ];
 
+// Fields left out of post lists: reactions are summarized by reactionCounts,
+// and the outline and links are only needed on the post itself
+const LIST_EXCLUDED_FIELDS = '-reactions -contentStats.outline -contentStats.links';
+
+// Resources for permission checks
+const postResource = {
+  name: 'Post',
+  load: (req) => Post.findById(req.params.id),
+};
+
+const commentResource = {
+  name: 'Comment',
+  load: (req) => Comment.findOne({
+    _id: req.params.commentId,
+    post: req.params.id,
+    deletedAt: null,
+  }),
+};
+
+// Nests replies under the top-level comments they belong to, oldest first.
+// Deleted comments only keep what is needed to hold their thread together.
+const buildCommentThreads = (roots, replies) => {
+  const nodes = new Map();
+  [...roots, ...replies].forEach(comment => {
+    const node = comment.deletedAt
+      ? {
+        _id: comment._id,
+        parent: comment.parent,
+        depth: comment.depth,
+        createdAt: comment.createdAt,
+        deleted: true,
+        deletedByModerator: comment.deletedByModerator,
+      }
+      : { ...comment, deleted: false };
+    nodes.set(comment._id.toString(), { ...node, replies: [] });
+  });
+
+  replies.forEach(reply => {
+    const parent = nodes.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(nodes.get(reply._id.toString()));
+    }
+  });
+
+  return roots.map(root => nodes.get(root._id.toString()));
+};
+
+// Flags which of the (lean) posts the signed-in user has bookmarked
+const markBookmarked = async (req, posts) => {
+  if (!req.user) return;
+
+  const bookmarked = await Bookmark.findBookmarkedIds(req.user._id, posts.map(post => post._id));
+  posts.forEach(post => {
+    post.bookmarked = bookmarked.has(post._id.toString());
+  });
+};
+
 // @route   GET /api/posts
 // @desc    Get all posts with filtering and pagination
 // @access  Public
-router.get('/', [
+router.get('/', optionalAuth, requireScope('posts:read'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('category').optional().isMongoId().withMessage('Category must be a valid ID'),
@@ -61,11 +130,13 @@ router.get('/', [
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
   query('tag').optional().trim().isLength({ min: 1 }).withMessage('Tag cannot be empty'),
   query('featured').optional().isBoolean().withMessage('Featured must be a boolean'),
+  query('cursor').optional().isString().isLength({ min: 1 }).withMessage('Cursor cannot be empty'),
 ], handleValidationErrors, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
+      cursor,
       category,
       author,
       search,
@@ -75,9 +146,9 @@ router.get('/', [
     } = req.query;
 
     // Build query
-    const query = { published: true };
+    const query = Post.liveQuery();
     
-    if (category) query.category = category;
+    if (category) query.category = { $in: await Category.findDescendantIds(category) };
     if (author) query.author = author;
     if (tag) query.tags = { $in: [tag] };
     if (featured !== undefined) query.featured = featured === 'true';
@@ -103,35 +174,42 @@ router.get('/', [
         sortOptions = { publishedAt: -1 };
     }
 
-    // Execute query with pagination
-    const posts = await Post.find(query)
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name slug color')
-      .sort(sortOptions)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .lean();
+    // Execute query with page or cursor pagination
+    const { items: posts, pagination } = await paginate(
+      Post.find(query)
+        .select(LIST_EXCLUDED_FIELDS)
+        .populate('author', 'username firstName lastName avatar')
+        .populate('category', 'name slug color')
+        .lean(),
+      { page: parseInt(page), limit: parseInt(limit), cursor, sort: sortOptions }
+    );
 
-    // Get total count for pagination
-    const total = await Post.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
+    await markBookmarked(req, posts);
 
-    logger.info(`Posts retrieved: ${posts.length} of ${total}`);
+    logger.info(`Posts retrieved: ${posts.length}${cursor ? '' : ` of ${pagination.total}`}`);
+
+    const data = {
+      posts,
+      pagination,
+    };
+
+    // Offer a corrected query when a search finds nothing at all. Cursor pages
+    // have no total, and only follow a page that had results anyway.
+    if (search) {
+      data.didYouMean = pagination.total === 0 ? await didYouMean(search) : null;
+    }
 
     res.json({
       success: true,
-      data: {
-        posts,
-        pagination: {
-          current: parseInt(page),
-          pages: totalPages,
-          total,
-          hasNext: page < totalPages,
-          hasPrev: page > 1,
-        },
-      },
+      data,
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
     logger.error('Get posts error:', error);
     res.status(500).json({
       success: false,
@@ -140,42 +218,144 @@ router.get('/', [
   }
 });
 
-// @route   GET /api/posts/:id
-// @desc    Get single post by ID
-// @access  Public
-router.get('/:id', optionalAuth, async (req, res) => {
+// @route   GET /api/posts/feed
+// @desc    Get published posts from followed authors and tags, newest first
+// @access  Private
+router.get('/feed', auth, requireScope('posts:read'), [
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('cursor').optional().isString(),
+], handleValidationErrors, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id)
-      .populate('author', 'username firstName lastName avatar bio')
-      .populate('category', 'name slug color description')
-      .populate('comments.user', 'username firstName lastName avatar');
+    const limit = parseInt(req.query.limit) || 10;
+
+    const [authors, user] = await Promise.all([
+      Follow.find({ follower: req.user._id }).distinct('following'),
+      User.findById(req.user._id).select('followedTags'),
+    ]);
+    const tags = user?.followedTags || [];
+
+    const { items: posts, pagination } = await paginate(
+      Post.find({
+        $and: [
+          Post.liveQuery(),
+          { $or: [{ author: { $in: authors } }, { tags: { $in: tags } }] },
+        ],
+      })
+        .select(LIST_EXCLUDED_FIELDS)
+        .populate('author', 'username firstName lastName avatar')
+        .populate('category', 'name slug color')
+        .lean(),
+      { limit, cursor: req.query.cursor, sort: { publishedAt: -1 } }
+    );
 
-    if (!post) {
-      return res.status(404).json({
+    await markBookmarked(req, posts);
+
+    res.json({
+      success: true,
+      data: {
+        posts,
+        nextCursor: pagination.nextCursor,
+        hasMore: pagination.hasNext,
+      },
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
         success: false,
-        error: 'Post not found',
+        error: error.message,
       });
     }
+    logger.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving feed',
+    });
+  }
+});
+
+// Sends a post to whoever may read it, counting the view
+const sendPost = async (req, res, post) => {
+  // Only show unpublished and scheduled posts to their author and moderators
+  if (!post || !post.isVisibleTo(req.user)) {
+    return res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+  }
+
+  // Increment view count (but not for the author)
+  if (!req.user || post.author._id.toString() !== req.user._id.toString()) {
+    await Post.findByIdAndUpdate(post._id, { $inc: { views: 1 } });
+  }
+
+  logger.info(`Post viewed: ${post.title} by ${req.user?.username || 'anonymous'}`);
+
+  const data = post.toJSON();
+  if (req.user) {
+    data.bookmarked = !!(await Bookmark.exists({ user: req.user._id, post: post._id }));
+  }
+
+  res.json({
+    success: true,
+    data: { post: data },
+  });
+};
+
+const populatePost = (query) => {
+  return query
+    .select('-reactions')
+    .populate('author', 'username firstName lastName avatar bio')
+    .populate('category', 'name slug color description');
+};
+
+// @route   GET /api/posts/slug/:slug
+// @desc    Get single post by slug; old slugs return a redirect to the current one
+// @access  Public
+router.get('/slug/:slug', optionalAuth, requireScope('posts:read'), async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const post = await populatePost(Post.findOne({ slug }));
+
+    if (post) {
+      return await sendPost(req, res, post);
+    }
 
-    // Only show published posts to non-authors
-    if (!post.published && (!req.user || post.author._id.toString() !== req.user._id.toString())) {
+    const renamed = await Post.findOne({ previousSlugs: slug })
+      .select('slug author published publishedAt');
+
+    if (!renamed || !renamed.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
       });
     }
 
-    // Increment view count (but not for the author)
-    if (!req.user || post.author._id.toString() !== req.user._id.toString()) {
-      await Post.findByIdAndUpdate(req.params.id, { $inc: { views: 1 } });
-    }
-
-    logger.info(`Post viewed: ${post.title} by ${req.user?.username || 'anonymous'}`);
-
     res.json({
       success: true,
-      data: { post },
+      data: {
+        redirect: {
+          status: 301,
+          slug: renamed.slug,
+          url: renamed.url,
+        },
+      },
     });
+  } catch (error) {
+    logger.error('Get post by slug error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving post',
+    });
+  }
+});
+
+// @route   GET /api/posts/:id
+// @desc    Get single post by ID
+// @access  Public
+router.get('/:id', optionalAuth, requireScope('posts:read'), async (req, res) => {
+  try {
+    const post = await populatePost(Post.findById(req.params.id));
+    await sendPost(req, res, post);
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(404).json({
@@ -195,9 +375,9 @@ router.get('/:id', optionalAuth, async (req, res) => {
 // @route   POST /api/posts
 // @desc    Create a new post
 // @access  Private
-router.post('/', auth, postValidation, handleValidationErrors, async (req, res) => {
+router.post('/', auth, requireScope('posts:write'), requireVerifiedEmail, can('post:create'), postValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { title, content, category, excerpt, tags, published = false, image } = req.body;
+    const { title, content, category, excerpt, tags, published = false, publishedAt, image } = req.body;
 
     // Verify category exists
     const categoryExists = await Category.findById(category);
@@ -209,7 +389,7 @@ router.post('/', auth, postValidation, handleValidationErrors, async (req, res)
     }
 
     // Create post
-    const post = await Post.create({
+    const post = new Post({
       title,
       content,
       category,
@@ -217,8 +397,12 @@ router.post('/', auth, postValidation, handleValidationErrors, async (req, res)
       tags: tags ? tags.map(tag => tag.toLowerCase().trim()) : [],
       author: req.user._id,
       published,
+      publishedAt: publishedAt || undefined,
       image,
     });
+    await post.saveWithUniqueSlug();
+
+    await PostRevision.record(post, req.user._id);
 
     // Populate the created post
     await post.populate('author', 'username firstName lastName avatar');
@@ -250,27 +434,12 @@ router.post('/', auth, postValidation, handleValidationErrors, async (req, res)
 
 // @route   PUT /api/posts/:id
 // @desc    Update a post
-// @access  Private (Author only)
-router.put('/:id', auth, postValidation, handleValidationErrors, async (req, res) => {
+// @access  Private (Author or moderator)
+router.put('/:id', auth, requireScope('posts:write'), requireVerifiedEmail, postValidation, handleValidationErrors, can('post:update', postResource), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-      });
-    }
-
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        error: 'Not authorized to update this post',
-      });
-    }
+    const post = req.resource;
 
-    const { title, content, category, excerpt, tags, published, image } = req.body;
+    const { title, content, category, excerpt, tags, published, publishedAt, image } = req.body;
 
     // Verify category exists if changing
     if (category && category !== post.category.toString()) {
@@ -283,6 +452,9 @@ router.put('/:id', auth, postValidation, handleValidationErrors, async (req, res
       }
     }
 
+    // Keep the original text of posts created before revisions were recorded
+    await PostRevision.ensureBaseline(post);
+
     // Update fields
     if (title) post.title = title;
     if (content) post.content = content;
@@ -290,15 +462,17 @@ router.put('/:id', auth, postValidation, handleValidationErrors, async (req, res
     if (excerpt !== undefined) post.excerpt = excerpt;
     if (tags) post.tags = tags.map(tag => tag.toLowerCase().trim());
     if (published !== undefined) post.published = published;
+    if (publishedAt !== undefined) post.publishedAt = publishedAt || undefined;
     if (image !== undefined) post.image = image;
 
-    // Reset slug if title changed
-    if (title && title !== post.title) {
-      post.slug = undefined; // Will be regenerated by pre-save middleware
-    }
+    const changedFields = TRACKED_FIELDS.filter(field => post.isModified(field));
 
     await post.save();
 
+    if (changedFields.length > 0) {
+      await PostRevision.record(post, req.user._id, { changedFields });
+    }
+
     // Populate the updated post
     await post.populate('author', 'username firstName lastName avatar');
     await post.populate('category', 'name slug color');
@@ -328,33 +502,134 @@ router.put('/:id', auth, postValidation, handleValidationErrors, async (req, res
 
 // @route   DELETE /api/posts/:id
 // @desc    Delete a post
-// @access  Private (Author only)
-router.delete('/:id', auth, async (req, res) => {
+// @access  Private (Author or moderator)
+router.delete('/:id', auth, requireScope('posts:write'), can('post:delete', postResource), async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = req.resource;
+
+    await Post.findByIdAndDelete(req.params.id);
+    await PostRevision.deleteMany({ post: post._id });
+    await Comment.deleteMany({ post: post._id });
+    await Bookmark.deleteMany({ post: post._id });
+
+    logger.info(`Post deleted: ${post.title} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Post deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting post',
+    });
+  }
+});
+
+// Likes or unlikes the post for the current user, or toggles the like when
+// `liked` is null. Both are atomic and idempotent, so repeated or concurrent
+// requests can't double-count.
+const setLike = async (req, res, liked) => {
+  try {
+    const post = await Post.findById(req.params.id).select('title author published publishedAt');
 
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
       });
     }
 
-    // Check ownership
-    if (post.author.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    if (liked === null) {
+      liked = !(await Post.exists({ _id: post._id, 'likes.user': req.user._id }));
+    }
+
+    const likesCount = liked
+      ? await Post.addLike(post._id, req.user._id)
+      : await Post.removeLike(post._id, req.user._id);
+
+    if (likesCount === null) {
+      return res.status(404).json({
         success: false,
-        error: 'Not authorized to delete this post',
+        error: 'Post not found',
       });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    logger.info(`Post ${liked ? 'liked' : 'unliked'}: ${post.title} by ${req.user.username}`);
 
-    logger.info(`Post deleted: ${post.title} by ${req.user.username}`);
+    res.json({
+      success: true,
+      message: liked ? 'Post liked' : 'Post unliked',
+      data: { liked, likesCount },
+    });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    logger.error('Like post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error processing like',
+    });
+  }
+};
+
+// @route   GET /api/posts/:id/likes
+// @desc    Get the users who liked a post, most recent first
+// @access  Public
+router.get('/:id/likes', optionalAuth, requireScope('posts:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const post = await Post.findById(req.params.id)
+      .select('author published publishedAt likesCount');
+
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    // Likes are pushed in order, so the most recent page is the tail of the
+    // array: slice just that window instead of loading every like
+    const total = post.likesCount;
+    const totalPages = Math.ceil(total / limit);
+    const end = total - (page - 1) * limit;
+    const start = Math.max(end - limit, 0);
+
+    let likes = [];
+    if (end > 0) {
+      const paged = await Post.findById(post._id)
+        .select('_id')
+        .slice('likes', [start, end - start])
+        .populate('likes.user', 'username firstName lastName avatar');
+
+      // Skip likes from deleted accounts
+      likes = paged ? paged.likes.filter(like => like.user).reverse() : [];
+    }
 
     res.json({
       success: true,
-      message: 'Post deleted successfully',
+      data: {
+        likes: likes.map(like => ({ user: like.user, likedAt: like.createdAt })),
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
     });
   } catch (error) {
     if (error.name === 'CastError') {
@@ -364,58 +639,92 @@ router.delete('/:id', auth, async (req, res) => {
       });
     }
 
-    logger.error('Delete post error:', error);
+    logger.error('Get likes error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error deleting post',
+      error: 'Server error retrieving likes',
     });
   }
 });
 
-// @route   POST /api/posts/:id/like
+// @route   PUT /api/posts/:id/like
 // @desc    Like a post
 // @access  Private
-router.post('/:id/like', auth, async (req, res) => {
+router.put('/:id/like', auth, requireScope('posts:write'), can('post:like'), (req, res) => {
+  return setLike(req, res, true);
+});
+
+// @route   DELETE /api/posts/:id/like
+// @desc    Unlike a post
+// @access  Private
+router.delete('/:id/like', auth, requireScope('posts:write'), can('post:like'), (req, res) => {
+  return setLike(req, res, false);
+});
+
+// @route   POST /api/posts/:id/like
+// @desc    Toggle a like (kept for older clients; prefer PUT and DELETE)
+// @access  Private
+router.post('/:id/like', auth, requireScope('posts:write'), can('post:like'), (req, res) => {
+  return setLike(req, res, null);
+});
+
+// @route   GET /api/posts/:id/comments
+// @desc    Get a post's comment threads, paginated by top-level comment
+// @access  Public
+router.get('/:id/comments', optionalAuth, requireScope('posts:read'), [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+], handleValidationErrors, async (req, res) => {
   try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
       });
     }
 
-    // Check if already liked
-    const existingLike = post.likes.find(
-      like => like.user.toString() === req.user._id.toString()
-    );
+    const topLevel = { post: post._id, parent: null };
+    const [roots, total] = await Promise.all([
+      Comment.find(topLevel)
+        .select('-reactions')
+        .populate('user', 'username firstName lastName avatar')
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Comment.countDocuments(topLevel),
+    ]);
+
+    const replies = await Comment.find({
+      post: post._id,
+      thread: { $in: roots.map(root => root._id) },
+      parent: { $ne: null },
+    })
+      .select('-reactions')
+      .populate('user', 'username firstName lastName avatar')
+      .sort({ createdAt: 1, _id: 1 })
+      .lean();
 
-    if (existingLike) {
-      // Unlike the post
-      post.likes = post.likes.filter(
-        like => like.user.toString() !== req.user._id.toString()
-      );
-      await post.save();
-
-      res.json({
-        success: true,
-        message: 'Post unliked',
-        data: { liked: false, likesCount: post.likesCount },
-      });
-    } else {
-      // Like the post
-      post.likes.push({ user: req.user._id });
-      await post.save();
-
-      res.json({
-        success: true,
-        message: 'Post liked',
-        data: { liked: true, likesCount: post.likesCount },
-      });
-    }
+    const totalPages = Math.ceil(total / limit);
 
-    logger.info(`Post ${existingLike ? 'unliked' : 'liked'}: ${post.title} by ${req.user.username}`);
+    res.json({
+      success: true,
+      data: {
+        comments: buildCommentThreads(roots, replies),
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
   } catch (error) {
     if (error.name === 'CastError') {
       return res.status(404).json({
@@ -424,51 +733,48 @@ router.post('/:id/like', auth, async (req, res) => {
       });
     }
 
-    logger.error('Like post error:', error);
+    logger.error('Get comments error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error processing like',
+      error: 'Server error retrieving comments',
     });
   }
 });
 
 // @route   POST /api/posts/:id/comments
-// @desc    Add a comment to a post
+// @desc    Add a comment to a post, or a reply to one of its comments
 // @access  Private
-router.post('/:id/comments', auth, [
+router.post('/:id/comments', auth, requireScope('posts:write'), requireVerifiedEmail, can('comment:create'), [
   body('content')
     .trim()
     .isLength({ min: 1, max: 1000 })
     .withMessage('Comment must be between 1 and 1000 characters'),
+  body('parent')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Parent must be a valid comment ID'),
 ], handleValidationErrors, async (req, res) => {
   try {
-    const { content } = req.body;
+    const { content, parent } = req.body;
     const post = await Post.findById(req.params.id);
 
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
       });
     }
 
-    post.comments.push({
-      user: req.user._id,
-      content: content.trim(),
-    });
-
-    await post.save();
+    const newComment = await Comment.add(post._id, req.user._id, content, parent);
     
     // Populate the new comment
-    await post.populate('comments.user', 'username firstName lastName avatar');
-
-    const newComment = post.comments[post.comments.length - 1];
+    await newComment.populate('user', 'username firstName lastName avatar');
 
     logger.info(`Comment added to post: ${post.title} by ${req.user.username}`);
 
     res.status(201).json({
       success: true,
-      message: 'Comment added successfully',
+      message: parent ? 'Reply added successfully' : 'Comment added successfully',
       data: { comment: newComment },
     });
   } catch (error) {
@@ -479,6 +785,14 @@ router.post('/:id/comments', auth, [
       });
     }
 
+    // Raised by Comment.add for an invalid parent comment
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     logger.error('Add comment error:', error);
     res.status(500).json({
       success: false,
@@ -487,4 +801,60 @@ router.post('/:id/comments', auth, [
   }
 });
 
+// @route   PUT /api/posts/:id/comments/:commentId
+// @desc    Edit a comment
+// @access  Private (Comment author)
+router.put('/:id/comments/:commentId', auth, requireScope('posts:write'), requireVerifiedEmail, [
+  body('content')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Comment must be between 1 and 1000 characters'),
+], handleValidationErrors, can('comment:update', commentResource), async (req, res) => {
+  try {
+    const comment = req.resource;
+
+    await comment.edit(req.body.content);
+    await comment.populate('user', 'username firstName lastName avatar');
+
+    logger.info(`Comment updated on post: ${comment.post} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      data: { comment },
+    });
+  } catch (error) {
+    logger.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating comment',
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @desc    Delete a comment; moderators leave a tombstone in its place
+// @access  Private (Comment author or moderator)
+router.delete('/:id/comments/:commentId', auth, requireScope('posts:write'), can('comment:delete', commentResource), async (req, res) => {
+  try {
+    const comment = req.resource;
+    const moderated = !isOwner(req.user, 'comment', comment);
+
+    await comment.removeFromThread({ deletedBy: req.user._id, moderated });
+
+    logger.info(`Comment ${moderated ? 'removed by moderator' : 'deleted'} on post: ${comment.post} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error deleting comment',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,145 @@
+const express = require('express');
+const { param, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const { getReactionTypes, summarizeReactions } = require('../models/plugins/reactions');
+const { auth, optionalAuth, can, requireScope } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+const typeValidation = [
+  param('type')
+    .custom(type => getReactionTypes().includes(type))
+    .withMessage(() => `Reaction must be one of: ${getReactionTypes().join(', ')}`),
+];
+
+// Reactions can only be seen and added where the post itself is visible
+const loadPost = async (req) => {
+  const post = await Post.findById(req.params.id).select('-likes');
+  return post && post.isVisibleTo(req.user) ? post : null;
+};
+
+const loadComment = async (req) => {
+  const post = await loadPost(req);
+  return post && Comment.findOne({ _id: req.params.commentId, post: post._id, deletedAt: null });
+};
+
+// Builds the reaction routes for posts or comments
+const createReactionRouter = ({ Model, name, permission, load }) => {
+  const router = express.Router({ mergeParams: true });
+  const label = name.toLowerCase();
+
+  const notFound = (res) => res.status(404).json({
+    success: false,
+    error: `${name} not found`,
+  });
+
+  // @route   GET /api/posts/:id[/comments/:commentId]/reactions
+  // @desc    Get reaction counts, the available reactions and the user's own reactions
+  // @access  Public
+  router.get('/', optionalAuth, requireScope('posts:read'), async (req, res) => {
+    try {
+      const target = await load(req);
+
+      if (!target) {
+        return notFound(res);
+      }
+
+      res.json({
+        success: true,
+        data: {
+          types: getReactionTypes(),
+          counts: summarizeReactions(target.reactionCounts),
+          mine: target.getUserReactions(req.user?._id),
+        },
+      });
+    } catch (error) {
+      if (error.name === 'CastError') {
+        return notFound(res);
+      }
+
+      logger.error(`Get ${label} reactions error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error retrieving reactions',
+      });
+    }
+  });
+
+  // Adds or removes the user's reaction and reports the new counts
+  const setReaction = (added) => async (req, res) => {
+    try {
+      const { type } = req.params;
+      const updated = added
+        ? await Model.addReaction(req.resource._id, req.user._id, type)
+        : await Model.removeReaction(req.resource._id, req.user._id, type);
+
+      if (!updated) {
+        return notFound(res);
+      }
+
+      logger.info(`Reaction ${type} ${added ? 'added to' : 'removed from'} ${label} ${req.resource._id} by ${req.user.username}`);
+
+      res.json({
+        success: true,
+        message: added ? 'Reaction added' : 'Reaction removed',
+        data: {
+          counts: summarizeReactions(updated.reactionCounts),
+        },
+      });
+    } catch (error) {
+      logger.error(`Update ${label} reaction error:`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Server error processing reaction',
+      });
+    }
+  };
+
+  // @route   PUT /api/posts/:id[/comments/:commentId]/reactions/:type
+  // @desc    Add a reaction (replacing the user's previous one unless multiple are allowed)
+  // @access  Private
+  router.put('/:type', auth, requireScope('posts:write'), typeValidation, handleValidationErrors,
+    can(permission, { name, load }), setReaction(true));
+
+  // @route   DELETE /api/posts/:id[/comments/:commentId]/reactions/:type
+  // @desc    Remove a reaction
+  // @access  Private
+  router.delete('/:type', auth, requireScope('posts:write'), typeValidation, handleValidationErrors,
+    can(permission, { name, load }), setReaction(false));
+
+  return router;
+};
+
+// Mounted under /api/posts/:id/reactions
+const postReactionRoutes = createReactionRouter({
+  Model: Post,
+  name: 'Post',
+  permission: 'post:react',
+  load: loadPost,
+});
+
+// Mounted under /api/posts/:id/comments/:commentId/reactions
+const commentReactionRoutes = createReactionRouter({
+  Model: Comment,
+  name: 'Comment',
+  permission: 'comment:react',
+  load: loadComment,
+});
+
+module.exports = {
+  postReactionRoutes,
+  commentReactionRoutes,
+};
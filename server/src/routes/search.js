@@ -0,0 +1,190 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { optionalAuth, requireScope } = require('../middleware/auth');
+const { htmlToText } = require('../utils/markdown');
+const { parseSearchQuery, hasSearchTerms, highlight, snippet, rankingExpression } = require('../utils/search');
+const { autocomplete } = require('../utils/searchSuggestions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+const FACET_LIMIT = 10;
+
+// Fields returned for each result; the content itself is replaced by a snippet
+const RESULT_FIELDS = {
+  title: 1,
+  slug: 1,
+  excerpt: 1,
+  author: 1,
+  category: 1,
+  tags: 1,
+  publishedAt: 1,
+  readTime: 1,
+  views: 1,
+  likesCount: 1,
+  commentsCount: 1,
+  reactionCounts: 1,
+  contentHtml: 1,
+  score: 1,
+};
+
+const countBy = (field) => [
+  { $group: { _id: field, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT },
+];
+
+// @route   GET /api/search
+// @desc    Search published posts, ranked by relevance, recency and popularity
+// @access  Public
+router.get('/', optionalAuth, requireScope('posts:read'), [
+  query('q').trim().isLength({ min: 1, max: 200 }).withMessage('Search query must be between 1 and 200 characters'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 50 }).withMessage('Limit must be between 1 and 50'),
+  query('category').optional().isMongoId().withMessage('Category must be a valid ID'),
+  query('author').optional().isMongoId().withMessage('Author must be a valid ID'),
+  query('tag').optional().trim().toLowerCase().isLength({ min: 1 }).withMessage('Tag cannot be empty'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { q, category, author, tag } = req.query;
+
+    const parsed = parseSearchQuery(q);
+    if (!hasSearchTerms(parsed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must include at least one term that is not excluded',
+      });
+    }
+
+    // $text must come first; the filters narrow both results and facets
+    const match = { $text: { $search: q }, ...Post.liveQuery() };
+    if (category) match.category = { $in: await Category.findDescendantIds(category) };
+    if (author) match.author = new mongoose.Types.ObjectId(author);
+    if (tag) match.tags = tag;
+
+    const [result] = await Post.aggregate([
+      { $match: match },
+      { $addFields: { textScore: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $addFields: { score: rankingExpression() } },
+            { $sort: { score: -1, _id: -1 } },
+            { $skip: (page - 1) * limit },
+            { $limit: limit },
+            { $project: RESULT_FIELDS },
+          ],
+          total: [{ $count: 'count' }],
+          categories: countBy('$category'),
+          tags: [{ $unwind: '$tags' }, ...countBy('$tags')],
+          authors: countBy('$author'),
+        },
+      },
+    ]);
+
+    const [posts, categories, authors] = await Promise.all([
+      Post.populate(result.results, [
+        { path: 'author', select: 'username firstName lastName avatar' },
+        { path: 'category', select: 'name slug color' },
+      ]),
+      Category.find({ _id: { $in: result.categories.map(facet => facet._id) } }).select('name slug'),
+      User.find({ _id: { $in: result.authors.map(facet => facet._id) } }).select('username firstName lastName'),
+    ]);
+
+    const categoriesById = new Map(categories.map(item => [item._id.toString(), item]));
+    const authorsById = new Map(authors.map(item => [item._id.toString(), item]));
+
+    const total = result.total[0]?.count || 0;
+    const totalPages = Math.ceil(total / limit);
+
+    logger.info(`Search "${q}": ${total} results`);
+
+    res.json({
+      success: true,
+      data: {
+        results: posts.map(({ contentHtml, ...post }) => ({
+          ...post,
+          // HTML-escaped text with matches wrapped in <mark>
+          highlights: {
+            title: highlight(post.title, parsed),
+            excerpt: snippet(post.excerpt, parsed),
+            content: snippet(htmlToText(contentHtml || '').replace(/\s+/g, ' '), parsed),
+          },
+        })),
+        facets: {
+          categories: result.categories
+            .filter(facet => categoriesById.has(String(facet._id)))
+            .map(facet => {
+              const item = categoriesById.get(String(facet._id));
+              return { _id: item._id, name: item.name, slug: item.slug, count: facet.count };
+            }),
+          tags: result.tags.map(facet => ({ tag: facet._id, count: facet.count })),
+          authors: result.authors
+            .filter(facet => authorsById.has(String(facet._id)))
+            .map(facet => {
+              const item = authorsById.get(String(facet._id));
+              return { _id: item._id, username: item.username, fullName: item.fullName, count: facet.count };
+            }),
+        },
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error searching posts',
+    });
+  }
+});
+
+// @route   GET /api/search/autocomplete
+// @desc    Suggest post titles, tags, categories and usernames starting with a prefix
+// @access  Public
+router.get('/autocomplete', optionalAuth, requireScope('posts:read'), [
+  query('q').trim().isLength({ min: 1, max: 50 }).withMessage('Prefix must be between 1 and 50 characters'),
+  query('limit').optional().isInt({ min: 1, max: 10 }).withMessage('Limit must be between 1 and 10'),
+], handleValidationErrors, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 5;
+    const suggestions = await autocomplete(req.query.q, limit);
+
+    res.json({
+      success: true,
+      data: { suggestions },
+    });
+  } catch (error) {
+    logger.error('Autocomplete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving suggestions',
+    });
+  }
+});
+
+module.exports = router;
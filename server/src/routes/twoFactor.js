@@ -0,0 +1,234 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { buildOtpauthUri } = require('../utils/totp');
+const { auth, requireSession } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Helper function to handle validation errors
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation failed',
+      details: errors.array(),
+    });
+  }
+  next();
+};
+
+const codeValidation = body('code')
+  .matches(/^\d{6}$/)
+  .withMessage('Code must be 6 digits');
+
+// Loads the current user together with their 2FA secrets
+const findUserWithSecrets = (userId) => {
+  return User.findById(userId)
+    .select('+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+};
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/status', auth, requireSession, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+twoFactor.recoveryCodes');
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0,
+      },
+    });
+  } catch (error) {
+    logger.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error getting two-factor status',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start enrollment: generate a secret and otpauth URI
+// @access  Private
+router.post('/setup', auth, requireSession, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    const secret = user.startTwoFactorSetup();
+    await user.save({ validateBeforeSave: false });
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email }),
+      },
+    });
+  } catch (error) {
+    logger.error('2FA setup error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error setting up two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a first code and get recovery codes
+// @access  Private
+router.post('/enable', auth, requireSession, [codeValidation], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is already enabled',
+      });
+    }
+
+    if (!user.twoFactor.secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor setup has not been started',
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Two-factor authentication enabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they will not be shown again',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    logger.error('2FA enable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error enabling two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off two-factor authentication
+// @access  Private
+router.post('/disable', auth, requireSession, [
+  body('password').notEmpty().withMessage('Password is required'),
+  codeValidation,
+], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch || !(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid password or two-factor code',
+      });
+    }
+
+    await user.updateOne({
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.recoveryCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1,
+      },
+    });
+
+    logger.info(`Two-factor authentication disabled for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled',
+    });
+  } catch (error) {
+    logger.error('2FA disable error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error disabling two-factor authentication',
+    });
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes with a new set
+// @access  Private
+router.post('/recovery-codes', auth, requireSession, [codeValidation], handleValidationErrors, async (req, res) => {
+  try {
+    const user = await findUserWithSecrets(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not enabled',
+      });
+    }
+
+    if (!(await user.verifyTwoFactorCode(req.body.code))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid two-factor code',
+      });
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Recovery codes regenerated for user: ${user.email}`);
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    logger.error('Recovery code regeneration error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error regenerating recovery codes',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Session = require('../models/Session');
+const Follow = require('../models/Follow');
+const { auth, can, requireScope } = require('../middleware/auth');
+const { hasPermission, outranks } = require('../utils/permissions');
+const { paginate } = require('../utils/helpers');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -19,20 +23,28 @@ const handleValidationErrors = (req, res, next) => {
   next();
 };
 
+// Resource for permission checks, optionally selecting extra fields
+const userResource = (fields = '') => ({
+  name: 'User',
+  load: (req) => User.findById(req.params.id).select(fields),
+});
+
 // @route   GET /api/users
-// @desc    Get all users (admin only)
-// @access  Private/Admin
-router.get('/', auth, authorize('admin'), [
+// @desc    Get all users
+// @access  Private (Moderator or admin)
+router.get('/', auth, requireScope('users:read'), can('user:list'), [
   query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('search').optional().trim().isLength({ min: 1 }).withMessage('Search term cannot be empty'),
   query('role').optional().isIn(['user', 'admin', 'moderator']).withMessage('Invalid role'),
   query('active').optional().isBoolean().withMessage('Active must be a boolean'),
+  query('cursor').optional().isString().isLength({ min: 1 }).withMessage('Cursor cannot be empty'),
 ], handleValidationErrors, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
+      cursor,
       search,
       role,
       active,
@@ -71,34 +83,30 @@ router.get('/', auth, authorize('admin'), [
         sortOptions = { createdAt: -1 };
     }
 
-    // Execute query with pagination
-    const users = await User.find(query)
-      .select('-password -passwordResetToken -emailVerificationToken')
-      .sort(sortOptions)
-      .skip((page - 1) * limit)
-      .limit(parseInt(limit))
-      .lean();
-
-    // Get total count for pagination
-    const total = await User.countDocuments(query);
-    const totalPages = Math.ceil(total / limit);
+    // Execute query with page or cursor pagination
+    const { items: users, pagination } = await paginate(
+      User.find(query)
+        .select('-password -passwordResetToken -emailVerificationToken')
+        .lean(),
+      { page: parseInt(page), limit: parseInt(limit), cursor, sort: sortOptions }
+    );
 
-    logger.info(`Users retrieved: ${users.length} of ${total} by admin ${req.user.username}`);
+    logger.info(`Users retrieved: ${users.length}${cursor ? '' : ` of ${pagination.total}`} by admin ${req.user.username}`);
 
     res.json({
       success: true,
       data: {
         users,
-        pagination: {
-          current: parseInt(page),
-          pages: totalPages,
-          total,
-          hasNext: page < totalPages,
-          hasPrev: page > 1,
-        },
+        pagination,
       },
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+      });
+    }
     logger.error('Get users error:', error);
     res.status(500).json({
       success: false,
@@ -109,39 +117,14 @@ router.get('/', auth, authorize('admin'), [
 
 // @route   GET /api/users/:id
 // @desc    Get user by ID
-// @access  Private (Own profile or admin)
-router.get('/:id', auth, async (req, res) => {
+// @access  Private (Own profile, moderator or admin)
+router.get('/:id', auth, requireScope('users:read'), can('user:read', userResource('-passwordResetToken -emailVerificationToken')), async (req, res) => {
   try {
-    // Check if user is accessing their own profile or is admin
-    if (req.params.id !== req.user._id.toString() && req.user.role !== 'admin') {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-      });
-    }
-
-    const user = await User.findById(req.params.id)
-      .select('-password -passwordResetToken -emailVerificationToken');
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
-
     res.json({
       success: true,
-      data: { user },
+      data: { user: req.resource },
     });
   } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
-    
     logger.error('Get user error:', error);
     res.status(500).json({
       success: false,
@@ -153,35 +136,17 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/users/:id
 // @desc    Update user (admin only or own profile)
 // @access  Private
-router.put('/:id', auth, [
+router.put('/:id', auth, requireScope('users:write'), [
   body('firstName').optional().trim().isLength({ max: 50 }).withMessage('First name cannot exceed 50 characters'),
   body('lastName').optional().trim().isLength({ max: 50 }).withMessage('Last name cannot exceed 50 characters'),
   body('bio').optional().trim().isLength({ max: 500 }).withMessage('Bio cannot exceed 500 characters'),
   body('role').optional().isIn(['user', 'admin', 'moderator']).withMessage('Invalid role'),
-  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean'),
-], handleValidationErrors, async (req, res) => {
+  // Active status changes sign the user out, so they go through ban and unban
+  body('isActive').not().exists().withMessage('Use the ban and unban endpoints to change active status'),
+], handleValidationErrors, can('user:update', userResource()), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
-
-    // Check permissions
-    const isOwnProfile = req.params.id === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwnProfile && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-      });
-    }
-
-    const { firstName, lastName, bio, avatar, role, isActive } = req.body;
+    const user = req.resource;
+    const { firstName, lastName, bio, avatar, role } = req.body;
 
     // Update allowed fields
     if (firstName !== undefined) user.firstName = firstName;
@@ -189,17 +154,16 @@ router.put('/:id', auth, [
     if (bio !== undefined) user.bio = bio;
     if (avatar !== undefined) user.avatar = avatar;
 
-    // Only admins can change role and active status
-    if (isAdmin) {
-      if (role !== undefined) user.role = role;
-      if (isActive !== undefined) user.isActive = isActive;
-    } else if (role !== undefined || isActive !== undefined) {
+    // Role changes need their own permission
+    if (role !== undefined && !hasPermission(req.user, 'user:role:update')) {
       return res.status(403).json({
         success: false,
-        error: 'Insufficient permissions to modify role or active status',
+        error: 'Insufficient permissions to modify role',
       });
     }
 
+    if (role !== undefined) user.role = role;
+
     await user.save();
 
     logger.info(`User updated: ${user.username} by ${req.user.username}`);
@@ -223,13 +187,6 @@ router.put('/:id', auth, [
       },
     });
   } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
-
     logger.error('Update user error:', error);
     res.status(500).json({
       success: false,
@@ -241,16 +198,9 @@ router.put('/:id', auth, [
 // @route   DELETE /api/users/:id
 // @desc    Delete user (admin only)
 // @access  Private/Admin
-router.delete('/:id', auth, authorize('admin'), async (req, res) => {
+router.delete('/:id', auth, requireScope('users:write'), can('user:delete', userResource()), async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
+    const user = req.resource;
 
     // Prevent admin from deleting themselves
     if (req.params.id === req.user._id.toString()) {
@@ -261,6 +211,7 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
     }
 
     await User.findByIdAndDelete(req.params.id);
+    await Follow.removeAllForUser(user._id);
 
     logger.info(`User deleted: ${user.username} by admin ${req.user.username}`);
 
@@ -269,13 +220,6 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
       message: 'User deleted successfully',
     });
   } catch (error) {
-    if (error.name === 'CastError') {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
-
     logger.error('Delete user error:', error);
     res.status(500).json({
       success: false,
@@ -286,31 +230,22 @@ router.delete('/:id', auth, authorize('admin'), async (req, res) => {
 
 // @route   GET /api/users/:id/stats
 // @desc    Get user statistics
-// @access  Private (Own profile or admin)
-router.get('/:id/stats', auth, async (req, res) => {
+// @access  Private (Own profile, moderator or admin)
+router.get('/:id/stats', auth, requireScope('users:read'), can('user:read', userResource()), async (req, res) => {
   try {
-    // Check permissions
-    const isOwnProfile = req.params.id === req.user._id.toString();
-    const isAdmin = req.user.role === 'admin';
-
-    if (!isOwnProfile && !isAdmin) {
-      return res.status(403).json({
-        success: false,
-        error: 'Access denied',
-      });
-    }
-
-    const user = await User.findById(req.params.id);
-
-    if (!user) {
-      return res.status(404).json({
-        success: false,
-        error: 'User not found',
-      });
-    }
+    const user = req.resource;
 
     // Get user statistics
     const Post = require('../models/Post');
+    const Comment = require('../models/Comment');
+
+    // Reactions received, summed per type from the stored counts
+    const reactionsByType = (match) => [
+      { $match: match },
+      { $project: { counts: { $objectToArray: '$reactionCounts' } } },
+      { $unwind: '$counts' },
+      { $group: { _id: '$counts.k', count: { $sum: '$counts.v' } } },
+    ];
     
     const stats = await Promise.all([
       Post.countDocuments({ author: req.params.id }),
@@ -324,9 +259,18 @@ router.get('/:id/stats', auth, async (req, res) => {
         { $unwind: '$likes' },
         { $group: { _id: null, totalLikes: { $sum: 1 } } }
       ]),
+      Post.aggregate(reactionsByType({ author: user._id })),
+      Comment.aggregate(reactionsByType({ user: user._id })),
     ]);
 
-    const [totalPosts, publishedPosts, viewsResult, likesResult] = stats;
+    const [totalPosts, publishedPosts, viewsResult, likesResult, postReactions, commentReactions] = stats;
+
+    const reactions = { total: 0, byType: {} };
+    [...postReactions, ...commentReactions].forEach(({ _id: type, count }) => {
+      if (count <= 0) return;
+      reactions.byType[type] = (reactions.byType[type] || 0) + count;
+      reactions.total += count;
+    });
 
     res.json({
       success: true,
@@ -337,25 +281,299 @@ router.get('/:id/stats', auth, async (req, res) => {
           draftPosts: totalPosts - publishedPosts,
           totalViews: viewsResult[0]?.totalViews || 0,
           totalLikes: likesResult[0]?.totalLikes || 0,
+          reactions,
           joinDate: user.createdAt,
           lastLogin: user.lastLogin,
         },
       },
     });
   } catch (error) {
-    if (error.name === 'CastError') {
+    logger.error('Get user stats error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving user statistics',
+    });
+  }
+});
+
+// Follows or unfollows the user in req.params.id
+const setFollow = (followed) => async (req, res) => {
+  try {
+    if (req.params.id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot follow yourself',
+      });
+    }
+
+    const target = await User.findOne({ _id: req.params.id, isActive: true }).select('_id');
+
+    // Anyone may stop following a deactivated account, but not start
+    if (!target && followed) {
       return res.status(404).json({
         success: false,
         error: 'User not found',
       });
     }
 
-    logger.error('Get user stats error:', error);
+    if (followed) {
+      await Follow.follow(req.user._id, target._id);
+    } else {
+      await Follow.unfollow(req.user._id, req.params.id);
+    }
+
+    const user = await User.findById(req.params.id).select('followersCount');
+
+    logger.info(`User ${req.params.id} ${followed ? 'followed' : 'unfollowed'} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: followed ? 'User followed' : 'User unfollowed',
+      data: {
+        following: followed,
+        followersCount: user ? user.followersCount : 0,
+      },
+    });
+  } catch (error) {
+    logger.error('Update follow error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error retrieving user statistics',
+      error: 'Server error updating follow',
+    });
+  }
+};
+
+const followValidation = [
+  param('id').isMongoId().withMessage('Valid user ID is required'),
+];
+
+// @route   PUT /api/users/:id/follow
+// @desc    Follow a user; following twice is a no-op
+// @access  Private
+router.put('/:id/follow', auth, requireScope('users:write'), can('user:follow'), followValidation, handleValidationErrors, setFollow(true));
+
+// @route   DELETE /api/users/:id/follow
+// @desc    Unfollow a user; unfollowing twice is a no-op
+// @access  Private
+router.delete('/:id/follow', auth, requireScope('users:write'), can('user:follow'), followValidation, handleValidationErrors, setFollow(false));
+
+// Lists one side of a user's follows, most recent first
+const listFollows = ({ match, populate, key }) => async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const user = await User.exists({ _id: req.params.id, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found',
+      });
+    }
+
+    const filter = { [match]: req.params.id };
+
+    const [follows, total] = await Promise.all([
+      Follow.find(filter)
+        .populate(populate, 'username firstName lastName avatar')
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Follow.countDocuments(filter),
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        [key]: follows
+          .filter(follow => follow[populate])
+          .map(follow => ({ user: follow[populate], followedAt: follow.createdAt })),
+        pagination: {
+          current: page,
+          pages: totalPages,
+          total,
+          hasNext: page < totalPages,
+          hasPrev: page > 1,
+        },
+      },
+    });
+  } catch (error) {
+    logger.error(`Get ${key} error:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Server error retrieving ${key}`,
+    });
+  }
+};
+
+const followListValidation = [
+  ...followValidation,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+];
+
+// @route   GET /api/users/:id/followers
+// @desc    Get the users following a user
+// @access  Private
+router.get('/:id/followers', auth, requireScope('users:read'), followListValidation, handleValidationErrors,
+  listFollows({ match: 'following', populate: 'follower', key: 'followers' }));
+
+// @route   GET /api/users/:id/following
+// @desc    Get the users a user follows
+// @access  Private
+router.get('/:id/following', auth, requireScope('users:read'), followListValidation, handleValidationErrors,
+  listFollows({ match: 'follower', populate: 'following', key: 'following' }));
+
+// Adds or removes a tag from the user's feed
+const setFollowedTag = (followed) => async (req, res) => {
+  try {
+    const tag = req.params.tag;
+
+    await req.resource.updateOne(followed
+      ? { $addToSet: { followedTags: tag } }
+      : { $pull: { followedTags: tag } });
+
+    const user = await User.findById(req.resource._id).select('followedTags');
+
+    res.json({
+      success: true,
+      message: followed ? 'Tag followed' : 'Tag unfollowed',
+      data: { followedTags: user.followedTags },
+    });
+  } catch (error) {
+    logger.error('Update followed tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating followed tags',
+    });
+  }
+};
+
+const tagValidation = [
+  param('tag')
+    .trim()
+    .toLowerCase()
+    .isLength({ min: 1, max: 30 })
+    .withMessage('Tag must be between 1 and 30 characters'),
+];
+
+// @route   PUT /api/users/:id/followed-tags/:tag
+// @desc    Follow a tag so its posts show up in the feed
+// @access  Private (Own profile or admin)
+router.put('/:id/followed-tags/:tag', auth, requireScope('users:write'), tagValidation, handleValidationErrors,
+  can('user:update', userResource()), setFollowedTag(true));
+
+// @route   DELETE /api/users/:id/followed-tags/:tag
+// @desc    Stop following a tag
+// @access  Private (Own profile or admin)
+router.delete('/:id/followed-tags/:tag', auth, requireScope('users:write'), tagValidation, handleValidationErrors,
+  can('user:update', userResource()), setFollowedTag(false));
+
+// @route   GET /api/users/:id/login-attempts
+// @desc    Get lockout state and failed login history
+// @access  Private/Admin
+router.get('/:id/login-attempts', auth, requireScope('users:read'), can('user:lockout:read', userResource('+failedLogins')), async (req, res) => {
+  try {
+    const user = req.resource;
+
+    const { maxAttempts } = User.getLockoutSettings();
+
+    res.json({
+      success: true,
+      data: {
+        loginAttempts: user.loginAttempts,
+        maxAttempts,
+        isLocked: user.isLocked,
+        lockUntil: user.isLocked ? user.lockUntil : null,
+        failedLogins: [...(user.failedLogins || [])].reverse(),
+      },
+    });
+  } catch (error) {
+    logger.error('Get login attempts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error retrieving login attempts',
+    });
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Unlock an account locked by failed login attempts
+// @access  Private/Admin
+router.post('/:id/unlock', auth, requireScope('users:write'), can('user:unlock', userResource()), async (req, res) => {
+  try {
+    const user = req.resource;
+
+    await user.unlock();
+
+    logger.info(`User unlocked: ${user.username} by admin ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked successfully',
+    });
+  } catch (error) {
+    logger.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error unlocking user',
     });
   }
 });
 
+// Sets a user's active status, for moderators banning and unbanning accounts
+const setActiveStatus = (isActive) => async (req, res) => {
+  try {
+    const user = req.resource;
+
+    if (user._id.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot change the status of your own account',
+      });
+    }
+
+    if (!outranks(req.user, user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot change the status of a user with an equal or higher role',
+      });
+    }
+
+    if (isActive) {
+      await user.updateOne({ $set: { isActive: true } });
+    } else {
+      // Sign the user out everywhere straight away
+      await user.updateOne({ $set: { isActive: false }, $inc: { tokenVersion: 1 } });
+      await Session.revokeAllForUser(user._id);
+    }
+
+    logger.info(`User ${isActive ? 'unbanned' : 'banned'}: ${user.username} by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      message: isActive ? 'User unbanned successfully' : 'User banned successfully',
+    });
+  } catch (error) {
+    logger.error('Update user status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error updating user status',
+    });
+  }
+};
+
+// @route   POST /api/users/:id/ban
+// @desc    Deactivate an account and end its sessions
+// @access  Private (Moderator or admin)
+router.post('/:id/ban', auth, requireScope('users:write'), can('user:ban', userResource()), setActiveStatus(false));
+
+// @route   POST /api/users/:id/unban
+// @desc    Reactivate a banned account
+// @access  Private (Moderator or admin)
+router.post('/:id/unban', auth, requireScope('users:write'), can('user:ban', userResource()), setActiveStatus(true));
+
 module.exports = router;
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 
@@ -10,17 +11,19 @@ const comparePassword = async (password, hashedPassword) => {
   return await bcrypt.compare(password, hashedPassword);
 };
 
-const generateToken = (user) => {
+const generateToken = (user, { sessionId } = {}) => {
   const payload = {
     id: user._id,
     email: user.email,
     username: user.username,
+    tv: user.tokenVersion || 0,
+    ...(sessionId && { sid: sessionId.toString() }),
   };
   
   return jwt.sign(
     payload,
     process.env.JWT_SECRET || 'fallback-secret-key',
-    { expiresIn: process.env.JWT_EXPIRE || '24h' }
+    { expiresIn: process.env.JWT_EXPIRE || '24h', jwtid: crypto.randomUUID() }
   );
 };
 
@@ -28,18 +31,47 @@ const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET || 'fallback-secret-key');
 };
 
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, { jti, family } = {}) => {
   return jwt.sign(
-    { id: user._id },
+    { id: user._id, ...(jti && { jti }), ...(family && { family }) },
     process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret',
-    { expiresIn: '7d' }
+    { expiresIn: process.env.JWT_REFRESH_EXPIRE || '7d' }
   );
 };
 
+const verifyRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_REFRESH_SECRET || 'fallback-refresh-secret');
+};
+
+// Short-lived token proving the password step of a two-factor login.
+// Signed with its own secret so it can never pass as an access token.
+const twoFactorChallengeSecret = () => {
+  return `${process.env.JWT_SECRET || 'fallback-secret-key'}:2fa-challenge`;
+};
+
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign(
+    { id: user._id, purpose: '2fa-challenge' },
+    twoFactorChallengeSecret(),
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m' }
+  );
+};
+
+const verifyTwoFactorChallenge = (token) => {
+  const decoded = jwt.verify(token, twoFactorChallengeSecret());
+  if (decoded.purpose !== '2fa-challenge') {
+    throw new jwt.JsonWebTokenError('Invalid challenge token');
+  }
+  return decoded;
+};
+
 module.exports = {
   hashPassword,
   comparePassword,
   generateToken,
   verifyToken,
   generateRefreshToken,
+  verifyRefreshToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
 };
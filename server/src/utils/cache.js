@@ -0,0 +1,50 @@
+// Small in-memory cache with a time to live and a size cap. Each process has
+// its own copy, so only cache data that may be briefly out of date.
+
+const createCache = ({ ttl = 60 * 1000, maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    // Re-insert so the least recently used entry is evicted first
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttl });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    return value;
+  };
+
+  // Returns the cached value, or loads and caches it
+  const wrap = async (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) return cached;
+    return set(key, await load());
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    clear: () => entries.clear(),
+    get size() {
+      return entries.size;
+    },
+  };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,82 @@
+// Content statistics for posts: word and character counts, reading time, the
+// heading outline and the links, all taken from the rendered HTML
+
+const { htmlToText, decodeEntities } = require('./markdown');
+
+// Images get IMAGE_SECONDS for the first one, a second less for each after
+// that, and never less than MIN_IMAGE_SECONDS
+const MIN_IMAGE_SECONDS = 3;
+
+// Unset or invalid values fall back to the default, but an explicit 0 is kept
+// where allowed, e.g. READ_TIME_IMAGE_SECONDS=0 to ignore images
+const numberSetting = (value, defaultValue, minimum = 0) => {
+  const parsed = parseInt(value);
+  return Number.isFinite(parsed) && parsed >= minimum ? parsed : defaultValue;
+};
+
+const getReadTimeSettings = () => ({
+  wordsPerMinute: numberSetting(process.env.READ_TIME_WPM, 200, 1),
+  // Code is read more slowly than prose
+  codeWordsPerMinute: numberSetting(process.env.READ_TIME_CODE_WPM, 100, 1),
+  imageSeconds: numberSetting(process.env.READ_TIME_IMAGE_SECONDS, 12),
+});
+
+// Whitespace-separated tokens with at least one letter or digit, so stray
+// punctuation and markup symbols aren't counted as words
+const countWords = (text) => {
+  return text.split(/\s+/).filter(token => /[\p{L}\p{N}]/u.test(token)).length;
+};
+
+const imageReadingSeconds = (images, firstImageSeconds) => {
+  let seconds = 0;
+  for (let i = 0; i < images; i++) {
+    seconds += Math.max(firstImageSeconds - i, Math.min(MIN_IMAGE_SECONDS, firstImageSeconds));
+  }
+  return seconds;
+};
+
+const CODE_BLOCK = /<pre><code[^>]*>([\s\S]*?)<\/code><\/pre>/g;
+const HEADING = /<h([1-6]) id="([^"]*)">([\s\S]*?)<\/h\1>/g;
+const LINK = /<a href="([^"]*)"([^>]*)>([\s\S]*?)<\/a>/g;
+const IMAGE = /<img\b/g;
+
+const analyzeContent = (html = '') => {
+  const { wordsPerMinute, codeWordsPerMinute, imageSeconds } = getReadTimeSettings();
+
+  const codeBlocks = [...html.matchAll(CODE_BLOCK)].map(match => decodeEntities(match[1]));
+  const prose = htmlToText(html.replace(CODE_BLOCK, '\n'));
+  const text = htmlToText(html);
+
+  const proseWords = countWords(prose);
+  const codeWords = codeBlocks.reduce((total, code) => total + countWords(code), 0);
+  const imageCount = (html.match(IMAGE) || []).length;
+
+  const seconds = (proseWords / wordsPerMinute) * 60
+    + (codeWords / codeWordsPerMinute) * 60
+    + imageReadingSeconds(imageCount, imageSeconds);
+
+  return {
+    wordCount: proseWords + codeWords,
+    characterCount: text.replace(/\s+/g, ' ').length,
+    imageCount,
+    codeBlockCount: codeBlocks.length,
+    // Whole minutes, at least one for any content
+    readTime: html ? Math.max(Math.ceil(seconds / 60), 1) : 0,
+    outline: [...html.matchAll(HEADING)].map(([, level, id, content]) => ({
+      level: parseInt(level),
+      text: htmlToText(content),
+      id,
+    })),
+    links: [...html.matchAll(LINK)].map(([, href, attributes, content]) => ({
+      href: decodeEntities(href),
+      text: htmlToText(content),
+      // The renderer only adds rel to external links
+      external: /\srel="/.test(attributes),
+    })),
+  };
+};
+
+module.exports = {
+  analyzeContent,
+  getReadTimeSettings,
+};
@@ -0,0 +1,132 @@
+// Text diffing for post revisions
+
+const tokenize = (text, by) => {
+  if (!text) return [];
+  return by === 'word'
+    ? text.split(/(\s+)/).filter(Boolean)
+    : text.split(/(?<=\n)/);
+};
+
+// Above this many token pairs the changed region is shown as one replaced
+// block; the LCS takes time proportional to it
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+// LCS lengths of a[aStart:aEnd] against each prefix of b[bStart:bEnd], walking
+// both backwards when `reverse` is set. Keeps only two rows, so memory stays
+// linear in the token count.
+const lcsRow = (a, aStart, aEnd, b, bStart, bEnd, reverse) => {
+  const width = bEnd - bStart;
+  let previous = new Int32Array(width + 1);
+  let current = new Int32Array(width + 1);
+
+  for (let i = 0; i < aEnd - aStart; i++) {
+    const token = a[reverse ? aEnd - 1 - i : aStart + i];
+    for (let j = 1; j <= width; j++) {
+      current[j] = token === b[reverse ? bEnd - j : bStart + j - 1]
+        ? previous[j - 1] + 1
+        : Math.max(previous[j], current[j - 1]);
+    }
+    [previous, current] = [current, previous];
+  }
+
+  return previous;
+};
+
+// Hirschberg's algorithm: split the old tokens in half, find where the LCS
+// crosses that line in the new tokens, and solve both halves separately
+const diffRange = (a, aStart, aEnd, b, bStart, bEnd, changes) => {
+  if (aStart === aEnd) {
+    for (let j = bStart; j < bEnd; j++) changes.push({ type: 'added', value: b[j] });
+    return;
+  }
+  if (bStart === bEnd) {
+    for (let i = aStart; i < aEnd; i++) changes.push({ type: 'removed', value: a[i] });
+    return;
+  }
+
+  if (aEnd - aStart === 1) {
+    const match = b.slice(bStart, bEnd).indexOf(a[aStart]);
+    if (match === -1) {
+      changes.push({ type: 'removed', value: a[aStart] });
+      diffRange(a, aEnd, aEnd, b, bStart, bEnd, changes);
+    } else {
+      diffRange(a, aStart, aStart, b, bStart, bStart + match, changes);
+      changes.push({ type: 'unchanged', value: a[aStart] });
+      diffRange(a, aEnd, aEnd, b, bStart + match + 1, bEnd, changes);
+    }
+    return;
+  }
+
+  const middle = aStart + Math.floor((aEnd - aStart) / 2);
+  const forward = lcsRow(a, aStart, middle, b, bStart, bEnd, false);
+  const backward = lcsRow(a, middle, aEnd, b, bStart, bEnd, true);
+
+  const width = bEnd - bStart;
+  let split = 0;
+  for (let k = 1; k <= width; k++) {
+    if (forward[k] + backward[width - k] > forward[split] + backward[width - split]) split = k;
+  }
+
+  diffRange(a, aStart, middle, b, bStart, bStart + split, changes);
+  diffRange(a, middle, aEnd, b, bStart + split, bEnd, changes);
+};
+
+// Longest common subsequence over the tokens that differ; the shared prefix
+// and suffix are trimmed first so typical edits stay cheap.
+const diffTokens = (oldTokens, newTokens) => {
+  let start = 0;
+  while (start < oldTokens.length && start < newTokens.length && oldTokens[start] === newTokens[start]) {
+    start++;
+  }
+
+  let oldEnd = oldTokens.length;
+  let newEnd = newTokens.length;
+  while (oldEnd > start && newEnd > start && oldTokens[oldEnd - 1] === newTokens[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const changes = oldTokens.slice(0, start).map(value => ({ type: 'unchanged', value }));
+  if ((oldEnd - start) * (newEnd - start) > MAX_DIFF_CELLS) {
+    oldTokens.slice(start, oldEnd).forEach(value => changes.push({ type: 'removed', value }));
+    newTokens.slice(start, newEnd).forEach(value => changes.push({ type: 'added', value }));
+  } else {
+    diffRange(oldTokens, start, oldEnd, newTokens, start, newEnd, changes);
+  }
+  oldTokens.slice(oldEnd).forEach(value => changes.push({ type: 'unchanged', value }));
+  return changes;
+};
+
+// Joins neighbouring tokens of the same type into a single change
+const mergeChanges = (changes) => {
+  return changes.reduce((merged, change) => {
+    const last = merged[merged.length - 1];
+    if (last && last.type === change.type) {
+      last.value += change.value;
+    } else {
+      merged.push({ ...change });
+    }
+    return merged;
+  }, []);
+};
+
+// Diffs two strings by line (default) or by word
+const diffText = (oldText = '', newText = '', { by = 'line' } = {}) => {
+  return mergeChanges(diffTokens(tokenize(oldText, by), tokenize(newText, by)));
+};
+
+// Diffs two lists of values, such as tags
+const diffList = (oldList = [], newList = []) => {
+  const oldValues = oldList.map(String);
+  const newValues = newList.map(String);
+
+  return {
+    added: newValues.filter(value => !oldValues.includes(value)),
+    removed: oldValues.filter(value => !newValues.includes(value)),
+  };
+};
+
+module.exports = {
+  diffText,
+  diffList,
+};
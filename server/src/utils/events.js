@@ -0,0 +1,7 @@
+const { EventEmitter } = require('events');
+
+// Application-wide events (e.g. 'post:published') for side effects that
+// shouldn't live in the code that triggers them
+const events = new EventEmitter();
+
+module.exports = events;
@@ -27,9 +27,143 @@ const slugify = (text) => {
     .replace(/-+$/, '');            // Trim - from end of text
 };
 
-const paginate = (query, page = 1, limit = 10) => {
-  const skip = (page - 1) * limit;
-  return query.skip(skip).limit(limit);
+// Opaque cursors for keyset pagination: the sort values of an item plus its
+// id to break ties, and whether to continue after it ('next') or before it ('prev')
+const encodeCursor = (values, id, direction = 'next') => {
+  const sortValues = values.map(value => (value instanceof Date ? { $date: value.toISOString() } : value));
+  return Buffer.from(JSON.stringify([sortValues, id.toString(), direction])).toString('base64url');
+};
+
+// Sort values end up in the query filter, so only plain values and dates are
+// accepted; anything else could smuggle in query operators
+const isCursorValue = (value) => value === null
+  || ['string', 'boolean'].includes(typeof value)
+  || Number.isFinite(value)
+  || (typeof value === 'object' && !Array.isArray(value)
+    && Object.keys(value).length === 1 && typeof value.$date === 'string'
+    && !Number.isNaN(Date.parse(value.$date)));
+
+// Returns { values, id, direction } or null when the cursor is malformed
+const decodeCursor = (cursor) => {
+  try {
+    const [values, id, direction] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(values) || !values.every(isCursorValue)) return null;
+    if (typeof id !== 'string' || !/^[a-f\d]{24}$/i.test(id)) return null;
+    if (direction !== 'next' && direction !== 'prev') return null;
+    return {
+      values: values.map(value => (value && value.$date ? new Date(value.$date) : value)),
+      id,
+      direction,
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const getPath = (item, path) => path.split('.').reduce((value, key) => (value == null ? value : value[key]), item);
+
+// Condition for a field's value coming strictly after `value` in the given
+// direction, or null when nothing can. MongoDB sorts null (and missing) values
+// before everything else, and comparing against null matches nothing.
+const afterValue = (field, direction, value) => {
+  if (direction === 1) {
+    return value === null ? { [field]: { $ne: null } } : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  // _id, the tie-breaker, is never null
+  return field === '_id'
+    ? { [field]: { $lt: value } }
+    : { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Matches the documents after the given sort values in `sort` order
+const keysetCondition = (sort, values) => {
+  const fields = Object.keys(sort);
+  const branches = fields.map((field, index) => {
+    const after = afterValue(field, sort[field], values[index]);
+    if (!after) return null;
+
+    const condition = {};
+    fields.slice(0, index).forEach((previous, i) => {
+      condition[previous] = values[i];
+    });
+    return { ...condition, ...after };
+  }).filter(Boolean);
+
+  return { $or: branches };
+};
+
+// Paginates a query either by page (skip/limit with a total count) or, given
+// a cursor, by keyset from the cursor on without counting. _id is appended to
+// the sort so ties keep a stable order. Both modes return cursors, so a client
+// can load page 1 and follow nextCursor from there.
+const paginate = async (query, { page = 1, limit = 10, cursor, sort = { createdAt: -1 } } = {}) => {
+  const fields = Object.keys(sort);
+  const order = { ...sort, _id: sort[fields[fields.length - 1]] || -1 };
+  const cursorFor = (item, direction) => encodeCursor(fields.map(field => getPath(item, field)), item._id, direction);
+  const cursorsFor = (items, hasNext, hasPrev) => ({
+    nextCursor: hasNext && items.length > 0 ? cursorFor(items[items.length - 1], 'next') : null,
+    prevCursor: hasPrev && items.length > 0 ? cursorFor(items[0], 'prev') : null,
+  });
+
+  if (!cursor) {
+    const [items, total] = await Promise.all([
+      query.sort(order).skip((page - 1) * limit).limit(limit),
+      query.model.countDocuments(query.getFilter()),
+    ]);
+    const pages = Math.ceil(total / limit);
+    const hasNext = page < pages;
+    const hasPrev = page > 1;
+
+    return {
+      items,
+      pagination: {
+        current: page,
+        pages,
+        total,
+        hasNext,
+        hasPrev,
+        ...cursorsFor(items, hasNext, hasPrev),
+      },
+    };
+  }
+
+  const decoded = decodeCursor(cursor);
+  if (!decoded || decoded.values.length !== fields.length) {
+    const error = new Error('Invalid cursor');
+    error.status = 400;
+    throw error;
+  }
+
+  // Going back walks the reversed order from the cursor, then flips the page
+  const backwards = decoded.direction === 'prev';
+  const walkOrder = backwards
+    ? Object.fromEntries(Object.entries(order).map(([field, direction]) => [field, -direction]))
+    : order;
+
+  // One extra item tells whether there is more in that direction
+  const items = await query
+    .and([keysetCondition(walkOrder, [...decoded.values, decoded.id])])
+    .sort(walkOrder)
+    .limit(limit + 1);
+
+  const hasMore = items.length > limit;
+  if (hasMore) items.pop();
+  if (backwards) items.reverse();
+
+  // The item the cursor came from lies in the other direction
+  const hasNext = backwards || hasMore;
+  const hasPrev = !backwards || hasMore;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNext,
+      hasPrev,
+      ...cursorsFor(items, hasNext, hasPrev),
+    },
+  };
 };
 
 const generateRandomString = (length = 32) => {
@@ -45,11 +179,16 @@ const formatDate = (date) => {
   return new Date(date).toISOString();
 };
 
-const calculateReadTime = (content) => {
-  const wordsPerMinute = 200;
-  const words = content.split(' ').length;
+// Cuts text to maxLength characters, marking the cut with an ellipsis
+const truncate = (text, maxLength) => {
+  return text.length > maxLength ? text.substring(0, maxLength).trim() + '...' : text;
+};
+
+// Plain-text estimate; post read times come from utils/contentAnalysis
+const calculateReadTime = (content, wordsPerMinute = 200) => {
+  const words = content.split(/\s+/).filter(Boolean).length;
   const readTime = Math.ceil(words / wordsPerMinute);
-  return readTime;
+  return Math.max(readTime, 1);
 };
 
 module.exports = {
@@ -58,7 +197,10 @@ module.exports = {
   sanitizeString,
   slugify,
   paginate,
+  encodeCursor,
+  decodeCursor,
   generateRandomString,
   formatDate,
+  truncate,
   calculateReadTime,
 };
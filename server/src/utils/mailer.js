@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+// Masks the tokens in verification and reset links, so whoever can read the
+// logs can't use them
+const redactTokens = (text = '') => text.replace(/([?&]token=)[^&\s]+/g, '$1[redacted]');
+
+// Logs messages instead of sending them (local development)
+const consoleTransport = {
+  name: 'console',
+  send: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${redactTokens(message.text)}`);
+  },
+};
+
+// Production default until a real transport is set: mail must not silently
+// end up in the logs
+const unconfiguredTransport = {
+  name: 'unconfigured',
+  send: async () => {
+    throw new Error('No mail transport configured: set MAIL_TRANSPORT or call setTransport()');
+  },
+};
+
+// Appends messages as JSON lines to a file (local development and tests)
+const createFileTransport = (filename = process.env.MAIL_FILE || 'logs/mail.log') => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true });
+    await fs.promises.appendFile(filename, `${JSON.stringify(message)}\n`);
+  },
+});
+
+const createDefaultTransport = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'file':
+      return createFileTransport();
+    case 'console':
+      return consoleTransport;
+    default:
+      return process.env.NODE_ENV === 'production' ? unconfiguredTransport : consoleTransport;
+  }
+};
+
+let transport = createDefaultTransport();
+
+// Plug in another transport (an SMTP or API client) exposing send(message)
+const setTransport = (newTransport) => {
+  transport = newTransport || createDefaultTransport();
+};
+
+const getTransport = () => transport;
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const message = {
+    from: process.env.MAIL_FROM || 'no-reply@mern-testing.local',
+    to,
+    subject,
+    text,
+    ...(html && { html }),
+    sentAt: new Date().toISOString(),
+  };
+
+  await transport.send(message);
+  logger.info(`Mail sent via ${transport.name || 'custom'} transport: "${subject}" to ${to}`);
+
+  return message;
+};
+
+// Builds a link into the client application
+const clientUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.CLIENT_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  getTransport,
+  clientUrl,
+  consoleTransport,
+  createFileTransport,
+  redactTokens,
+};
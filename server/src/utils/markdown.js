@@ -0,0 +1,337 @@
+// Markdown rendering for post content.
+//
+// Raw HTML in the source is escaped rather than passed through, and the
+// rendered output is filtered against an allow-list of tags and attributes
+// before it is stored, so the HTML can be inserted into pages as is.
+
+const { slugify } = require('./helpers');
+
+// Tags the renderer may produce, with the attributes each may carry
+const ALLOWED_TAGS = {
+  h1: ['id'],
+  h2: ['id'],
+  h3: ['id'],
+  h4: ['id'],
+  h5: ['id'],
+  h6: ['id'],
+  p: [],
+  br: [],
+  hr: [],
+  strong: [],
+  em: [],
+  del: [],
+  code: ['class'],
+  pre: [],
+  blockquote: [],
+  ul: [],
+  ol: ['start'],
+  li: [],
+  a: ['href', 'title', 'rel'],
+  img: ['src', 'alt', 'title'],
+};
+
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+const URL_ATTRIBUTES = new Set(['href', 'src']);
+const SAFE_PROTOCOLS = ['http', 'https', 'mailto'];
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+// Relative URLs and the safe protocols only; javascript:, data: and the like
+// are rejected. Browsers ignore whitespace and control characters inside the
+// protocol, so those are stripped before checking it.
+const isSafeUrl = (url) => {
+  const normalized = decodeEntities(url).replace(/[\u0000-\u0020\u007f]/g, '');
+  const protocol = /^([a-z][a-z\d+.-]*):/i.exec(normalized);
+  return !protocol || SAFE_PROTOCOLS.includes(protocol[1].toLowerCase());
+};
+
+const isExternalUrl = (url) => /^([a-z][a-z\d+.-]*:|\/\/)/i.test(url);
+
+// (url "title") after a link or image label; URLs may contain balanced parentheses
+const LINK_TARGET = String.raw`\(\s*((?:[^\s()]|\([^\s()]*\))+)(?:\s+&quot;(.*?)&quot;)?\s*\)`;
+
+// Inline markup: code spans, images, links, emphasis and line breaks.
+// Works on escaped text; code spans and links are swapped for placeholders
+// so emphasis markers inside them are left alone.
+const renderInline = (text) => {
+  const placeholders = [];
+  const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+  let html = text.replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => (
+    hold(`<code>${escapeHtml(code.trim())}</code>`)
+  ));
+
+  html = escapeHtml(html);
+
+  // Attribute values (URLs included) can't hold markup, so held code spans go
+  // back in as text
+  const asText = (text) => text.replace(/\u0000(\d+)\u0000/g, (match, index) => (
+    escapeHtml(htmlToText(placeholders[index]))
+  ));
+
+  html = html.replace(new RegExp(`!\\[([^\\]]*)\\]${LINK_TARGET}`, 'g'), (match, alt, target, title) => {
+    const src = asText(target);
+    if (!isSafeUrl(src)) return alt;
+    const titleAttr = title ? ` title="${asText(title)}"` : '';
+    return hold(`<img src="${src}" alt="${asText(alt)}"${titleAttr}>`);
+  });
+
+  html = html.replace(new RegExp(`\\[([^\\]]+)\\]${LINK_TARGET}`, 'g'), (match, label, target, title) => {
+    const href = asText(target);
+    if (!isSafeUrl(href)) return label;
+    const titleAttr = title ? ` title="${asText(title)}"` : '';
+    const relAttr = isExternalUrl(href) ? ' rel="nofollow noopener noreferrer"' : '';
+    return hold(`<a href="${href}"${titleAttr}${relAttr}>${renderEmphasis(label)}</a>`);
+  });
+
+  html = renderEmphasis(html).replace(/ {2,}\n|\\\n/g, '<br>\n');
+
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index])
+    // Placeholders can nest (an image inside a link label)
+    .replace(/\u0000(\d+)\u0000/g, (match, index) => placeholders[index]);
+};
+
+// Emphasis from runs of *, _ and ~~. Each closing run is paired with the
+// nearest open run of the same character, and runs left between the two can
+// no longer pair up, so the tags always nest. Unpaired markers stay as text.
+const EMPHASIS_RUN = /\*+|_+|~{2,}/g;
+const EMPHASIS_TAGS = { 1: 'em', 2: 'strong' };
+
+const renderEmphasis = (html) => {
+  const parts = [];
+  const openers = [];
+  let last = 0;
+
+  for (const match of html.matchAll(EMPHASIS_RUN)) {
+    const before = html[match.index - 1] || ' ';
+    const after = html[match.index + match[0].length] || ' ';
+    const char = match[0][0];
+    // Underscores inside words (snake_case) aren't emphasis
+    const wordBoundary = (neighbour) => char !== '_' || !/\w/.test(neighbour);
+
+    const run = {
+      char,
+      remaining: match[0].length,
+      canOpen: /\S/.test(after) && wordBoundary(before),
+      canClose: /\S/.test(before) && wordBoundary(after),
+      openTags: '',
+      closeTags: '',
+    };
+    const width = char === '~' ? 2 : null;
+
+    while (run.canClose && run.remaining >= (width || 1)) {
+      const index = openers.findLastIndex(opener => opener.char === char);
+      if (index === -1) break;
+
+      const opener = openers[index];
+      const used = width || (opener.remaining >= 2 && run.remaining >= 2 ? 2 : 1);
+      const tag = char === '~' ? 'del' : EMPHASIS_TAGS[used];
+      opener.openTags = `<${tag}>${opener.openTags}`;
+      opener.remaining -= used;
+      run.closeTags += `</${tag}>`;
+      run.remaining -= used;
+
+      openers.splice(opener.remaining >= (width || 1) ? index + 1 : index);
+    }
+
+    if (run.canOpen && run.remaining >= (width || 1)) openers.push(run);
+
+    parts.push(html.slice(last, match.index), run);
+    last = match.index + match[0].length;
+  }
+  parts.push(html.slice(last));
+
+  return parts.map(part => (typeof part === 'string'
+    ? part
+    : `${part.closeTags}${part.char.repeat(part.remaining)}${part.openTags}`)).join('');
+};
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}> ?/;
+const LIST_ITEM = /^( {0,3})([-*+]|(\d{1,9})[.)])(\s+|$)/;
+
+const isBlockStart = (line) => FENCE.test(line) || HEADING.test(line) || RULE.test(line)
+  || QUOTE.test(line) || LIST_ITEM.test(line);
+
+// Block structure: headings, fenced code, rules, quotes, lists and paragraphs
+const renderBlocks = (lines, headingIds) => {
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = FENCE.exec(line);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const classAttr = fence[2] ? ` class="language-${fence[2].toLowerCase()}"` : '';
+      blocks.push(`<pre><code${classAttr}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = HEADING.exec(line);
+    if (heading) {
+      const level = heading[1].length;
+      const content = renderInline(heading[2] || '');
+      const id = uniqueId(slugify(htmlToText(content)) || 'section', headingIds);
+      blocks.push(`<h${level} id="${id}">${content}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      blocks.push('<hr>');
+      i++;
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE, ''));
+        i++;
+      }
+      blocks.push(`<blockquote>${renderBlocks(quoted, headingIds)}</blockquote>`);
+      continue;
+    }
+
+    const listItem = LIST_ITEM.exec(line);
+    if (listItem) {
+      const ordered = listItem[3] !== undefined;
+      const items = [];
+
+      while (i < lines.length) {
+        const item = LIST_ITEM.exec(lines[i]);
+        if (!item || (item[3] !== undefined) !== ordered) break;
+
+        // Lines indented past the marker belong to the item, including nested lists
+        const indent = item[0].length;
+        const body = [lines[i].slice(indent)];
+        i++;
+        while (i < lines.length) {
+          const next = lines[i];
+          if (!next.trim()) {
+            if (i + 1 < lines.length && /^\s+\S/.test(lines[i + 1]) && !LIST_ITEM.test(lines[i + 1])) {
+              body.push('');
+              i++;
+              continue;
+            }
+            break;
+          }
+          if (/^\s/.test(next)) {
+            body.push(next.replace(new RegExp(`^ {0,${indent}}`), ''));
+          } else if (!isBlockStart(next)) {
+            body.push(next);
+          } else {
+            break;
+          }
+          i++;
+        }
+
+        // Tight lists: the item's first paragraph isn't wrapped in <p>
+        items.push(`<li>${renderBlocks(body, headingIds).replace(/^<p>([\s\S]*?)<\/p>/, '$1')}</li>`);
+
+        // Skip a blank line between items of the same list
+        if (i + 1 < lines.length && !lines[i]?.trim() && LIST_ITEM.test(lines[i + 1])) {
+          i++;
+        }
+      }
+
+      const start = ordered && parseInt(listItem[3]) !== 1 ? ` start="${parseInt(listItem[3])}"` : '';
+      blocks.push(ordered ? `<ol${start}>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !isBlockStart(lines[i]))) {
+      paragraph.push(lines[i].replace(/^\s+/, ''));
+      i++;
+    }
+    blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return blocks.join('\n');
+};
+
+// Heading anchors must be unique within the post
+const uniqueId = (base, usedIds) => {
+  let id = base;
+  let suffix = 1;
+  while (usedIds.has(id)) {
+    id = `${base}-${suffix++}`;
+  }
+  usedIds.add(id);
+  return id;
+};
+
+// Drops any tag or attribute that isn't allow-listed and any unsafe URL
+const sanitizeHtml = (html) => {
+  return html.replace(/<(\/?)([a-zA-Z][a-zA-Z\d]*)([^<>]*)>|[<>]/g, (match, closing, name, attributes) => {
+    if (!name) return escapeHtml(match);
+
+    const tag = name.toLowerCase();
+    const allowed = ALLOWED_TAGS[tag];
+    if (!allowed) return '';
+    if (closing) return VOID_TAGS.has(tag) ? '' : `</${tag}>`;
+
+    const kept = [];
+    attributes.replace(/([a-zA-Z-]+)="([^"]*)"/g, (attribute, attrName, value) => {
+      const attr = attrName.toLowerCase();
+      if (!allowed.includes(attr)) return;
+      if (URL_ATTRIBUTES.has(attr) && !isSafeUrl(value)) return;
+      kept.push(` ${attr}="${value}"`);
+    });
+
+    return `<${tag}${kept.join('')}>`;
+  });
+};
+
+// Plain text of rendered HTML, for excerpts, read time and search
+const htmlToText = (html) => {
+  return decodeEntities(html
+    .replace(/<br>|<\/(p|h[1-6]|li|blockquote|pre)>/g, '\n')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\s*\n\s*/g, '\n')
+    .trim();
+};
+
+const renderMarkdown = (source) => {
+  if (!source) return '';
+  // NUL marks placeholders while rendering, so it can't come from the source
+  const lines = source.replace(/\u0000/g, '').replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n');
+  return sanitizeHtml(renderBlocks(lines, new Set()));
+};
+
+module.exports = {
+  renderMarkdown,
+  sanitizeHtml,
+  htmlToText,
+  escapeHtml,
+  decodeEntities,
+};
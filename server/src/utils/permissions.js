@@ -0,0 +1,124 @@
+// Central authorization policy: which role may do what.
+//
+// Permissions are written as `resource:action`. Actions on resources that have
+// an owner come in two flavours: `:own` applies only to the user's own
+// resources, `:any` to everyone's. Checking `post:update` against a post
+// passes with either `post:update:any`, or `post:update:own` when the user
+// wrote the post.
+
+const USER_PERMISSIONS = [
+  'post:create',
+  'post:read:own',
+  'post:update:own',
+  'post:delete:own',
+  'post:like',
+  'post:react',
+  'post:bookmark',
+  'comment:create',
+  'comment:react',
+  'comment:update:own',
+  'comment:delete:own',
+  'user:read:own',
+  'user:update:own',
+  'user:follow',
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  'post:read:any',
+  'post:update:any',
+  'post:delete:any',
+  'comment:delete:any',
+  'category:manage',
+  'user:list',
+  'user:read:any',
+  'user:ban',
+];
+
+const ADMIN_PERMISSIONS = [
+  ...MODERATOR_PERMISSIONS,
+  'user:update:any',
+  'user:delete',
+  'user:role:update',
+  'user:lockout:read',
+  'user:unlock',
+];
+
+const ROLE_PERMISSIONS = {
+  user: new Set(USER_PERMISSIONS),
+  moderator: new Set(MODERATOR_PERMISSIONS),
+  admin: new Set(ADMIN_PERMISSIONS),
+};
+
+// Higher ranks can act on lower ranks (e.g. moderators can ban users, not admins)
+const ROLE_RANKS = {
+  user: 0,
+  moderator: 1,
+  admin: 2,
+};
+
+// Field holding the owner of each kind of resource
+const OWNER_FIELDS = {
+  post: 'author',
+  comment: 'user',
+  user: '_id',
+};
+
+const toId = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const isOwner = (user, resourceType, resource) => {
+  const field = OWNER_FIELDS[resourceType];
+  if (!user || !resource || !field) return false;
+
+  return toId(resource[field]) === user._id.toString();
+};
+
+// Admin permissions only apply once two-factor authentication is enabled
+// (opt out with ADMIN_REQUIRE_2FA=false); until then admins act as users.
+const requiresTwoFactor = (user) => {
+  return user.role === 'admin'
+    && process.env.ADMIN_REQUIRE_2FA !== 'false'
+    && !user.twoFactor?.enabled;
+};
+
+const getPermissions = (user) => {
+  if (!user) return new Set();
+  if (requiresTwoFactor(user)) return ROLE_PERMISSIONS.user;
+  return ROLE_PERMISSIONS[user.role] || ROLE_PERMISSIONS.user;
+};
+
+const grants = (permissions, user, permission, resource) => {
+  if (permissions.has(permission) || permissions.has(`${permission}:any`)) {
+    return true;
+  }
+
+  const [resourceType] = permission.split(':');
+  return permissions.has(`${permission}:own`) && isOwner(user, resourceType, resource);
+};
+
+// Whether the user may perform the permission, optionally on a given resource
+const hasPermission = (user, permission, resource) => {
+  return grants(getPermissions(user), user, permission, resource);
+};
+
+// Whether the user would have the permission once two-factor authentication is enabled
+const needsTwoFactorFor = (user, permission, resource) => {
+  return !!user
+    && requiresTwoFactor(user)
+    && grants(ROLE_PERMISSIONS.admin, user, permission, resource);
+};
+
+const outranks = (user, target) => {
+  return (ROLE_RANKS[user.role] || 0) > (ROLE_RANKS[target.role] || 0);
+};
+
+module.exports = {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  needsTwoFactorFor,
+  outranks,
+  isOwner,
+};
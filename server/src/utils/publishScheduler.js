@@ -0,0 +1,67 @@
+const Post = require('../models/Post');
+const events = require('./events');
+const logger = require('./logger');
+
+let timer = null;
+let running = false;
+
+const getInterval = () => parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 30000;
+
+// Announces every post whose publish time has come. Each post is claimed with
+// an atomic update, so it is announced once even with several server processes.
+// Posts created before scheduling existed have no flag and are never announced.
+const publishDuePosts = async (now = new Date()) => {
+  const published = [];
+
+  for (;;) {
+    const post = await Post.findOneAndUpdate(
+      {
+        published: true,
+        publishedAt: { $lte: now },
+        publishAnnounced: false,
+      },
+      { $set: { publishAnnounced: true } },
+      { new: true, sort: { publishedAt: 1 } }
+    );
+
+    if (!post) break;
+
+    published.push(post);
+    events.emit('post:published', post);
+  }
+
+  return published;
+};
+
+const tick = async () => {
+  // Skip a tick while the previous one is still running
+  if (running) return;
+  running = true;
+
+  try {
+    await publishDuePosts();
+  } catch (error) {
+    logger.error('Publish scheduler error:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const start = (interval = getInterval()) => {
+  if (timer) return;
+
+  timer = setInterval(tick, interval);
+  timer.unref();
+  logger.info(`Publish scheduler started (every ${interval}ms)`);
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  publishDuePosts,
+  start,
+  stop,
+};
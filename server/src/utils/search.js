@@ -0,0 +1,200 @@
+// Search query parsing, relevance ranking and highlighted snippets
+
+const { escapeHtml } = require('./markdown');
+
+// Splits a query the way MongoDB's $text reads it: "quoted phrases",
+// -excluded terms and plain terms
+const parseSearchQuery = (query = '') => {
+  const parsed = { terms: [], phrases: [], excluded: [] };
+
+  const rest = query.replace(/(-?)"([^"]*)"/g, (match, negated, phrase) => {
+    const words = phrase.trim();
+    if (words) (negated ? parsed.excluded : parsed.phrases).push(words);
+    return ' ';
+  });
+
+  rest.split(/\s+/).forEach(token => {
+    if (!token || token === '-') return;
+    if (token.startsWith('-')) {
+      parsed.excluded.push(token.slice(1));
+    } else {
+      parsed.terms.push(token);
+    }
+  });
+
+  return parsed;
+};
+
+// $text only matches documents through terms and phrases, never exclusions alone
+const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Text search stems words, so "running" finds "runs"; highlight on the
+// shared stem rather than the exact term
+const stem = (term) => {
+  const stemmed = term.replace(/(ing|ed|es|s)$/i, '');
+  return stemmed.length >= 3 ? stemmed : term;
+};
+
+const buildMatcher = (parsed) => {
+  const patterns = [
+    ...parsed.phrases.map(phrase => phrase.split(/\s+/).map(escapeRegExp).join('\\s+')),
+    ...parsed.terms.map(term => `${escapeRegExp(stem(term))}[\\p{L}\\p{N}]*`),
+  ];
+  if (patterns.length === 0) return null;
+
+  // Longest first so phrases win over the terms inside them
+  patterns.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+};
+
+// Escapes the text and wraps each match in <mark>
+const highlight = (text, parsed) => {
+  if (!text) return '';
+  const matcher = buildMatcher(parsed);
+  if (!matcher) return escapeHtml(text);
+
+  let html = '';
+  let last = 0;
+  for (const match of text.matchAll(matcher)) {
+    html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(text.slice(last));
+};
+
+// About `length` characters of text around the first match, highlighted;
+// null when the text doesn't match
+const snippet = (text, parsed, length = 160) => {
+  const matcher = buildMatcher(parsed);
+  const match = matcher && text ? matcher.exec(text) : null;
+  if (!match) return null;
+
+  let start = Math.max(0, match.index - Math.floor(length / 3));
+  let end = Math.min(text.length, start + length);
+  start = Math.max(0, end - length);
+
+  // Don't cut words in half
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < match.index) start = space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    if (space >= match.index + match[0].length) end = space;
+  }
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+  return `${prefix}${highlight(text.slice(start, end).trim(), parsed)}${suffix}`;
+};
+
+// Edit distance counting swapped neighbouring letters as one typo, giving up
+// once it must exceed max
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The closest known word to each unknown search term, given a Map of
+// word -> frequency. Short words allow one typo, longer ones two; the first
+// letter must match, since typos rarely land there.
+const correctTerms = (terms, vocabulary) => {
+  const corrections = new Map();
+
+  terms.forEach(term => {
+    const word = term.toLowerCase();
+    if (word.length < 3 || vocabulary.has(word) || vocabulary.has(stem(word))) return;
+
+    const maxDistance = word.length <= 4 ? 1 : 2;
+    let best = null;
+    vocabulary.forEach((frequency, candidate) => {
+      if (candidate[0] !== word[0]) return;
+      const distance = editDistance(word, candidate, maxDistance);
+      if (distance > maxDistance) return;
+      if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+        best = { candidate, distance, frequency };
+      }
+    });
+
+    if (best) corrections.set(word, best.candidate);
+  });
+
+  return corrections;
+};
+
+// A number from the environment, or the default when it is unset or invalid.
+// Zero is a valid setting: it turns that boost off.
+const numberSetting = (value, defaultValue, isValid = Number.isFinite) => {
+  const parsed = parseFloat(value);
+  return isValid(parsed) ? parsed : defaultValue;
+};
+
+const getRankingSettings = () => ({
+  // How much a new post is boosted over an old one with the same text score
+  recencyWeight: numberSetting(process.env.SEARCH_RECENCY_WEIGHT, 0.5),
+  // Age in days at which the recency boost has halved
+  recencyHalfLifeDays: numberSetting(process.env.SEARCH_RECENCY_HALF_LIFE_DAYS, 30, days => Number.isFinite(days) && days > 0),
+  popularityWeight: numberSetting(process.env.SEARCH_POPULARITY_WEIGHT, 0.25),
+});
+
+// Aggregation expression ranking posts by text score, boosted by recency and
+// popularity. Needs textScore set from { $meta: 'textScore' } first.
+const rankingExpression = (now = new Date()) => {
+  const { recencyWeight, recencyHalfLifeDays, popularityWeight } = getRankingSettings();
+
+  const ageInDays = {
+    $max: [0, { $divide: [{ $subtract: [now, { $ifNull: ['$publishedAt', now] }] }, 24 * 60 * 60 * 1000] }],
+  };
+  const recency = { $divide: [recencyHalfLifeDays, { $add: [recencyHalfLifeDays, ageInDays] }] };
+
+  // Likes and comments say more about a post than a view does
+  const popularity = {
+    $log10: {
+      $add: [
+        1,
+        { $ifNull: ['$views', 0] },
+        { $multiply: [5, { $ifNull: ['$likesCount', 0] }] },
+        { $multiply: [3, { $ifNull: ['$commentsCount', 0] }] },
+      ],
+    },
+  };
+
+  return {
+    $multiply: [
+      '$textScore',
+      { $add: [1, { $multiply: [recencyWeight, recency] }, { $multiply: [popularityWeight, popularity] }] },
+    ],
+  };
+};
+
+module.exports = {
+  parseSearchQuery,
+  hasSearchTerms,
+  highlight,
+  snippet,
+  rankingExpression,
+  getRankingSettings,
+  escapeRegExp,
+  editDistance,
+  correctTerms,
+};
@@ -0,0 +1,112 @@
+// Search autocomplete and "did you mean" suggestions. Results are cached in
+// memory for a short while, since both run on every keystroke or failed search.
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { createCache } = require('./cache');
+const { parseSearchQuery, escapeRegExp, correctTerms } = require('./search');
+
+const cache = createCache({
+  ttl: parseInt(process.env.SEARCH_SUGGESTIONS_CACHE_TTL_MS) || 60 * 1000,
+  maxEntries: 1000,
+});
+
+// Only the most recent posts feed the spelling vocabulary
+const VOCABULARY_POST_LIMIT = 2000;
+
+// Post titles, tags, categories and usernames starting with the prefix
+const autocomplete = (prefix, limit = 5) => {
+  const normalized = prefix.trim().toLowerCase();
+
+  return cache.wrap(`autocomplete:${limit}:${normalized}`, async () => {
+    const startsWith = new RegExp(`^${escapeRegExp(normalized)}`, 'i');
+    // Titles and category names also match on later words ("jest" finds "Testing with Jest")
+    const wordStartsWith = new RegExp(`(^|\\s)${escapeRegExp(normalized)}`, 'i');
+
+    const [posts, tags, categories, users] = await Promise.all([
+      Post.find({ ...Post.liveQuery(), title: wordStartsWith })
+        .select('title slug')
+        .sort({ views: -1, publishedAt: -1 })
+        .limit(limit)
+        .lean(),
+      Post.aggregate([
+        { $match: { ...Post.liveQuery(), tags: startsWith } },
+        { $unwind: '$tags' },
+        { $match: { tags: startsWith } },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: limit },
+      ]),
+      Category.find({ active: true, name: wordStartsWith })
+        .select('name slug')
+        .sort({ name: 1 })
+        .limit(limit)
+        .lean(),
+      User.find({ isActive: true, username: startsWith })
+        .select('username firstName lastName avatar')
+        .sort({ username: 1 })
+        .limit(limit)
+        .lean(),
+    ]);
+
+    return {
+      posts,
+      tags: tags.map(tag => ({ tag: tag._id, count: tag.count })),
+      categories,
+      users,
+    };
+  });
+};
+
+// Words from live post titles and tags and from category names, with how
+// often each appears
+const getVocabulary = () => cache.wrap('vocabulary', async () => {
+  const [posts, categories] = await Promise.all([
+    Post.find(Post.liveQuery())
+      .select('title tags')
+      .sort({ publishedAt: -1 })
+      .limit(VOCABULARY_POST_LIMIT)
+      .lean(),
+    Category.find({ active: true }).select('name').lean(),
+  ]);
+
+  const vocabulary = new Map();
+  const addWords = (text) => {
+    (text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []).forEach(word => {
+      vocabulary.set(word, (vocabulary.get(word) || 0) + 1);
+    });
+  };
+
+  posts.forEach(post => {
+    addWords(post.title);
+    (post.tags || []).forEach(addWords);
+  });
+  categories.forEach(category => addWords(category.name));
+
+  return vocabulary;
+});
+
+// A corrected version of a search query that finds live posts, or null
+const didYouMean = (query) => cache.wrap(`didYouMean:${query.trim().toLowerCase()}`, async () => {
+  const { terms } = parseSearchQuery(query);
+  if (terms.length === 0) return null;
+
+  const corrections = correctTerms(terms, await getVocabulary());
+  if (corrections.size === 0) return null;
+
+  const corrected = query
+    .trim()
+    .split(/(\s+)/)
+    .map(token => corrections.get(token.toLowerCase()) || token)
+    .join('');
+
+  const found = await Post.exists({ ...Post.liveQuery(), $text: { $search: corrected } });
+  return found ? corrected : null;
+});
+
+module.exports = {
+  autocomplete,
+  didYouMean,
+  clearSuggestionCache: () => cache.clear(),
+};
@@ -0,0 +1,129 @@
+// Time-based one-time passwords (RFC 6238) for two-factor authentication
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULT_PERIOD = 30; // seconds
+const DEFAULT_DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+const generateSecret = (length = 20) => {
+  return base32Encode(crypto.randomBytes(length));
+};
+
+// Counter (time step) for a moment in time
+const getTimeStep = (time = Date.now(), period = DEFAULT_PERIOD) => {
+  return Math.floor(time / 1000 / period);
+};
+
+// HOTP (RFC 4226) value for a given counter
+const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const key = Buffer.isBuffer(secret) ? secret : base32Decode(secret);
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24)
+    | (hmac[offset + 1] << 16)
+    | (hmac[offset + 2] << 8)
+    | hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const generateTotp = (secret, { time = Date.now(), period = DEFAULT_PERIOD, digits = DEFAULT_DIGITS } = {}) => {
+  return generateHotp(secret, getTimeStep(time, period), digits);
+};
+
+// Returns the matching time step, or null. Accepts codes `window` steps either side of now
+// to allow for clock drift.
+const verifyTotp = (secret, code, { time = Date.now(), period = DEFAULT_PERIOD, digits = DEFAULT_DIGITS, window = 1 } = {}) => {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, period);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateHotp(secret, step, digits);
+
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+// otpauth:// URI understood by authenticator apps (usually rendered as a QR code)
+const buildOtpauthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || 'MERN Testing App' }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_PERIOD),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  getTimeStep,
+  generateHotp,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+};
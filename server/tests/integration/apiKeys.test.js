@@ -0,0 +1,214 @@
+// Integration tests for personal API keys
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const ApiKey = require('../../src/models/ApiKey');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let testUser;
+let token;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  testUser = await User.create({
+    username: 'scriptuser',
+    email: 'scriptuser@example.com',
+    password: 'password123',
+  });
+  token = generateToken(testUser);
+
+  const category = await Category.create({ name: 'Automation' });
+  categoryId = category._id;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up keys and posts between tests (keep the user and category)
+afterEach(async () => {
+  await ApiKey.deleteMany({});
+  await Post.deleteMany({});
+});
+
+const createKey = async (scopes, extra = {}) => {
+  const res = await request(app)
+    .post('/api/api-keys')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name: 'CI script', scopes, ...extra });
+  return res;
+};
+
+describe('Integration: API key management', () => {
+  it('should create a key and show it only once', async () => {
+    const res = await createKey(['posts:read']);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.key).toMatch(/^mtk_[a-f0-9]{48}$/);
+    expect(res.body.data.apiKey.prefix).toBe(res.body.data.key.slice(0, 12));
+    expect(res.body.data.apiKey.keyHash).toBeUndefined();
+
+    const listRes = await request(app)
+      .get('/api/api-keys')
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(listRes.status).toBe(200);
+    expect(listRes.body.data.apiKeys).toHaveLength(1);
+    expect(listRes.body.data.apiKeys[0].key).toBeUndefined();
+  });
+
+  it('should store only a hash of the key', async () => {
+    const res = await createKey(['posts:read']);
+
+    const stored = await ApiKey.findById(res.body.data.apiKey._id).select('+keyHash');
+    expect(stored.keyHash).not.toBe(res.body.data.key);
+    expect(stored.keyHash).toHaveLength(64);
+  });
+
+  it('should reject unknown scopes', async () => {
+    const res = await createKey(['posts:admin']);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+
+  it('should not allow managing keys with an API key', async () => {
+    const { body } = await createKey(['posts:read', 'posts:write', 'users:read', 'users:write']);
+
+    const res = await request(app)
+      .post('/api/api-keys')
+      .set('X-API-Key', body.data.key)
+      .send({ name: 'Escalation', scopes: ['posts:write'] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('Integration: X-API-Key authentication', () => {
+  it('should authenticate requests and record last use', async () => {
+    const { body } = await createKey(['posts:write']);
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('X-API-Key', body.data.key)
+      .send({
+        title: 'Posted from a script',
+        content: 'This post was created with a personal API key.',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.author._id).toBe(testUser._id.toString());
+
+    const apiKey = await ApiKey.findById(body.data.apiKey._id);
+    expect(apiKey.lastUsedAt).toBeDefined();
+  });
+
+  it('should enforce scopes', async () => {
+    const { body } = await createKey(['posts:read']);
+
+    const readRes = await request(app)
+      .get('/api/posts')
+      .set('X-API-Key', body.data.key);
+    expect(readRes.status).toBe(200);
+
+    const writeRes = await request(app)
+      .post('/api/posts')
+      .set('X-API-Key', body.data.key)
+      .send({
+        title: 'Should not be created',
+        content: 'The key used for this request can only read posts.',
+        category: categoryId.toString(),
+      });
+    expect(writeRes.status).toBe(403);
+    expect(writeRes.body.code).toBe('INSUFFICIENT_SCOPE');
+
+    const usersRes = await request(app)
+      .get(`/api/users/${testUser._id}`)
+      .set('X-API-Key', body.data.key);
+    expect(usersRes.status).toBe(403);
+  });
+
+  it('should require the categories:write scope to manage categories', async () => {
+    const moderator = await User.create({
+      username: 'scriptmoderator',
+      email: 'scriptmoderator@example.com',
+      password: 'password123',
+      role: 'moderator',
+    });
+    const createModeratorKey = (scopes) => request(app)
+      .post('/api/api-keys')
+      .set('Authorization', `Bearer ${generateToken(moderator)}`)
+      .send({ name: 'Moderator script', scopes });
+
+    const readOnly = await createModeratorKey(['posts:read']);
+    const deniedRes = await request(app)
+      .post('/api/categories')
+      .set('X-API-Key', readOnly.body.data.key)
+      .send({ name: 'Created by a read-only key' });
+
+    expect(deniedRes.status).toBe(403);
+    expect(deniedRes.body.code).toBe('INSUFFICIENT_SCOPE');
+
+    const deleteRes = await request(app)
+      .delete(`/api/categories/${categoryId}`)
+      .set('X-API-Key', readOnly.body.data.key);
+    expect(deleteRes.status).toBe(403);
+    expect(await Category.exists({ _id: categoryId })).toBeTruthy();
+
+    const writer = await createModeratorKey(['categories:write']);
+    const createRes = await request(app)
+      .post('/api/categories')
+      .set('X-API-Key', writer.body.data.key)
+      .send({ name: 'Created by a script' });
+
+    expect(createRes.status).toBe(201);
+  });
+
+  it('should reject revoked keys', async () => {
+    const { body } = await createKey(['users:read']);
+
+    const revokeRes = await request(app)
+      .delete(`/api/api-keys/${body.data.apiKey._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(revokeRes.status).toBe(200);
+    expect(revokeRes.body.data.apiKey.isActive).toBe(false);
+
+    const res = await request(app)
+      .get(`/api/users/${testUser._id}`)
+      .set('X-API-Key', body.data.key);
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject expired keys', async () => {
+    const { body } = await createKey(['users:read'], { expiresInDays: 1 });
+    await ApiKey.updateOne({ _id: body.data.apiKey._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+    const res = await request(app)
+      .get(`/api/users/${testUser._id}`)
+      .set('X-API-Key', body.data.key);
+    expect(res.status).toBe(401);
+  });
+
+  it('should reject unknown keys', async () => {
+    const res = await request(app)
+      .get(`/api/users/${testUser._id}`)
+      .set('X-API-Key', 'mtk_not-a-real-key');
+
+    expect(res.status).toBe(401);
+    expect(res.body.error).toBe('API key is not valid');
+  });
+});
@@ -6,6 +6,8 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const app = require('../../src/app');
 const User = require('../../src/models/User');
 const { generateToken } = require('../../src/utils/auth');
+const mailer = require('../../src/utils/mailer');
+const { generateTotp } = require('../../src/utils/totp');
 
 let mongoServer;
 
@@ -272,6 +274,9 @@ describe('Integration: Authentication API', () => {
 
       expect(res.status).toBe(401);
       expect(res.body.error).toContain('Account temporarily locked');
+      expect(res.body.code).toBe('ACCOUNT_LOCKED');
+      expect(res.body.retryAfter).toBeGreaterThan(0);
+      expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
     });
 
     it('should reset login attempts on successful login', async () => {
@@ -504,6 +509,267 @@ describe('Integration: Authentication API', () => {
     });
   });
 
+  describe('POST /api/auth/refresh', () => {
+    let refreshToken;
+
+    beforeEach(async () => {
+      await User.create({
+        username: 'refreshuser',
+        email: 'refresh@example.com',
+        password: 'password123',
+      });
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'refresh@example.com', password: 'password123' });
+      refreshToken = loginRes.body.data.refreshToken;
+    });
+
+    it('should issue a new token pair', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.token).toBeDefined();
+      expect(res.body.data.refreshToken).toBeDefined();
+      expect(res.body.data.refreshToken).not.toBe(refreshToken);
+
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${res.body.data.token}`);
+      expect(meRes.status).toBe(200);
+    });
+
+    it('should revoke the whole family when an old token is reused', async () => {
+      const first = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      const rotatedToken = first.body.data.refreshToken;
+
+      const reuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken });
+      expect(reuse.status).toBe(401);
+      expect(reuse.body.error).toBe('Refresh token reuse detected');
+
+      // The legitimately rotated token is no longer usable either
+      const afterReuse = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: rotatedToken });
+      expect(afterReuse.status).toBe(401);
+    });
+
+    it('should reject an access token', async () => {
+      const user = await User.findOne({ email: 'refresh@example.com' });
+
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: generateToken(user) });
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Invalid refresh token');
+    });
+
+    it('should require a refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({});
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Validation failed');
+    });
+  });
+
+  describe('Email verification', () => {
+    let sentMail;
+
+    // Pulls the raw verification token out of the emailed link
+    const verificationTokenFromMail = () => sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+    const register = () => request(app)
+      .post('/api/auth/register')
+      .send({ username: 'verifyuser', email: 'verify@example.com', password: 'password123' });
+
+    beforeEach(() => {
+      sentMail = [];
+      mailer.setTransport({ name: 'test', send: async (message) => { sentMail.push(message); } });
+    });
+
+    afterEach(() => {
+      mailer.setTransport(null);
+      delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('should send a verification email on registration', async () => {
+      const res = await register();
+
+      expect(res.status).toBe(201);
+      expect(res.body.data.user.emailVerified).toBe(false);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('verify@example.com');
+    });
+
+    it('should verify the email with the emailed token', async () => {
+      await register();
+
+      const res = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: verificationTokenFromMail() });
+
+      expect(res.status).toBe(200);
+      const user = await User.findOne({ email: 'verify@example.com' });
+      expect(user.emailVerified).toBe(true);
+      expect(user.emailVerificationToken).toBeUndefined();
+    });
+
+    it('should reject an unknown token', async () => {
+      const res = await request(app)
+        .post('/api/auth/verify-email')
+        .send({ token: 'not-a-real-token' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Invalid or expired verification token');
+    });
+
+    it('should throttle resending the verification email', async () => {
+      const registerRes = await register();
+      const token = registerRes.body.data.token;
+
+      const res = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(429);
+      expect(res.body.retryAfter).toBeGreaterThan(0);
+      expect(sentMail).toHaveLength(1);
+
+      await User.updateOne(
+        { email: 'verify@example.com' },
+        { $set: { emailVerificationSentAt: new Date(Date.now() - 5 * 60 * 1000) } }
+      );
+
+      const retryRes = await request(app)
+        .post('/api/auth/resend-verification')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(retryRes.status).toBe(200);
+      expect(sentMail).toHaveLength(2);
+    });
+
+    it('should let unverified users log in but block writes when required', async () => {
+      process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+      await register();
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'verify@example.com', password: 'password123' });
+      expect(loginRes.status).toBe(200);
+
+      const postRes = await request(app)
+        .post('/api/posts')
+        .set('Authorization', `Bearer ${loginRes.body.data.token}`)
+        .send({
+          title: 'Unverified author post',
+          content: 'This post should be rejected until the email is verified.',
+          category: new mongoose.Types.ObjectId().toString(),
+        });
+      expect(postRes.status).toBe(403);
+      expect(postRes.body.error).toBe('Email verification required');
+    });
+  });
+
+  describe('Password reset', () => {
+    let testUser;
+    let sentMail;
+
+    // Pulls the raw reset token out of the emailed link
+    const resetTokenFromMail = () => sentMail[sentMail.length - 1].text.match(/token=([a-f0-9]+)/)[1];
+
+    beforeEach(async () => {
+      sentMail = [];
+      mailer.setTransport({ name: 'test', send: async (message) => { sentMail.push(message); } });
+
+      testUser = await User.create({
+        username: 'resetuser',
+        email: 'reset@example.com',
+        password: 'password123',
+      });
+    });
+
+    afterEach(() => {
+      mailer.setTransport(null);
+    });
+
+    it('should email a reset link and store only a hashed token', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(sentMail).toHaveLength(1);
+      expect(sentMail[0].to).toBe('reset@example.com');
+
+      const user = await User.findById(testUser._id);
+      expect(user.passwordResetToken).toBeDefined();
+      expect(user.passwordResetToken).not.toBe(resetTokenFromMail());
+      expect(user.passwordResetExpires.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should give the same response for unknown emails', async () => {
+      const res = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(sentMail).toHaveLength(0);
+    });
+
+    it('should reset the password once and end existing sessions', async () => {
+      const oldToken = generateToken(testUser);
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      const resetToken = resetTokenFromMail();
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'newpassword456' });
+      expect(res.status).toBe(200);
+
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'reset@example.com', password: 'newpassword456' });
+      expect(loginRes.status).toBe(200);
+
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${oldToken}`);
+      expect(meRes.status).toBe(401);
+
+      const reuseRes = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetToken, password: 'another789' });
+      expect(reuseRes.status).toBe(400);
+      expect(reuseRes.body.error).toBe('Invalid or expired reset token');
+    });
+
+    it('should reject an expired token', async () => {
+      await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'reset@example.com' });
+      await User.updateOne({ _id: testUser._id }, { $set: { passwordResetExpires: new Date(Date.now() - 1000) } });
+
+      const res = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: resetTokenFromMail(), password: 'newpassword456' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
   describe('POST /api/auth/logout', () => {
     let testUser;
     let token;
@@ -527,6 +793,55 @@ describe('Integration: Authentication API', () => {
       expect(res.body.message).toBe('Logout successful');
     });
 
+    it('should reject the token after logout', async () => {
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe('Token has been revoked');
+    });
+
+    it('should keep other sessions valid after a single logout', async () => {
+      const otherToken = generateToken(testUser);
+
+      await request(app)
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`);
+
+      const res = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`);
+
+      expect(res.status).toBe(200);
+    });
+
+    it('should revoke every token when logging out of all devices', async () => {
+      const otherToken = generateToken(testUser);
+      const loginRes = await request(app)
+        .post('/api/auth/login')
+        .send({ email: 'logout@example.com', password: 'password123' });
+
+      const res = await request(app)
+        .post('/api/auth/logout-all')
+        .set('Authorization', `Bearer ${token}`);
+      expect(res.status).toBe(200);
+
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${otherToken}`);
+      expect(meRes.status).toBe(401);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: loginRes.body.data.refreshToken });
+      expect(refreshRes.status).toBe(401);
+    });
+
     it('should require authentication', async () => {
       const res = await request(app)
         .post('/api/auth/logout');
@@ -535,4 +850,272 @@ describe('Integration: Authentication API', () => {
       expect(res.body.success).toBe(false);
     });
   });
+
+  describe('Two-factor authentication', () => {
+    let testUser;
+    let token;
+    let secret;
+
+    // Codes are single use, so later steps use the next time step
+    const nextCode = () => generateTotp(secret, { time: Date.now() + 30 * 1000 });
+
+    beforeEach(async () => {
+      testUser = await User.create({
+        username: 'twofactor',
+        email: 'twofactor@example.com',
+        password: 'password123',
+      });
+      token = generateToken(testUser);
+
+      const setupRes = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+      secret = setupRes.body.data.secret;
+    });
+
+    it('should return a secret and otpauth URI on setup', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/setup')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.secret).toMatch(/^[A-Z2-7]+$/);
+      expect(res.body.data.otpauthUri).toContain('otpauth://totp/');
+      expect(res.body.data.otpauthUri).toContain(`secret=${res.body.data.secret}`);
+    });
+
+    it('should enable 2FA with a valid code and return recovery codes once', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(secret) });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.recoveryCodes).toHaveLength(10);
+
+      const user = await User.findById(testUser._id).select('+twoFactor.recoveryCodes');
+      expect(user.twoFactor.enabled).toBe(true);
+      expect(user.twoFactor.recoveryCodes).not.toContain(res.body.data.recoveryCodes[0]);
+    });
+
+    it('should reject an invalid enrollment code', async () => {
+      const res = await request(app)
+        .post('/api/auth/2fa/enable')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code: generateTotp(secret) === '123456' ? '654321' : '123456' });
+
+      expect(res.status).toBe(400);
+      expect((await User.findById(testUser._id)).twoFactor.enabled).toBe(false);
+    });
+
+    describe('with 2FA enabled', () => {
+      let recoveryCodes;
+
+      beforeEach(async () => {
+        const res = await request(app)
+          .post('/api/auth/2fa/enable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ code: generateTotp(secret) });
+        recoveryCodes = res.body.data.recoveryCodes;
+      });
+
+      const startLogin = () => request(app)
+        .post('/api/auth/login')
+        .send({ email: 'twofactor@example.com', password: 'password123' });
+
+      it('should return a challenge instead of tokens after the password step', async () => {
+        const res = await startLogin();
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.twoFactorRequired).toBe(true);
+        expect(res.body.data.challengeToken).toBeDefined();
+        expect(res.body.data.token).toBeUndefined();
+
+        // The challenge is not an access token
+        const meRes = await request(app)
+          .get('/api/auth/me')
+          .set('Authorization', `Bearer ${res.body.data.challengeToken}`);
+        expect(meRes.status).toBe(401);
+      });
+
+      it('should complete the login with a TOTP code', async () => {
+        const { body } = await startLogin();
+
+        const res = await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: body.data.challengeToken, code: nextCode() });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.token).toBeDefined();
+        expect(res.body.data.refreshToken).toBeDefined();
+      });
+
+      it('should not accept the same code twice', async () => {
+        const code = nextCode();
+        const first = await startLogin();
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: first.body.data.challengeToken, code });
+
+        const second = await startLogin();
+        const res = await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: second.body.data.challengeToken, code });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+      });
+
+      it('should accept each recovery code only once', async () => {
+        const first = await startLogin();
+        const res = await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: first.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(res.status).toBe(200);
+
+        const second = await startLogin();
+        const reuseRes = await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: second.body.data.challengeToken, recoveryCode: recoveryCodes[0] });
+        expect(reuseRes.status).toBe(401);
+
+        const statusRes = await request(app)
+          .get('/api/auth/2fa/status')
+          .set('Authorization', `Bearer ${token}`);
+        expect(statusRes.body.data.recoveryCodesRemaining).toBe(9);
+      });
+
+      it('should count failed codes towards the lockout', async () => {
+        const { body } = await startLogin();
+
+        await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: body.data.challengeToken, recoveryCode: 'wrong-code' });
+
+        const user = await User.findById(testUser._id);
+        expect(user.loginAttempts).toBe(1);
+      });
+
+      it('should reject an invalid challenge token', async () => {
+        const res = await request(app)
+          .post('/api/auth/login/2fa')
+          .send({ challengeToken: token, code: nextCode() });
+
+        expect(res.status).toBe(401);
+      });
+
+      it('should disable 2FA with the password and a code', async () => {
+        const res = await request(app)
+          .post('/api/auth/2fa/disable')
+          .set('Authorization', `Bearer ${token}`)
+          .send({ password: 'password123', code: nextCode() });
+
+        expect(res.status).toBe(200);
+
+        const loginRes = await startLogin();
+        expect(loginRes.body.data.token).toBeDefined();
+      });
+    });
+  });
+
+  describe('Sessions', () => {
+    const firefox = 'Mozilla/5.0 (X11; Linux x86_64; rv:120.0) Gecko/20100101 Firefox/120.0';
+    const chrome = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+    const loginFrom = (userAgent) => request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', userAgent)
+      .send({ email: 'sessions@example.com', password: 'password123' });
+
+    beforeEach(async () => {
+      await User.create({
+        username: 'sessions',
+        email: 'sessions@example.com',
+        password: 'password123',
+      });
+    });
+
+    it('should list a session for each login', async () => {
+      await loginFrom(firefox);
+      const { body } = await loginFrom(chrome);
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${body.data.token}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.sessions).toHaveLength(2);
+
+      const current = res.body.data.sessions.find(session => session.current);
+      expect(current.device).toBe('Chrome on Windows');
+      expect(res.body.data.sessions.map(session => session.device)).toContain('Firefox on Linux');
+      expect(current.lastSeenAt).toBeDefined();
+    });
+
+    it('should sign a device out immediately when its session is revoked', async () => {
+      const laptop = await loginFrom(firefox);
+      const phone = await loginFrom(chrome);
+
+      const listRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${phone.body.data.token}`);
+      const laptopSession = listRes.body.data.sessions.find(session => !session.current);
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${laptopSession.id}`)
+        .set('Authorization', `Bearer ${phone.body.data.token}`);
+      expect(res.status).toBe(200);
+
+      const meRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${laptop.body.data.token}`);
+      expect(meRes.status).toBe(401);
+      expect(meRes.body.error).toBe('Token has been revoked');
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: laptop.body.data.refreshToken });
+      expect(refreshRes.status).toBe(401);
+
+      // The other device is unaffected
+      const phoneRes = await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${phone.body.data.token}`);
+      expect(phoneRes.status).toBe(200);
+    });
+
+    it('should keep the session across token refreshes', async () => {
+      const { body } = await loginFrom(firefox);
+
+      const refreshRes = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: body.data.refreshToken });
+
+      const res = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${refreshRes.body.data.token}`);
+
+      expect(res.body.data.sessions).toHaveLength(1);
+      expect(res.body.data.sessions[0].current).toBe(true);
+    });
+
+    it("should return 404 for another user's session", async () => {
+      const { body } = await loginFrom(firefox);
+      const other = await User.create({
+        username: 'othersessions',
+        email: 'othersessions@example.com',
+        password: 'password123',
+      });
+
+      const sessionsRes = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${body.data.token}`);
+
+      const res = await request(app)
+        .delete(`/api/auth/sessions/${sessionsRes.body.data.sessions[0].id}`)
+        .set('Authorization', `Bearer ${generateToken(other)}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
 });
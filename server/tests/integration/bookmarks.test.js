@@ -0,0 +1,205 @@
+// Integration tests for bookmarks
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Bookmark = require('../../src/models/Bookmark');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let authorId;
+let authorToken;
+let readerToken;
+let categoryId;
+let post;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const author = await User.create({
+    username: 'bookmarkauthor',
+    email: 'bookmarkauthor@example.com',
+    password: 'password123',
+  });
+  authorId = author._id;
+  authorToken = generateToken(author);
+
+  const reader = await User.create({
+    username: 'bookmarkreader',
+    email: 'bookmarkreader@example.com',
+    password: 'password123',
+  });
+  readerToken = generateToken(reader);
+
+  const category = await Category.create({ name: 'Reading' });
+  categoryId = category._id;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+const createPost = (title, fields = {}) => Post.create({
+  title,
+  content: 'This post is worth saving to read again later.',
+  author: authorId,
+  category: categoryId,
+  published: true,
+  ...fields,
+});
+
+beforeEach(async () => {
+  post = await createPost('Post to read later');
+});
+
+// Clean up posts and bookmarks between tests (keep users and category)
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Bookmark.deleteMany({});
+});
+
+const bookmark = (postId, folder, authToken = readerToken) => request(app)
+  .put(`/api/bookmarks/${postId}`)
+  .set('Authorization', `Bearer ${authToken}`)
+  .send(folder === undefined ? {} : { folder });
+
+describe('PUT /api/bookmarks/:postId', () => {
+  it('should bookmark a post once however often it is requested', async () => {
+    await bookmark(post._id);
+    const res = await bookmark(post._id);
+
+    expect(res.status).toBe(200);
+    expect(await Bookmark.countDocuments()).toBe(1);
+  });
+
+  it('should move a bookmark to another folder', async () => {
+    await bookmark(post._id, 'Later');
+    const res = await bookmark(post._id, 'Favourites');
+
+    expect(res.body.data.bookmark.folder).toBe('Favourites');
+    expect(await Bookmark.countDocuments()).toBe(1);
+  });
+
+  it('should return 404 for posts the user cannot see', async () => {
+    const draft = await createPost('Unpublished draft', { published: false });
+
+    const res = await bookmark(draft._id);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).put(`/api/bookmarks/${post._id}`);
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('DELETE /api/bookmarks/:postId', () => {
+  it('should remove a bookmark', async () => {
+    await bookmark(post._id);
+
+    const res = await request(app)
+      .delete(`/api/bookmarks/${post._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Bookmark.countDocuments()).toBe(0);
+  });
+});
+
+describe('GET /api/bookmarks', () => {
+  it("should list the user's bookmarks, most recent first, with pagination", async () => {
+    const second = await createPost('Second post to read');
+    const third = await createPost('Third post to read');
+    await bookmark(post._id);
+    await bookmark(second._id);
+    await bookmark(third._id);
+    await bookmark(post._id, undefined, authorToken);
+
+    const res = await request(app)
+      .get('/api/bookmarks?limit=2')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.bookmarks.map(item => item.post.title)).toEqual(['Third post to read', 'Second post to read']);
+    expect(res.body.data.pagination).toMatchObject({ total: 3, pages: 2, hasNext: true });
+  });
+
+  it('should filter bookmarks by folder and list folders', async () => {
+    const second = await createPost('Second post to read');
+    await bookmark(post._id, 'Recipes');
+    await bookmark(second._id);
+
+    const inFolder = await request(app)
+      .get('/api/bookmarks?folder=Recipes')
+      .set('Authorization', `Bearer ${readerToken}`);
+    const unfiled = await request(app)
+      .get('/api/bookmarks?folder=')
+      .set('Authorization', `Bearer ${readerToken}`);
+    const folders = await request(app)
+      .get('/api/bookmarks/folders')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(inFolder.body.data.bookmarks.map(item => item.post._id)).toEqual([post._id.toString()]);
+    expect(unfiled.body.data.bookmarks.map(item => item.post._id)).toEqual([second._id.toString()]);
+    expect(folders.body.data.folders).toEqual([{ name: 'Recipes', count: 1 }]);
+  });
+
+  it('should hide posts that were unpublished after being bookmarked', async () => {
+    await bookmark(post._id);
+    await Post.updateOne({ _id: post._id }, { published: false });
+
+    const res = await request(app)
+      .get('/api/bookmarks')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.body.data.bookmarks[0].post).toBeNull();
+  });
+});
+
+describe('bookmarked flag on posts', () => {
+  it('should mark bookmarked posts in the list and detail responses', async () => {
+    const other = await createPost('Post not bookmarked');
+    await bookmark(post._id);
+
+    const list = await request(app)
+      .get('/api/posts')
+      .set('Authorization', `Bearer ${readerToken}`);
+    const flags = Object.fromEntries(list.body.data.posts.map(item => [item._id, item.bookmarked]));
+
+    expect(flags[post._id.toString()]).toBe(true);
+    expect(flags[other._id.toString()]).toBe(false);
+
+    const detail = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(detail.body.data.post.bookmarked).toBe(true);
+  });
+
+  it('should leave the flag out for anonymous requests', async () => {
+    const res = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(res.body.data.post.bookmarked).toBeUndefined();
+  });
+
+  it('should remove bookmarks when the post is deleted', async () => {
+    await bookmark(post._id);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(await Bookmark.countDocuments()).toBe(0);
+  });
+});
@@ -0,0 +1,283 @@
+// Integration tests for categories API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let adminToken;
+let userToken;
+let adminId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const admin = await User.create({
+    username: 'categoryadmin',
+    email: 'categoryadmin@example.com',
+    password: 'password123',
+    role: 'admin',
+    twoFactor: { enabled: true },
+  });
+  adminId = admin._id;
+  adminToken = generateToken(admin);
+
+  const user = await User.create({
+    username: 'categoryuser',
+    email: 'categoryuser@example.com',
+    password: 'password123',
+  });
+  userToken = generateToken(user);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up categories and posts between tests (keep users)
+afterEach(async () => {
+  await Post.deleteMany({});
+  await Category.deleteMany({});
+});
+
+describe('Integration: GET /api/categories', () => {
+  beforeEach(async () => {
+    await Category.create([
+      { name: 'Science', sortOrder: 2 },
+      { name: 'Technology', sortOrder: 1 },
+      { name: 'Archived', sortOrder: 0, active: false },
+    ]);
+  });
+
+  it('should return active categories ordered by sortOrder', async () => {
+    const res = await request(app).get('/api/categories');
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.data.categories.map(c => c.name)).toEqual(['Technology', 'Science']);
+  });
+
+  it('should include inactive categories for admins only', async () => {
+    const adminRes = await request(app)
+      .get('/api/categories?includeInactive=true')
+      .set('Authorization', `Bearer ${adminToken}`);
+    expect(adminRes.body.data.categories).toHaveLength(3);
+
+    const userRes = await request(app)
+      .get('/api/categories?includeInactive=true')
+      .set('Authorization', `Bearer ${userToken}`);
+    expect(userRes.body.data.categories).toHaveLength(2);
+  });
+
+  it('should return a category by slug', async () => {
+    const res = await request(app).get('/api/categories/technology');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.category.name).toBe('Technology');
+    expect(res.body.data.category.postCount).toBe(0);
+  });
+
+  it('should return 404 for an inactive category slug', async () => {
+    const res = await request(app).get('/api/categories/archived');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Integration: POST /api/categories', () => {
+  it('should create a category as admin', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Web Development', color: '#ff0000' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.category.slug).toBe('web-development');
+    expect(res.body.data.category.color).toBe('#ff0000');
+  });
+
+  it('should return 403 for regular users', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${userToken}`)
+      .send({ name: 'Forbidden Category' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 400 for an invalid color', async () => {
+    const res = await request(app)
+      .post('/api/categories')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Bad Color', color: 'red' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Validation failed');
+  });
+});
+
+describe('Integration: PUT /api/categories', () => {
+  let category;
+
+  beforeEach(async () => {
+    category = await Category.create({ name: 'Design' });
+  });
+
+  it('should regenerate the slug when the name changes', async () => {
+    const res = await request(app)
+      .put(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ name: 'Product Design' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.category.slug).toBe('product-design');
+  });
+
+  it('should reorder several categories', async () => {
+    const other = await Category.create({ name: 'Business' });
+
+    const res = await request(app)
+      .put('/api/categories/reorder')
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({
+        order: [
+          { id: category._id.toString(), sortOrder: 5 },
+          { id: other._id.toString(), sortOrder: 1 },
+        ],
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.categories.map(c => c.name)).toEqual(['Business', 'Design']);
+  });
+
+  it('should deactivate a category', async () => {
+    const res = await request(app)
+      .put(`/api/categories/${category._id}/deactivate`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.category.active).toBe(false);
+  });
+});
+
+describe('Integration: DELETE /api/categories/:id', () => {
+  it('should delete a category without posts', async () => {
+    const category = await Category.create({ name: 'Empty Category' });
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Category.findById(category._id)).toBeNull();
+  });
+
+  it('should return 409 when the category has posts', async () => {
+    const category = await Category.create({ name: 'Busy Category' });
+    await Post.create({
+      title: 'Post in busy category',
+      content: 'This post keeps the category from being deleted.',
+      author: adminId,
+      category: category._id,
+    });
+
+    const res = await request(app)
+      .delete(`/api/categories/${category._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot delete category with existing posts');
+    expect(await Category.findById(category._id)).not.toBeNull();
+  });
+
+  it('should return 409 when the category has subcategories', async () => {
+    const parent = await Category.create({ name: 'Parent Category' });
+    const child = await Category.create({ name: 'Child Category', parentCategory: parent._id });
+
+    const res = await request(app)
+      .delete(`/api/categories/${parent._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Cannot delete category with subcategories');
+    expect(await Category.findById(parent._id)).not.toBeNull();
+
+    const tree = await request(app).get('/api/categories/tree');
+    const parentNode = tree.body.data.categories.find(node => node.name === 'Parent Category');
+    expect(parentNode.subcategories.map(node => node.name)).toEqual([child.name]);
+  });
+});
+
+describe('Integration: GET /api/categories/tree', () => {
+  let engineering;
+  let frontend;
+  let react;
+
+  beforeEach(async () => {
+    engineering = await Category.create({ name: 'Engineering', sortOrder: 1 });
+    frontend = await Category.create({ name: 'Frontend', parentCategory: engineering._id, sortOrder: 2 });
+    await Category.create({ name: 'Backend', parentCategory: engineering._id, sortOrder: 1 });
+    react = await Category.create({ name: 'React', parentCategory: frontend._id });
+    await Category.create({ name: 'Lifestyle', sortOrder: 0 });
+
+    await Post.create({
+      title: 'Hooks in depth',
+      content: 'A long look at how React hooks work under the hood.',
+      author: adminId,
+      category: react._id,
+      published: true,
+    });
+  });
+
+  it('should return the nested hierarchy ordered by sortOrder', async () => {
+    const res = await request(app).get('/api/categories/tree');
+
+    expect(res.status).toBe(200);
+    const roots = res.body.data.categories;
+    expect(roots.map(c => c.name)).toEqual(['Lifestyle', 'Engineering']);
+
+    const engineeringNode = roots[1];
+    expect(engineeringNode.subcategories.map(c => c.name)).toEqual(['Backend', 'Frontend']);
+
+    const reactNode = engineeringNode.subcategories[1].subcategories[0];
+    expect(reactNode.fullPath).toBe('Engineering / Frontend / React');
+    expect(reactNode.postCount).toBe(1);
+    expect(engineeringNode.postCount).toBe(0);
+    expect(engineeringNode.totalPostCount).toBe(1);
+  });
+
+  it('should resolve fullPath on the slug endpoint', async () => {
+    const res = await request(app).get('/api/categories/react');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.category.fullPath).toBe('Engineering / Frontend / React');
+  });
+
+  it('should reject moving a category under its own descendant', async () => {
+    const res = await request(app)
+      .put(`/api/categories/${engineering._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ parentCategory: react._id.toString() });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('cannot be nested');
+  });
+
+  it('should include descendant categories when filtering posts', async () => {
+    const res = await request(app).get(`/api/posts?category=${engineering._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(res.body.data.posts[0].title).toBe('Hooks in depth');
+  });
+});
@@ -0,0 +1,122 @@
+// Integration tests for moving embedded comments into their own collection
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const migrateComments = require('../../scripts/migrateComments');
+
+let mongoServer;
+let userId;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const user = await User.create({
+    username: 'legacycommenter',
+    email: 'legacycommenter@example.com',
+    password: 'password123',
+  });
+  userId = user._id;
+
+  const category = await Category.create({ name: 'Legacy' });
+  categoryId = category._id;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.collection.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+// Stores a post the way it looked while comments were embedded
+const insertLegacyPost = async (comments) => {
+  const _id = new mongoose.Types.ObjectId();
+  await Post.collection.insertOne({
+    _id,
+    title: 'Post from before the migration',
+    content: 'This post still has its comments embedded in the document.',
+    slug: `legacy-post-${_id}`,
+    author: userId,
+    category: categoryId,
+    published: true,
+    publishedAt: new Date(),
+    comments,
+  });
+  return _id;
+};
+
+describe('migrateComments', () => {
+  it('should move embedded comments and replies into the comments collection', async () => {
+    const topId = new mongoose.Types.ObjectId();
+    const replyId = new mongoose.Types.ObjectId();
+    const nestedId = new mongoose.Types.ObjectId();
+    const postId = await insertLegacyPost([
+      { _id: topId, user: userId, content: 'Top-level comment', createdAt: new Date('2024-01-01') },
+      { _id: replyId, user: userId, parent: topId, depth: 1, content: 'Reply', createdAt: new Date('2024-01-02') },
+      { _id: nestedId, user: userId, parent: replyId, depth: 2, content: 'Nested reply', createdAt: new Date('2024-01-03') },
+    ]);
+
+    const result = await migrateComments();
+
+    expect(result).toEqual({ posts: 1, comments: 3 });
+
+    const nested = await Comment.findById(nestedId);
+    expect(nested.post.toString()).toBe(postId.toString());
+    expect(nested.parent.toString()).toBe(replyId.toString());
+    expect(nested.thread.toString()).toBe(topId.toString());
+    expect(nested.createdAt).toEqual(new Date('2024-01-03'));
+
+    const post = await Post.collection.findOne({ _id: postId });
+    expect(post.comments).toBeUndefined();
+    expect(post.commentsCount).toBe(3);
+  });
+
+  it('should not count deleted comments', async () => {
+    const postId = await insertLegacyPost([
+      { _id: new mongoose.Types.ObjectId(), user: userId, content: 'Still here', createdAt: new Date() },
+      { _id: new mongoose.Types.ObjectId(), user: userId, deletedAt: new Date(), deletedByModerator: true, createdAt: new Date() },
+    ]);
+
+    await migrateComments();
+
+    expect((await Post.findById(postId)).commentsCount).toBe(1);
+  });
+
+  it('should be safe to run more than once', async () => {
+    const commentId = new mongoose.Types.ObjectId();
+    const postId = await insertLegacyPost([
+      { _id: commentId, user: userId, content: 'Migrated twice', createdAt: new Date() },
+    ]);
+
+    // Simulate a run that stopped after copying the comments
+    await Comment.collection.insertOne({ _id: commentId, post: postId, user: userId, content: 'Migrated twice' });
+
+    await migrateComments();
+    const result = await migrateComments();
+
+    expect(result).toEqual({ posts: 0, comments: 0 });
+    expect(await Comment.countDocuments({ post: postId })).toBe(1);
+    expect((await Post.findById(postId)).commentsCount).toBe(1);
+  });
+
+  it('should initialise the count on posts without comments', async () => {
+    const postId = await insertLegacyPost(undefined);
+
+    await migrateComments();
+
+    const post = await Post.collection.findOne({ _id: postId });
+    expect(post.commentsCount).toBe(0);
+  });
+});
@@ -0,0 +1,203 @@
+// Integration tests for follows and the personalized feed
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Follow = require('../../src/models/Follow');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let author;
+let reader;
+let readerToken;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const category = await Category.create({ name: 'Following' });
+  categoryId = category._id;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  author = await User.create({
+    username: 'followedauthor',
+    email: 'followedauthor@example.com',
+    password: 'password123',
+  });
+
+  reader = await User.create({
+    username: 'followingreader',
+    email: 'followingreader@example.com',
+    password: 'password123',
+  });
+  readerToken = generateToken(reader);
+});
+
+// Clean up users, posts and follows between tests (keep category)
+afterEach(async () => {
+  await User.deleteMany({});
+  await Post.deleteMany({});
+  await Follow.deleteMany({});
+});
+
+const follow = (userId, method = 'put', authToken = readerToken) => request(app)[method](`/api/users/${userId}/follow`)
+  .set('Authorization', `Bearer ${authToken}`);
+
+const createPost = (title, fields = {}) => Post.create({
+  title,
+  content: 'A post that may or may not show up in the feed.',
+  author: author._id,
+  category: categoryId,
+  published: true,
+  ...fields,
+});
+
+describe('PUT/DELETE /api/users/:id/follow', () => {
+  it('should follow a user once however often it is requested', async () => {
+    await follow(author._id);
+    const res = await follow(author._id);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ following: true, followersCount: 1 });
+    expect((await User.findById(reader._id)).followingCount).toBe(1);
+  });
+
+  it('should unfollow a user and update the counts', async () => {
+    await follow(author._id);
+    const res = await follow(author._id, 'delete');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ following: false, followersCount: 0 });
+    expect((await User.findById(reader._id)).followingCount).toBe(0);
+  });
+
+  it('should not allow following yourself', async () => {
+    const res = await follow(reader._id);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should return 404 for deactivated users', async () => {
+    await User.updateOne({ _id: author._id }, { isActive: false });
+
+    const res = await follow(author._id);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('GET /api/users/:id/followers and /following', () => {
+  it('should list followers and followed users with public fields only', async () => {
+    await follow(author._id);
+
+    const followers = await request(app)
+      .get(`/api/users/${author._id}/followers`)
+      .set('Authorization', `Bearer ${readerToken}`);
+    const following = await request(app)
+      .get(`/api/users/${reader._id}/following`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(followers.status).toBe(200);
+    expect(followers.body.data.followers.map(item => item.user.username)).toEqual(['followingreader']);
+    expect(followers.body.data.followers[0].user.email).toBeUndefined();
+    expect(followers.body.data.pagination.total).toBe(1);
+    expect(following.body.data.following.map(item => item.user.username)).toEqual(['followedauthor']);
+  });
+
+  it('should clean up follows and counts when a user is deleted', async () => {
+    await follow(author._id);
+
+    await User.findByIdAndDelete(reader._id);
+    await Follow.removeAllForUser(reader._id);
+
+    expect(await Follow.countDocuments()).toBe(0);
+    expect((await User.findById(author._id)).followersCount).toBe(0);
+  });
+});
+
+describe('GET /api/posts/feed', () => {
+  it('should return live posts from followed authors and tags, newest first', async () => {
+    const other = await User.create({
+      username: 'otherauthor',
+      email: 'otherauthor@example.com',
+      password: 'password123',
+    });
+
+    await createPost('Older followed post', { publishedAt: new Date('2024-01-01') });
+    await createPost('Newer followed post', { publishedAt: new Date('2024-02-01') });
+    await createPost('Followed draft', { published: false });
+    await createPost('Scheduled followed post', { publishedAt: new Date(Date.now() + 60 * 60 * 1000) });
+    await createPost('Tagged post', { author: other._id, tags: ['testing'], publishedAt: new Date('2024-01-15') });
+    await createPost('Unrelated post', { author: other._id, tags: ['cooking'] });
+
+    await follow(author._id);
+    await request(app)
+      .put(`/api/users/${reader._id}/followed-tags/Testing`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    const res = await request(app)
+      .get('/api/posts/feed')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts.map(post => post.title)).toEqual([
+      'Newer followed post',
+      'Tagged post',
+      'Older followed post',
+    ]);
+    expect(res.body.data.hasMore).toBe(false);
+    expect(res.body.data.nextCursor).toBeNull();
+  });
+
+  it('should page through the feed with cursors', async () => {
+    const publishedAt = new Date('2024-03-01');
+    for (let i = 1; i <= 5; i++) {
+      // Posts sharing a publish date are ordered by id
+      await createPost(`Feed post ${i}`, { publishedAt: i <= 3 ? publishedAt : new Date(`2024-0${i}-01`) });
+    }
+    await follow(author._id);
+
+    const titles = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get('/api/posts/feed')
+        .query({ limit: 2, ...(cursor && { cursor }) })
+        .set('Authorization', `Bearer ${readerToken}`);
+
+      expect(res.status).toBe(200);
+      titles.push(...res.body.data.posts.map(post => post.title));
+      cursor = res.body.data.nextCursor;
+    } while (cursor);
+
+    expect(titles).toEqual(['Feed post 5', 'Feed post 4', 'Feed post 3', 'Feed post 2', 'Feed post 1']);
+  });
+
+  it('should reject malformed cursors', async () => {
+    const res = await request(app)
+      .get('/api/posts/feed?cursor=garbage')
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(400);
+  });
+
+  it('should require authentication', async () => {
+    const res = await request(app).get('/api/posts/feed');
+
+    expect(res.status).toBe(401);
+  });
+});
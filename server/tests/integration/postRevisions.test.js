@@ -0,0 +1,203 @@
+// Integration tests for post revision history
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const PostRevision = require('../../src/models/PostRevision');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let token;
+let otherToken;
+let categoryId;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const author = await User.create({
+    username: 'revisionauthor',
+    email: 'revisionauthor@example.com',
+    password: 'password123',
+  });
+  token = generateToken(author);
+
+  const other = await User.create({
+    username: 'revisionreader',
+    email: 'revisionreader@example.com',
+    password: 'password123',
+  });
+  otherToken = generateToken(other);
+
+  const category = await Category.create({ name: 'Revisions' });
+  categoryId = category._id.toString();
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up posts and revisions between tests (keep users and category)
+afterEach(async () => {
+  await Post.deleteMany({});
+  await PostRevision.deleteMany({});
+  delete process.env.POST_REVISION_LIMIT;
+});
+
+const createPost = async () => {
+  const res = await request(app)
+    .post('/api/posts')
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Original title',
+      content: 'First line of the post\nSecond line of the post',
+      category: categoryId,
+      tags: ['draft'],
+    });
+  return res.body.data.post._id;
+};
+
+const updatePost = (postId, updates) => {
+  return request(app)
+    .put(`/api/posts/${postId}`)
+    .set('Authorization', `Bearer ${token}`)
+    .send({
+      title: 'Original title',
+      content: 'First line of the post\nSecond line of the post',
+      category: categoryId,
+      ...updates,
+    });
+};
+
+describe('Integration: Post revisions', () => {
+  it('should record a revision for the creation and each update', async () => {
+    const postId = await createPost();
+    await updatePost(postId, { title: 'Edited title' });
+    await updatePost(postId, { title: 'Edited title', tags: ['draft', 'published'] });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.revisions.map(r => r.number)).toEqual([3, 2, 1]);
+    expect(res.body.data.revisions[1].changedFields).toEqual(['title']);
+    expect(res.body.data.revisions[0].changedFields).toEqual(['tags']);
+    expect(res.body.data.revisions[0].editor.username).toBe('revisionauthor');
+  });
+
+  it('should number revisions of concurrent updates without clashing', async () => {
+    const postId = await createPost();
+
+    const responses = await Promise.all(['one', 'two', 'three'].map(word => (
+      updatePost(postId, { content: `Content updated concurrently, version ${word}` })
+    )));
+
+    responses.forEach(res => expect(res.status).toBe(200));
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ number: 1 });
+    expect(revisions.map(revision => revision.number)).toEqual([1, 2, 3, 4]);
+  });
+
+  it('should not record a revision when nothing changed', async () => {
+    const postId = await createPost();
+    await updatePost(postId, {});
+
+    expect(await PostRevision.countDocuments({ post: postId })).toBe(1);
+  });
+
+  it('should diff two revisions', async () => {
+    const postId = await createPost();
+    await updatePost(postId, {
+      title: 'Edited title',
+      content: 'First line of the post\nA rewritten second line',
+    });
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/diff?from=1&to=2`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.changes.title).toEqual([
+      { type: 'removed', value: 'Original' },
+      { type: 'added', value: 'Edited' },
+      { type: 'unchanged', value: ' title' },
+    ]);
+    expect(res.body.data.changes.content).toEqual([
+      { type: 'unchanged', value: 'First line of the post\n' },
+      { type: 'removed', value: 'Second line of the post' },
+      { type: 'added', value: 'A rewritten second line' },
+    ]);
+    expect(res.body.data.changes.tags).toBeUndefined();
+  });
+
+  it('should restore an old revision as a new one', async () => {
+    const postId = await createPost();
+    await updatePost(postId, { title: 'Accidental title', content: 'Everything was overwritten by mistake' });
+
+    const res = await request(app)
+      .post(`/api/posts/${postId}/revisions/1/restore`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.title).toBe('Original title');
+    expect(res.body.data.revision.number).toBe(3);
+    expect(res.body.data.revision.restoredFrom).toBe(1);
+
+    const post = await Post.findById(postId);
+    expect(post.content).toBe('First line of the post\nSecond line of the post');
+  });
+
+  it('should keep at most POST_REVISION_LIMIT revisions', async () => {
+    process.env.POST_REVISION_LIMIT = '2';
+    const postId = await createPost();
+    await updatePost(postId, { title: 'Second title' });
+    await updatePost(postId, { title: 'Third title' });
+
+    const revisions = await PostRevision.find({ post: postId }).sort({ number: 1 });
+    expect(revisions.map(r => r.number)).toEqual([2, 3]);
+  });
+
+  it('should keep the original text of posts created before revisions', async () => {
+    const author = await User.findOne({ username: 'revisionauthor' });
+    const post = await Post.create({
+      title: 'Legacy post title',
+      content: 'Written before revision history existed.',
+      author: author._id,
+      category: categoryId,
+    });
+
+    await updatePost(post._id, { title: 'Legacy post, updated' });
+
+    const revisions = await PostRevision.find({ post: post._id }).sort({ number: 1 });
+    expect(revisions.map(r => r.title)).toEqual(['Legacy post title', 'Legacy post, updated']);
+  });
+
+  it('should hide revisions from users who cannot edit the post', async () => {
+    const postId = await createPost();
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should return 404 for an unknown revision', async () => {
+    const postId = await createPost();
+
+    const res = await request(app)
+      .get(`/api/posts/${postId}/revisions/9`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -7,7 +7,10 @@ const app = require('../../src/app');
 const Post = require('../../src/models/Post');
 const User = require('../../src/models/User');
 const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
 const { generateToken } = require('../../src/utils/auth');
+const events = require('../../src/utils/events');
+const { publishDuePosts } = require('../../src/utils/publishScheduler');
 
 let mongoServer;
 let token;
@@ -151,6 +154,38 @@ describe('Integration: POST /api/posts', () => {
     expect(res.body.data.post.tags).toEqual(postWithOptionalFields.tags);
     expect(res.body.data.post.published).toBe(true);
   });
+
+  it('should render Markdown content to sanitized HTML', async () => {
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Markdown Post for Rendering',
+        content: '## Intro\n\nHello **world** <script>alert(1)</script> [docs](javascript:alert(1))',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.content).toContain('**world**');
+    expect(res.body.data.post.contentHtml).toBe(
+      '<h2 id="intro">Intro</h2>\n<p>Hello <strong>world</strong> &lt;script&gt;alert(1)&lt;/script&gt; docs</p>'
+    );
+    expect(res.body.data.post.excerpt).toBe('Intro Hello world <script>alert(1)</script> docs');
+  });
+
+  it('should re-render the HTML when the content is updated', async () => {
+    const post = await Post.create({
+      title: 'Post to Re-render',
+      content: 'Original *content* for the post',
+      author: userId,
+      category: categoryId,
+    });
+
+    post.content = 'Updated **content** for the post';
+    await post.save();
+
+    expect(post.contentHtml).toBe('<p>Updated <strong>content</strong> for the post</p>');
+  });
 });
 
 describe('Integration: GET /api/posts', () => {
@@ -236,6 +271,59 @@ describe('Integration: GET /api/posts', () => {
     expect(popularRes.status).toBe(200);
   });
 
+  it('should page forwards and back with cursors', async () => {
+    const first = await request(app).get('/api/posts?limit=2');
+    expect(first.body.data.pagination.nextCursor).toBeTruthy();
+    expect(first.body.data.pagination.prevCursor).toBeNull();
+
+    const second = await request(app)
+      .get('/api/posts')
+      .query({ limit: 2, cursor: first.body.data.pagination.nextCursor });
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.posts.map(post => post.title)).toEqual(['Published Post Two']);
+    expect(second.body.data.pagination).toMatchObject({
+      limit: 2,
+      hasNext: false,
+      hasPrev: true,
+      nextCursor: null,
+    });
+    expect(second.body.data.pagination.total).toBeUndefined();
+
+    const back = await request(app)
+      .get('/api/posts')
+      .query({ limit: 2, cursor: second.body.data.pagination.prevCursor });
+
+    expect(back.body.data.posts.map(post => post._id)).toEqual(first.body.data.posts.map(post => post._id));
+    expect(back.body.data.pagination.hasPrev).toBe(false);
+    expect(back.body.data.pagination.hasNext).toBe(true);
+  });
+
+  it('should follow cursors through sorts with several keys', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const res = await request(app)
+        .get('/api/posts')
+        .query({ sort: 'popular', limit: 1, ...(cursor && { cursor }) });
+
+      expect(res.status).toBe(200);
+      seen.push(...res.body.data.posts.map(post => post.title));
+      cursor = res.body.data.pagination.nextCursor;
+    } while (cursor);
+
+    const all = await request(app).get('/api/posts?sort=popular');
+    expect(seen).toEqual(all.body.data.posts.map(post => post.title));
+    expect(seen).toHaveLength(3);
+  });
+
+  it('should reject malformed cursors', async () => {
+    const res = await request(app).get('/api/posts?cursor=garbage');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+
   it('should handle invalid query parameters gracefully', async () => {
     const res = await request(app).get('/api/posts?page=invalid&limit=abc');
 
@@ -261,6 +349,154 @@ describe('GET /api/posts/:id', () => {
 
     expect(res.status).toBe(404);
   });
+
+  it('should return content statistics, leaving the outline and links out of lists', async () => {
+    const post = await Post.create({
+      title: 'Post with Content Statistics',
+      content: '# Overview\n\nRead the [guide](https://example.com/guide) first.\n\n## Details\n\nMore text here.',
+      author: userId,
+      category: categoryId,
+      published: true,
+    });
+
+    const res = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.readTime).toBe(1);
+    expect(res.body.data.post.contentStats).toMatchObject({
+      wordCount: 9,
+      imageCount: 0,
+      codeBlockCount: 0,
+      outline: [
+        { level: 1, text: 'Overview', id: 'overview' },
+        { level: 2, text: 'Details', id: 'details' },
+      ],
+      links: [{ href: 'https://example.com/guide', text: 'guide', external: true }],
+    });
+
+    const list = await request(app).get('/api/posts');
+    const listed = list.body.data.posts.find(item => item._id === post._id.toString());
+
+    expect(listed.contentStats.wordCount).toBe(9);
+    expect(listed.contentStats.outline).toBeUndefined();
+  });
+});
+
+describe('GET /api/posts/slug/:slug', () => {
+  const createPost = (title, fields = {}) => Post.create({
+    title,
+    content: 'This post is used to check how slugs are generated and resolved.',
+    author: userId,
+    category: categoryId,
+    published: true,
+    ...fields,
+  });
+
+  it('should return a published post by slug', async () => {
+    const post = await createPost('Finding posts by slug');
+
+    const res = await request(app).get('/api/posts/slug/finding-posts-by-slug');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post._id).toBe(post._id.toString());
+  });
+
+  it('should suffix the slug when it is already taken', async () => {
+    const first = await createPost('Duplicate title');
+    const second = await createPost('Duplicate title');
+    const third = await createPost('Duplicate title');
+
+    expect(first.slug).toBe('duplicate-title');
+    expect(second.slug).toBe('duplicate-title-2');
+    expect(third.slug).toBe('duplicate-title-3');
+  });
+
+  it('should create a post whose title matches an existing one', async () => {
+    await createPost('Created twice through the API');
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Created twice through the API',
+        content: 'The second post with this title should get a suffixed slug.',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.slug).toBe('created-twice-through-the-api-2');
+  });
+
+  it('should give concurrent posts with the same title distinct slugs', async () => {
+    const responses = await Promise.all([1, 2, 3].map(() => request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Created at the same time',
+        content: 'These posts are created concurrently and must not share a slug.',
+        category: categoryId.toString(),
+      })));
+
+    responses.forEach(res => expect(res.status).toBe(201));
+    expect(responses.map(res => res.body.data.post.slug).sort()).toEqual([
+      'created-at-the-same-time',
+      'created-at-the-same-time-2',
+      'created-at-the-same-time-3',
+    ]);
+  });
+
+  it('should redirect old slugs after the title changes', async () => {
+    const post = await createPost('Original title');
+
+    const update = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Renamed title',
+        content: post.content,
+        category: categoryId.toString(),
+      });
+
+    expect(update.status).toBe(200);
+    expect(update.body.data.post.slug).toBe('renamed-title');
+
+    const res = await request(app).get('/api/posts/slug/original-title');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.redirect).toEqual({
+      status: 301,
+      slug: 'renamed-title',
+      url: '/posts/renamed-title',
+    });
+  });
+
+  it('should not give away an old slug to another post', async () => {
+    const post = await createPost('Soon to be renamed');
+    post.title = 'Already renamed';
+    await post.save();
+
+    const other = await createPost('Soon to be renamed');
+
+    expect(other.slug).toBe('soon-to-be-renamed-2');
+  });
+
+  it('should hide unpublished posts and their old slugs', async () => {
+    const post = await createPost('Draft with a slug', { published: false });
+    post.title = 'Renamed draft';
+    await post.save();
+
+    const current = await request(app).get('/api/posts/slug/renamed-draft');
+    const old = await request(app).get('/api/posts/slug/draft-with-a-slug');
+
+    expect(current.status).toBe(404);
+    expect(old.status).toBe(404);
+  });
+
+  it('should return 404 for an unknown slug', async () => {
+    const res = await request(app).get('/api/posts/slug/no-such-post');
+
+    expect(res.status).toBe(404);
+  });
 });
 
 describe('PUT /api/posts/:id', () => {
@@ -333,4 +569,481 @@ describe('DELETE /api/posts/:id', () => {
 
     expect(res.status).toBe(401);
   });
-}); 
\ No newline at end of file
+}); 
+describe('Moderation', () => {
+  let moderatorToken;
+  let otherToken;
+  let post;
+  let comment;
+
+  beforeAll(async () => {
+    const moderator = await User.create({
+      username: 'moderator',
+      email: 'moderator@example.com',
+      password: 'password123',
+      role: 'moderator',
+    });
+    moderatorToken = generateToken(moderator);
+
+    const other = await User.create({
+      username: 'bystander',
+      email: 'bystander@example.com',
+      password: 'password123',
+    });
+    otherToken = generateToken(other);
+  });
+
+  beforeEach(async () => {
+    post = await Post.create({
+      title: 'Post needing moderation',
+      content: 'This post was written by the test user and may need moderating.',
+      author: userId,
+      category: categoryId,
+      published: false,
+    });
+    comment = await Comment.add(post._id, userId, 'A comment that breaks the rules');
+  });
+
+  it('should let moderators read unpublished posts', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it("should let moderators update other users' posts", async () => {
+    const res = await request(app)
+      .put(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({
+        title: 'Post needing moderation',
+        content: 'This content was edited by a moderator to remove rule-breaking text.',
+        category: categoryId.toString(),
+      });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.author._id).toBe(userId.toString());
+  });
+
+  it("should let moderators delete other users' posts", async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(await Post.findById(post._id)).toBeNull();
+  });
+
+  it('should let moderators delete comments, leaving a tombstone', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+
+    const tombstone = await Comment.findById(comment._id);
+    expect(tombstone.deletedAt).toBeDefined();
+    expect(tombstone.deletedByModerator).toBe(true);
+    expect(tombstone.content).toBeUndefined();
+    expect((await Post.findById(post._id)).commentsCount).toBe(0);
+  });
+
+  it("should not let regular users delete other users' comments", async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Not authorized to delete this comment');
+  });
+
+  it('should return 404 for a missing comment', async () => {
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${new mongoose.Types.ObjectId()}`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Likes', () => {
+  let otherToken;
+  let otherId;
+  let post;
+
+  const like = (authToken = token) => request(app)
+    .put(`/api/posts/${post._id}/like`)
+    .set('Authorization', `Bearer ${authToken}`);
+
+  beforeAll(async () => {
+    const other = await User.create({
+      username: 'liker',
+      email: 'liker@example.com',
+      password: 'password123',
+    });
+    otherId = other._id;
+    otherToken = generateToken(other);
+  });
+
+  beforeEach(async () => {
+    post = await Post.create({
+      title: 'Post worth liking',
+      content: 'This post is used to test liking and unliking through the API.',
+      author: userId,
+      category: categoryId,
+      published: true,
+    });
+  });
+
+  it('should like a post only once however often it is requested', async () => {
+    const responses = await Promise.all([like(), like(), like()]);
+
+    responses.forEach(res => {
+      expect(res.status).toBe(200);
+      expect(res.body.data.liked).toBe(true);
+    });
+
+    const stored = await Post.findById(post._id);
+    expect(stored.likes).toHaveLength(1);
+    expect(stored.likesCount).toBe(1);
+  });
+
+  it('should unlike a post idempotently', async () => {
+    await like();
+
+    const first = await request(app)
+      .delete(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+    const second = await request(app)
+      .delete(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(first.body.data).toEqual({ liked: false, likesCount: 0 });
+    expect(second.body.data).toEqual({ liked: false, likesCount: 0 });
+  });
+
+  it('should still toggle likes through POST', async () => {
+    const liked = await request(app)
+      .post(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+    const unliked = await request(app)
+      .post(`/api/posts/${post._id}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(liked.body.data).toEqual({ liked: true, likesCount: 1 });
+    expect(unliked.body.data).toEqual({ liked: false, likesCount: 0 });
+  });
+
+  it('should return 404 when liking a missing post', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${new mongoose.Types.ObjectId()}/like`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('should list who liked a post, most recent first', async () => {
+    await like();
+    await like(otherToken);
+
+    const res = await request(app).get(`/api/posts/${post._id}/likes`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.likes.map(item => item.user._id)).toEqual([otherId.toString(), userId.toString()]);
+    expect(res.body.data.pagination.total).toBe(2);
+  });
+
+  it('should page through likes from the most recent', async () => {
+    await like();
+    await like(otherToken);
+
+    const first = await request(app).get(`/api/posts/${post._id}/likes?limit=1`);
+    const second = await request(app).get(`/api/posts/${post._id}/likes?limit=1&page=2`);
+    const past = await request(app).get(`/api/posts/${post._id}/likes?limit=1&page=3`);
+
+    expect(first.body.data.likes.map(item => item.user._id)).toEqual([otherId.toString()]);
+    expect(second.body.data.likes.map(item => item.user._id)).toEqual([userId.toString()]);
+    expect(second.body.data.pagination).toMatchObject({ current: 2, pages: 2, total: 2, hasNext: false });
+    expect(past.body.data.likes).toEqual([]);
+  });
+
+  it('should sort popular posts by their stored like count', async () => {
+    const popular = await Post.create({
+      title: 'More popular post',
+      content: 'This post has more likes than the other one with the same views.',
+      author: userId,
+      category: categoryId,
+      published: true,
+      views: 1000,
+    });
+    await Post.updateOne({ _id: post._id }, { views: 1000 });
+    await Post.addLike(popular._id, userId);
+    await Post.addLike(popular._id, otherId);
+    await Post.addLike(post._id, userId);
+
+    const res = await request(app).get('/api/posts?sort=popular');
+    const ids = res.body.data.posts.map(item => item._id);
+
+    expect(ids.slice(0, 2)).toEqual([popular._id.toString(), post._id.toString()]);
+  });
+});
+
+describe('Comments', () => {
+  let otherToken;
+  let post;
+
+  const addComment = (content, fields = {}, authToken = token) => request(app)
+    .post(`/api/posts/${post._id}/comments`)
+    .set('Authorization', `Bearer ${authToken}`)
+    .send({ content, ...fields });
+
+  beforeAll(async () => {
+    const other = await User.create({
+      username: 'commenter',
+      email: 'commenter@example.com',
+      password: 'password123',
+    });
+    otherToken = generateToken(other);
+  });
+
+  beforeEach(async () => {
+    post = await Post.create({
+      title: 'Post with a discussion',
+      content: 'This post is used to test threaded comments and their endpoints.',
+      author: userId,
+      category: categoryId,
+      published: true,
+    });
+  });
+
+  it('should add replies to a comment', async () => {
+    const parent = await addComment('Top-level comment');
+    const reply = await addComment('A reply', { parent: parent.body.data.comment._id }, otherToken);
+
+    expect(reply.status).toBe(201);
+    expect(reply.body.data.comment.parent).toBe(parent.body.data.comment._id);
+    expect(reply.body.data.comment.depth).toBe(1);
+  });
+
+  it('should limit how deeply replies are nested', async () => {
+    let parent = null;
+    for (let depth = 0; depth <= 3; depth++) {
+      const res = await addComment(`Comment at depth ${depth}`, { parent });
+      expect(res.status).toBe(201);
+      parent = res.body.data.comment._id;
+    }
+
+    const res = await addComment('One level too deep', { parent });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Replies cannot be nested more than 3 levels deep');
+  });
+
+  it('should return 404 when replying to a missing comment', async () => {
+    const res = await addComment('Reply to nothing', { parent: new mongoose.Types.ObjectId().toString() });
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Parent comment not found');
+  });
+
+  it('should let the author edit their comment', async () => {
+    const comment = await addComment('Original comment');
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ content: 'Edited comment' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comment.content).toBe('Edited comment');
+    expect(res.body.data.comment.edited).toBe(true);
+  });
+
+  it("should not let users edit other users' comments", async () => {
+    const comment = await addComment('Original comment');
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`)
+      .send({ content: 'Edited by someone else' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Not authorized to update this comment');
+  });
+
+  it('should remove a comment without replies when its author deletes it', async () => {
+    const comment = await addComment('Short-lived comment');
+
+    const res = await request(app)
+      .delete(`/api/posts/${post._id}/comments/${comment.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    expect(await Comment.findById(comment.body.data.comment._id)).toBeNull();
+    expect((await Post.findById(post._id)).commentsCount).toBe(0);
+  });
+
+  it('should keep a tombstone for a deleted comment with replies', async () => {
+    const parent = await addComment('Comment with a reply');
+    await addComment('The reply', { parent: parent.body.data.comment._id }, otherToken);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${parent.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comments).toHaveLength(1);
+
+    const [tombstone] = res.body.data.comments;
+    expect(tombstone.deleted).toBe(true);
+    expect(tombstone.content).toBeUndefined();
+    expect(tombstone.replies[0].content).toBe('The reply');
+  });
+
+  it('should drop a tombstone once its last reply is deleted', async () => {
+    const parent = await addComment('Comment with a reply');
+    const reply = await addComment('The reply', { parent: parent.body.data.comment._id }, otherToken);
+
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${parent.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${token}`);
+    await request(app)
+      .delete(`/api/posts/${post._id}/comments/${reply.body.data.comment._id}`)
+      .set('Authorization', `Bearer ${otherToken}`);
+
+    expect(await Comment.countDocuments({ post: post._id })).toBe(0);
+    expect((await Post.findById(post._id)).commentsCount).toBe(0);
+  });
+
+  it('should paginate comment threads', async () => {
+    for (let i = 1; i <= 3; i++) {
+      await addComment(`Comment ${i}`);
+    }
+
+    const res = await request(app).get(`/api/posts/${post._id}/comments?page=2&limit=2`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.comments.map(comment => comment.content)).toEqual(['Comment 3']);
+    expect(res.body.data.pagination).toMatchObject({ current: 2, pages: 2, total: 3 });
+  });
+
+  it('should keep a comment count on the post instead of embedding comments', async () => {
+    const parent = await addComment('Listed separately');
+    await addComment('So is this reply', { parent: parent.body.data.comment._id });
+
+    const res = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.post.comments).toBeUndefined();
+    expect(res.body.data.post.commentsCount).toBe(2);
+
+    const list = await request(app).get('/api/posts');
+    const listed = list.body.data.posts.find(item => item._id === post._id.toString());
+    expect(listed.commentsCount).toBe(2);
+  });
+});
+
+describe('Scheduled publishing', () => {
+  const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+  let scheduled;
+
+  beforeEach(async () => {
+    // Announce the posts created by earlier tests so only new ones are picked up
+    await publishDuePosts();
+
+    scheduled = await Post.create({
+      title: 'Post scheduled for later',
+      content: 'This post is published but should stay hidden until its publish time.',
+      author: userId,
+      category: categoryId,
+      published: true,
+      publishedAt: inAnHour(),
+    });
+  });
+
+  it('should accept a future publish date when creating a post', async () => {
+    const publishedAt = inAnHour().toISOString();
+
+    const res = await request(app)
+      .post('/api/posts')
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: 'Post created with a schedule',
+        content: 'This post is created with a publish date that lies in the future.',
+        category: categoryId.toString(),
+        published: true,
+        publishedAt,
+      });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.post.publishedAt).toBe(publishedAt);
+    expect(res.body.data.post.isScheduled).toBe(true);
+  });
+
+  it('should reject an invalid publish date', async () => {
+    const res = await request(app)
+      .put(`/api/posts/${scheduled._id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({
+        title: scheduled.title,
+        content: scheduled.content,
+        category: categoryId.toString(),
+        publishedAt: 'next tuesday',
+      });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].path).toBe('publishedAt');
+  });
+
+  it('should hide scheduled posts from the list and detail routes', async () => {
+    const list = await request(app).get('/api/posts');
+    const ids = list.body.data.posts.map(post => post._id);
+    expect(ids).not.toContain(scheduled._id.toString());
+
+    const detail = await request(app).get(`/api/posts/${scheduled._id}`);
+    expect(detail.status).toBe(404);
+
+    expect(await Post.findBySlug(scheduled.slug)).toBeNull();
+  });
+
+  it('should show scheduled posts to their author', async () => {
+    const res = await request(app)
+      .get(`/api/posts/${scheduled._id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should publish the post and fire an event once its time has come', async () => {
+    const listener = jest.fn();
+    events.on('post:published', listener);
+
+    try {
+      expect(await publishDuePosts()).toHaveLength(0);
+
+      const published = await publishDuePosts(new Date(Date.now() + 2 * 60 * 60 * 1000));
+      expect(published.map(post => post._id.toString())).toEqual([scheduled._id.toString()]);
+      expect(listener).toHaveBeenCalledTimes(1);
+
+      // Each post is only announced once
+      expect(await publishDuePosts(new Date(Date.now() + 2 * 60 * 60 * 1000))).toHaveLength(0);
+      expect(listener).toHaveBeenCalledTimes(1);
+    } finally {
+      events.off('post:published', listener);
+    }
+  });
+
+  it('should announce a post again when it is rescheduled', async () => {
+    const later = new Date(Date.now() + 2 * 60 * 60 * 1000);
+    await publishDuePosts(later);
+
+    scheduled.publishedAt = new Date(Date.now() + 3 * 60 * 60 * 1000);
+    await scheduled.save();
+
+    expect(await publishDuePosts(later)).toHaveLength(0);
+    expect(await publishDuePosts(new Date(Date.now() + 4 * 60 * 60 * 1000))).toHaveLength(1);
+  });
+});
@@ -0,0 +1,211 @@
+// Integration tests for emoji reactions on posts and comments
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Comment = require('../../src/models/Comment');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let authorId;
+let authorToken;
+let readerToken;
+let categoryId;
+let post;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+
+  const author = await User.create({
+    username: 'reactionauthor',
+    email: 'reactionauthor@example.com',
+    password: 'password123',
+  });
+  authorId = author._id;
+  authorToken = generateToken(author);
+
+  const reader = await User.create({
+    username: 'reactionreader',
+    email: 'reactionreader@example.com',
+    password: 'password123',
+  });
+  readerToken = generateToken(reader);
+
+  const category = await Category.create({ name: 'Reactions' });
+  categoryId = category._id;
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  post = await Post.create({
+    title: 'Post to react to',
+    content: 'This post collects emoji reactions from its readers.',
+    author: authorId,
+    category: categoryId,
+    published: true,
+  });
+});
+
+// Clean up posts and comments between tests (keep users and category)
+afterEach(async () => {
+  delete process.env.REACTIONS_ALLOW_MULTIPLE;
+  delete process.env.REACTION_TYPES;
+  await Post.deleteMany({});
+  await Comment.deleteMany({});
+});
+
+const react = (type, authToken = readerToken, method = 'put') => request(app)[method](`/api/posts/${post._id}/reactions/${type}`)
+  .set('Authorization', `Bearer ${authToken}`);
+
+describe('Post reactions', () => {
+  it('should add a reaction once however often it is requested', async () => {
+    await react('love');
+    const res = await react('love');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.counts).toEqual({ love: 1 });
+  });
+
+  it("should replace the user's previous reaction by default", async () => {
+    await react('love');
+    const res = await react('laugh');
+
+    expect(res.body.data.counts).toEqual({ laugh: 1 });
+
+    const stored = await Post.findById(post._id);
+    expect(stored.getUserReactions(stored.reactions[0].user)).toEqual(['laugh']);
+  });
+
+  it('should keep a single reaction under concurrent requests', async () => {
+    await Promise.all(['love', 'laugh', 'wow', 'sad'].map(type => react(type)));
+
+    const stored = await Post.findById(post._id);
+    expect(stored.reactions).toHaveLength(1);
+    expect(Object.fromEntries(stored.reactionCounts)).toMatchObject({ [stored.reactions[0].type]: 1 });
+    expect([...stored.reactionCounts.values()].reduce((sum, count) => sum + count, 0)).toBe(1);
+  });
+
+  it('should allow several reactions per user when configured', async () => {
+    process.env.REACTIONS_ALLOW_MULTIPLE = 'true';
+
+    await react('love');
+    const res = await react('laugh');
+
+    expect(res.body.data.counts).toEqual({ love: 1, laugh: 1 });
+  });
+
+  it('should remove a reaction', async () => {
+    await react('wow');
+    const res = await react('wow', readerToken, 'delete');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.counts).toEqual({});
+  });
+
+  it('should reject reaction types that are not configured', async () => {
+    process.env.REACTION_TYPES = 'like,love';
+
+    const res = await react('wow');
+
+    expect(res.status).toBe(400);
+    expect(res.body.details[0].msg).toBe('Reaction must be one of: like, love');
+  });
+
+  it("should return counts and the user's own reactions", async () => {
+    await react('love');
+    await react('love', authorToken);
+
+    const res = await request(app)
+      .get(`/api/posts/${post._id}/reactions`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.counts).toEqual({ love: 2 });
+    expect(res.body.data.mine).toEqual(['love']);
+    expect(res.body.data.types).toContain('love');
+  });
+
+  it('should include counts in list and detail responses', async () => {
+    await react('sad');
+
+    const list = await request(app).get('/api/posts');
+    const detail = await request(app).get(`/api/posts/${post._id}`);
+
+    expect(list.body.data.posts[0].reactionCounts).toEqual({ sad: 1 });
+    expect(list.body.data.posts[0].reactions).toBeUndefined();
+    expect(detail.body.data.post.reactionCounts).toEqual({ sad: 1 });
+  });
+
+  it('should not allow reactions on posts the user cannot see', async () => {
+    await Post.updateOne({ _id: post._id }, { published: false });
+
+    const res = await react('love');
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Comment reactions', () => {
+  it('should add and remove reactions on comments', async () => {
+    const comment = await Comment.add(post._id, authorId, 'A comment worth reacting to');
+    const url = `/api/posts/${post._id}/comments/${comment._id}/reactions/laugh`;
+
+    const added = await request(app).put(url).set('Authorization', `Bearer ${readerToken}`);
+    expect(added.status).toBe(200);
+    expect(added.body.data.counts).toEqual({ laugh: 1 });
+
+    const removed = await request(app).delete(url).set('Authorization', `Bearer ${readerToken}`);
+    expect(removed.body.data.counts).toEqual({});
+  });
+
+  it('should return 404 for a comment on another post', async () => {
+    const other = await Post.create({
+      title: 'Another post',
+      content: 'The comment below belongs to this post, not the first one.',
+      author: authorId,
+      category: categoryId,
+      published: true,
+    });
+    const comment = await Comment.add(other._id, authorId, 'Comment on the other post');
+
+    const res = await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}/reactions/laugh`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Comment not found');
+  });
+});
+
+describe('Reactions in user stats', () => {
+  it('should summarize reactions received on posts and comments', async () => {
+    const comment = await Comment.add(post._id, authorId, 'The author replies');
+    await react('love');
+    await react('love', authorToken);
+    await request(app)
+      .put(`/api/posts/${post._id}/comments/${comment._id}/reactions/laugh`)
+      .set('Authorization', `Bearer ${readerToken}`);
+
+    const res = await request(app)
+      .get(`/api/users/${authorId}/stats`)
+      .set('Authorization', `Bearer ${authorToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.stats.reactions).toEqual({
+      total: 3,
+      byType: { love: 2, laugh: 1 },
+    });
+  });
+});
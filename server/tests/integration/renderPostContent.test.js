@@ -0,0 +1,76 @@
+// Integration tests for rendering stored post content to HTML
+
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Post = require('../../src/models/Post');
+const renderPostContent = require('../../scripts/renderPostContent');
+
+let mongoServer;
+
+const content = '# Release notes\n\nThe **new** editor is [documented here](/docs/editor) and ships today.';
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+afterEach(async () => {
+  await Post.collection.deleteMany({});
+});
+
+// Stores a post the way it looked before content was rendered
+const insertLegacyPost = async (excerpt) => {
+  const _id = new mongoose.Types.ObjectId();
+  await Post.collection.insertOne({
+    _id,
+    title: 'Post from before rendering',
+    content,
+    excerpt,
+    slug: `legacy-post-${_id}`,
+    author: new mongoose.Types.ObjectId(),
+    category: new mongoose.Types.ObjectId(),
+    published: true,
+    publishedAt: new Date(),
+  });
+  return _id;
+};
+
+describe('renderPostContent', () => {
+  it('should render the content and its statistics', async () => {
+    const postId = await insertLegacyPost(content);
+
+    const result = await renderPostContent();
+
+    expect(result).toEqual({ posts: 1 });
+    const post = await Post.collection.findOne({ _id: postId });
+    expect(post.contentHtml).toContain('<strong>new</strong>');
+    expect(post.readTime).toBe(1);
+    expect(post.contentStats.wordCount).toBeGreaterThan(0);
+  });
+
+  it('should generate excerpts again from the rendered text', async () => {
+    const postId = await insertLegacyPost(content);
+
+    await renderPostContent();
+
+    const post = await Post.collection.findOne({ _id: postId });
+    expect(post.excerpt).toBe('Release notes The new editor is documented here and ships today.');
+  });
+
+  it('should keep excerpts written by hand', async () => {
+    const postId = await insertLegacyPost('What changed in this release.');
+
+    await renderPostContent();
+
+    const post = await Post.collection.findOne({ _id: postId });
+    expect(post.excerpt).toBe('What changed in this release.');
+  });
+});
@@ -0,0 +1,248 @@
+// Integration tests for ranked full-text search
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const Category = require('../../src/models/Category');
+const Post = require('../../src/models/Post');
+const User = require('../../src/models/User');
+const { clearSuggestionCache } = require('../../src/utils/searchSuggestions');
+
+let mongoServer;
+let author;
+let otherAuthor;
+let category;
+let otherCategory;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+  // $text queries need the text index in place
+  await Post.init();
+
+  author = await User.create({
+    username: 'searchauthor',
+    email: 'searchauthor@example.com',
+    password: 'password123',
+  });
+  otherAuthor = await User.create({
+    username: 'otherwriter',
+    email: 'otherwriter@example.com',
+    password: 'password123',
+  });
+
+  category = await Category.create({ name: 'Testing' });
+  otherCategory = await Category.create({ name: 'Frontend' });
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+// Clean up posts and cached suggestions between tests (keep users and categories)
+afterEach(async () => {
+  await Post.deleteMany({});
+  clearSuggestionCache();
+});
+
+const createPost = (title, content, fields = {}) => Post.create({
+  title,
+  content,
+  author: author._id,
+  category: category._id,
+  published: true,
+  ...fields,
+});
+
+const search = (params) => request(app).get('/api/search').query(params);
+
+describe('GET /api/search', () => {
+  it('should rank posts by relevance before recency', async () => {
+    await createPost('Gardening notes', 'A short mention of jest near the end of a long post about tomatoes.');
+    await createPost('Jest guide', 'Jest mocks, jest timers and jest snapshots: everything about jest.', {
+      publishedAt: new Date(Date.now() - 365 * DAY),
+    });
+
+    const res = await search({ q: 'jest' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.results.map(post => post.title)).toEqual(['Jest guide', 'Gardening notes']);
+    expect(res.body.data.results[0].score).toBeGreaterThan(res.body.data.results[1].score);
+  });
+
+  it('should boost recent and popular posts when relevance is equal', async () => {
+    await createPost('Old jest post', 'Writing tests with jest runner.', {
+      publishedAt: new Date(Date.now() - 200 * DAY),
+    });
+    await createPost('New jest post', 'Writing tests with jest runner.', { views: 500, likesCount: 20 });
+
+    const res = await search({ q: 'jest' });
+
+    expect(res.body.data.results.map(post => post.title)).toEqual(['New jest post', 'Old jest post']);
+  });
+
+  it('should support phrases and exclusions', async () => {
+    await createPost('Testing the stack', 'Integration testing across the mern stack with supertest.');
+    await createPost('Stacking tests', 'The stack of mern testing tools, including react.');
+    await createPost('React testing', 'Testing the mern stack from the react side.');
+
+    const phrase = await search({ q: '"mern stack"' });
+    const excluded = await search({ q: '"mern stack" -react' });
+
+    expect(phrase.body.data.results.map(post => post.title).sort()).toEqual(['React testing', 'Testing the stack']);
+    expect(excluded.body.data.results.map(post => post.title)).toEqual(['Testing the stack']);
+  });
+
+  it('should return highlighted snippets instead of the content', async () => {
+    await createPost('Mocking with jest', '## Mocks\n\nUse **jest** mocks to replace <modules> in tests.', {
+      excerpt: 'All about mocks',
+    });
+
+    const res = await search({ q: 'jest' });
+    const [result] = res.body.data.results;
+
+    expect(result.content).toBeUndefined();
+    expect(result.contentHtml).toBeUndefined();
+    expect(result.highlights).toEqual({
+      title: 'Mocking with <mark>jest</mark>',
+      excerpt: null,
+      content: 'Mocks Use <mark>jest</mark> mocks to replace &lt;modules&gt; in tests.',
+    });
+  });
+
+  it('should return facet counts and filter by them', async () => {
+    await createPost('Jest basics', 'Getting started with jest.', { tags: ['jest', 'unit'] });
+    await createPost('Jest in the browser', 'Running jest for components.', {
+      author: otherAuthor._id,
+      category: otherCategory._id,
+      tags: ['jest', 'react'],
+    });
+
+    const res = await search({ q: 'jest' });
+    const { facets } = res.body.data;
+
+    expect(facets.tags).toEqual([
+      { tag: 'jest', count: 2 },
+      { tag: 'react', count: 1 },
+      { tag: 'unit', count: 1 },
+    ]);
+    expect(facets.categories.map(facet => [facet.name, facet.count])).toEqual([['Testing', 1], ['Frontend', 1]]);
+    expect(facets.authors.map(facet => [facet.username, facet.count])).toEqual([['searchauthor', 1], ['otherwriter', 1]]);
+
+    const filtered = await search({ q: 'jest', tag: 'react' });
+    expect(filtered.body.data.results.map(post => post.title)).toEqual(['Jest in the browser']);
+    expect(filtered.body.data.pagination.total).toBe(1);
+  });
+
+  it('should only find live posts', async () => {
+    await createPost('Draft about jest', 'Not published yet.', { published: false });
+    await createPost('Scheduled jest post', 'Going live tomorrow.', { publishedAt: new Date(Date.now() + DAY) });
+
+    const res = await search({ q: 'jest' });
+
+    expect(res.body.data.results).toEqual([]);
+    expect(res.body.data.pagination.total).toBe(0);
+  });
+
+  it('should reject empty and exclusion-only queries', async () => {
+    const empty = await search({ q: ' ' });
+    const excludedOnly = await search({ q: '-react' });
+
+    expect(empty.status).toBe(400);
+    expect(excludedOnly.status).toBe(400);
+  });
+});
+
+describe('GET /api/search/autocomplete', () => {
+  const autocomplete = (q) => request(app).get('/api/search/autocomplete').query({ q });
+
+  it('should suggest titles, tags, categories and usernames from a prefix', async () => {
+    await createPost('Getting started with Testing', 'An introduction to writing tests.', { tags: ['testing', 'jest'] });
+    await createPost('Unrelated gardening post', 'Nothing to do with the prefix.', { tags: ['garden'] });
+
+    const res = await autocomplete('Tes');
+
+    expect(res.status).toBe(200);
+    const { suggestions } = res.body.data;
+    expect(suggestions.posts.map(post => post.title)).toEqual(['Getting started with Testing']);
+    expect(suggestions.tags).toEqual([{ tag: 'testing', count: 1 }]);
+    expect(suggestions.categories.map(item => item.name)).toEqual(['Testing']);
+    expect(suggestions.users).toEqual([]);
+
+    const users = await autocomplete('search');
+    expect(users.body.data.suggestions.users.map(user => user.username)).toEqual(['searchauthor']);
+    expect(users.body.data.suggestions.users[0].email).toBeUndefined();
+  });
+
+  it('should leave out drafts', async () => {
+    await createPost('Testing draft', 'Not published yet.', { published: false, tags: ['testing'] });
+
+    const res = await autocomplete('testing');
+
+    expect(res.body.data.suggestions.posts).toEqual([]);
+    expect(res.body.data.suggestions.tags).toEqual([]);
+  });
+
+  it('should serve repeated prefixes from the cache', async () => {
+    await autocomplete('jest');
+    await createPost('Jest in depth', 'Published after the first lookup.');
+
+    const cached = await autocomplete('jest');
+    clearSuggestionCache();
+    const fresh = await autocomplete('jest');
+
+    expect(cached.body.data.suggestions.posts).toEqual([]);
+    expect(fresh.body.data.suggestions.posts.map(post => post.title)).toEqual(['Jest in depth']);
+  });
+
+  it('should treat the prefix as text, not a pattern', async () => {
+    await createPost('Testing basics', 'Any title would match an unescaped pattern.');
+
+    const res = await autocomplete('.*');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.suggestions.posts).toEqual([]);
+  });
+
+  it('should require a prefix', async () => {
+    const res = await autocomplete('');
+
+    expect(res.status).toBe(400);
+  });
+});
+
+describe('Did you mean', () => {
+  it('should suggest a corrected query when a post search finds nothing', async () => {
+    await createPost('Snapshot testing', 'Using snapshots to catch regressions.');
+
+    const res = await request(app).get('/api/posts').query({ search: 'snapshto' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.posts).toEqual([]);
+    expect(res.body.data.didYouMean).toBe('snapshot');
+  });
+
+  it('should not suggest anything when the search finds posts', async () => {
+    await createPost('Snapshot testing', 'Using snapshots to catch regressions.');
+
+    const res = await request(app).get('/api/posts').query({ search: 'snapshot' });
+
+    expect(res.body.data.posts).toHaveLength(1);
+    expect(res.body.data.didYouMean).toBeNull();
+  });
+
+  it('should not suggest anything when no correction finds posts', async () => {
+    await createPost('Snapshot testing', 'Using snapshots to catch regressions.');
+
+    const res = await request(app).get('/api/posts').query({ search: 'kubernetes' });
+
+    expect(res.body.data.didYouMean).toBeNull();
+  });
+});
@@ -0,0 +1,232 @@
+// Integration tests for users API endpoints
+
+const request = require('supertest');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const app = require('../../src/app');
+const User = require('../../src/models/User');
+const { generateToken } = require('../../src/utils/auth');
+
+let mongoServer;
+let adminToken;
+
+// Setup in-memory MongoDB server before all tests
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+  await mongoose.connect(mongoUri);
+});
+
+// Clean up after all tests
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+beforeEach(async () => {
+  const admin = await User.create({
+    username: 'useradmin',
+    email: 'useradmin@example.com',
+    password: 'password123',
+    role: 'admin',
+    twoFactor: { enabled: true },
+  });
+  adminToken = generateToken(admin);
+});
+
+// Clean up database between tests
+afterEach(async () => {
+  await User.deleteMany({});
+});
+
+describe('Integration: Account lockout administration', () => {
+  let lockedUser;
+
+  beforeEach(async () => {
+    lockedUser = await User.create({
+      username: 'lockeduser',
+      email: 'locked@example.com',
+      password: 'password123',
+    });
+
+    for (let i = 0; i < 5; i++) {
+      await request(app)
+        .post('/api/auth/login')
+        .set('User-Agent', 'lockout-test-agent')
+        .send({ email: 'locked@example.com', password: 'wrongpassword' });
+    }
+  });
+
+  it('should show failed login history to admins', async () => {
+    const res = await request(app)
+      .get(`/api/users/${lockedUser._id}/login-attempts`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.isLocked).toBe(true);
+    expect(res.body.data.loginAttempts).toBe(5);
+    expect(res.body.data.failedLogins).toHaveLength(5);
+    expect(res.body.data.failedLogins[0].userAgent).toBe('lockout-test-agent');
+    expect(res.body.data.failedLogins[0].ip).toBeDefined();
+  });
+
+  it('should unlock the account', async () => {
+    const res = await request(app)
+      .post(`/api/users/${lockedUser._id}/unlock`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'locked@example.com', password: 'password123' });
+    expect(loginRes.status).toBe(200);
+  });
+
+  it('should not let regular users unlock accounts', async () => {
+    const res = await request(app)
+      .post(`/api/users/${lockedUser._id}/unlock`)
+      .set('Authorization', `Bearer ${generateToken(lockedUser)}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not expose failed login history on the user profile', async () => {
+    const res = await request(app)
+      .get(`/api/users/${lockedUser._id}`)
+      .set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user.failedLogins).toBeUndefined();
+  });
+});
+
+describe('Integration: Moderating users', () => {
+  let moderatorToken;
+  let member;
+
+  beforeEach(async () => {
+    const moderator = await User.create({
+      username: 'usermoderator',
+      email: 'usermoderator@example.com',
+      password: 'password123',
+      role: 'moderator',
+    });
+    moderatorToken = generateToken(moderator);
+
+    member = await User.create({
+      username: 'member',
+      email: 'member@example.com',
+      password: 'password123',
+    });
+  });
+
+  it('should let moderators list users', async () => {
+    const res = await request(app)
+      .get('/api/users')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(200);
+  });
+
+  it('should page through users with cursors', async () => {
+    const first = await request(app)
+      .get('/api/users?sort=username&limit=2')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(first.body.data.users.map(user => user.username)).toEqual(['member', 'useradmin']);
+    expect(first.body.data.pagination).toMatchObject({ current: 1, total: 3, hasNext: true });
+
+    const second = await request(app)
+      .get('/api/users')
+      .query({ sort: 'username', limit: 2, cursor: first.body.data.pagination.nextCursor })
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(second.status).toBe(200);
+    expect(second.body.data.users.map(user => user.username)).toEqual(['usermoderator']);
+    expect(second.body.data.pagination).toMatchObject({ hasNext: false, hasPrev: true, nextCursor: null });
+  });
+
+  it('should reject malformed cursors', async () => {
+    const res = await request(app)
+      .get('/api/users?cursor=garbage')
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid cursor');
+  });
+
+  it('should ban a user, sign them out and block logins', async () => {
+    const memberToken = generateToken(member);
+
+    const res = await request(app)
+      .post(`/api/users/${member._id}/ban`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+    expect(res.status).toBe(200);
+
+    const meRes = await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${memberToken}`);
+    expect(meRes.status).toBe(401);
+
+    const loginRes = await request(app)
+      .post('/api/auth/login')
+      .send({ email: 'member@example.com', password: 'password123' });
+    expect(loginRes.status).toBe(401);
+    expect(loginRes.body.code).toBe('INVALID_CREDENTIALS');
+    expect((await User.findById(member._id)).lastLogin).toBeUndefined();
+
+    const unbanRes = await request(app)
+      .post(`/api/users/${member._id}/unban`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+    expect(unbanRes.status).toBe(200);
+    expect((await User.findById(member._id)).isActive).toBe(true);
+  });
+
+  it('should not let moderators ban admins', async () => {
+    const admin = await User.findOne({ role: 'admin' });
+
+    const res = await request(app)
+      .post(`/api/users/${admin._id}/ban`)
+      .set('Authorization', `Bearer ${moderatorToken}`);
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not change active status through the update route', async () => {
+    const admin = await User.findOne({ username: 'useradmin' });
+
+    const res = await request(app)
+      .put(`/api/users/${member._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ isActive: false });
+
+    expect(res.status).toBe(400);
+    expect((await User.findById(member._id)).isActive).toBe(true);
+
+    const adminRes = await request(app)
+      .put(`/api/users/${admin._id}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ isActive: false });
+
+    expect(adminRes.status).toBe(400);
+    expect((await User.findById(admin._id)).isActive).toBe(true);
+  });
+
+  it('should not let moderators change roles', async () => {
+    const res = await request(app)
+      .put(`/api/users/${member._id}`)
+      .set('Authorization', `Bearer ${moderatorToken}`)
+      .send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+
+  it('should not let regular users ban anyone', async () => {
+    const res = await request(app)
+      .post(`/api/users/${member._id}/ban`)
+      .set('Authorization', `Bearer ${generateToken(member)}`);
+
+    expect(res.status).toBe(403);
+  });
+});
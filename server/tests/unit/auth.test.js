@@ -6,6 +6,7 @@ const {
   generateToken,
   verifyToken,
   generateRefreshToken,
+  verifyRefreshToken,
 } = require('../../src/utils/auth');
 
 describe('Unit: Authentication Utilities', () => {
@@ -93,6 +94,16 @@ describe('Unit: Authentication Utilities', () => {
       expect(decoded.exp).toBeDefined();
       expect(decoded.exp).toBeGreaterThan(Date.now() / 1000);
     });
+
+    it('should include a unique jti and the token version', () => {
+      const first = verifyToken(generateToken(mockUser));
+      const second = verifyToken(generateToken({ ...mockUser, tokenVersion: 3 }));
+
+      expect(first.jti).toBeDefined();
+      expect(first.jti).not.toBe(second.jti);
+      expect(first.tv).toBe(0);
+      expect(second.tv).toBe(3);
+    });
   });
 
   describe('verifyToken', () => {
@@ -146,6 +157,21 @@ describe('Unit: Authentication Utilities', () => {
       // For now, just ensure it's a valid JWT structure
       expect(refreshToken.split('.')).toHaveLength(3);
     });
+
+    it('should embed jti and family claims when given', () => {
+      const refreshToken = generateRefreshToken(mockUser, { jti: 'token-1', family: 'family-1' });
+      const decoded = verifyRefreshToken(refreshToken);
+
+      expect(decoded.id).toBe(mockUser._id);
+      expect(decoded.jti).toBe('token-1');
+      expect(decoded.family).toBe('family-1');
+    });
+
+    it('should not verify a refresh token as an access token', () => {
+      const refreshToken = generateRefreshToken(mockUser);
+
+      expect(() => verifyToken(refreshToken)).toThrow();
+    });
   });
 
   describe('Token Security', () => {
@@ -0,0 +1,43 @@
+// Unit tests for the in-memory cache
+
+const { createCache } = require('../../src/utils/cache');
+
+describe('Unit: In-memory Cache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should return cached values until they expire', () => {
+    jest.useFakeTimers();
+    const cache = createCache({ ttl: 1000 });
+
+    cache.set('key', 'value');
+    jest.advanceTimersByTime(999);
+    expect(cache.get('key')).toBe('value');
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('key')).toBeUndefined();
+  });
+
+  it('should evict the least recently used entry when full', () => {
+    const cache = createCache({ maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.size).toBe(2);
+  });
+
+  it('should load missing values once and cache them, including null', async () => {
+    const cache = createCache();
+    const load = jest.fn().mockResolvedValue(null);
+
+    expect(await cache.wrap('key', load)).toBeNull();
+    expect(await cache.wrap('key', load)).toBeNull();
+    expect(load).toHaveBeenCalledTimes(1);
+  });
+});
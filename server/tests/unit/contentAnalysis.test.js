@@ -0,0 +1,94 @@
+// Unit tests for post content analysis
+
+const { analyzeContent } = require('../../src/utils/contentAnalysis');
+const { renderMarkdown } = require('../../src/utils/markdown');
+
+const analyze = (markdown) => analyzeContent(renderMarkdown(markdown));
+
+describe('Unit: Content Analysis', () => {
+  afterEach(() => {
+    delete process.env.READ_TIME_WPM;
+    delete process.env.READ_TIME_CODE_WPM;
+    delete process.env.READ_TIME_IMAGE_SECONDS;
+  });
+
+  describe('word and character counts', () => {
+    it('should count words across newlines, repeated spaces and markup', () => {
+      const stats = analyze('# Title\n\nOne   two\nthree **four** - five');
+
+      expect(stats.wordCount).toBe(6);
+      expect(stats.characterCount).toBe('Title One two three four - five'.length);
+    });
+
+    it('should count code and images separately', () => {
+      const stats = analyze('Text\n\n![a](/a.png) ![b](/b.png)\n\n```\nlet x = 1;\n```');
+
+      expect(stats.wordCount).toBe(4);
+      expect(stats.imageCount).toBe(2);
+      expect(stats.codeBlockCount).toBe(1);
+    });
+  });
+
+  describe('readTime', () => {
+    it('should read prose at the configured words per minute', () => {
+      expect(analyze('word '.repeat(400)).readTime).toBe(2);
+
+      process.env.READ_TIME_WPM = '100';
+      expect(analyze('word '.repeat(400)).readTime).toBe(4);
+    });
+
+    it('should read code more slowly than prose', () => {
+      const code = `\`\`\`\n${'word '.repeat(150)}\n\`\`\``;
+
+      expect(analyze('word '.repeat(150)).readTime).toBe(1);
+      expect(analyze(code).readTime).toBe(2);
+    });
+
+    it('should add time for images, less for each further image', () => {
+      // 12 + 11 + 10 + 9 + 8 + 7 seconds
+      const images = '![i](/i.png) '.repeat(6);
+
+      expect(analyze(`${'word '.repeat(180)}\n\n${images}`).readTime).toBe(2);
+
+      process.env.READ_TIME_IMAGE_SECONDS = '1';
+      expect(analyze(`${'word '.repeat(180)}\n\n${images}`).readTime).toBe(1);
+    });
+
+    it('should ignore images when image seconds are set to zero', () => {
+      const images = '![i](/i.png) '.repeat(20);
+
+      process.env.READ_TIME_IMAGE_SECONDS = '0';
+      expect(analyze(`${'word '.repeat(200)}\n\n${images}`).readTime).toBe(1);
+    });
+
+    it('should fall back to the defaults for invalid settings', () => {
+      process.env.READ_TIME_WPM = '0';
+      process.env.READ_TIME_IMAGE_SECONDS = '-5';
+
+      expect(analyze('word '.repeat(300)).readTime).toBe(2);
+      expect(analyze(`${'word '.repeat(180)}\n\n${'![i](/i.png) '.repeat(6)}`).readTime).toBe(2);
+    });
+
+    it('should be at least one minute for any content and zero for none', () => {
+      expect(analyze('Short').readTime).toBe(1);
+      expect(analyzeContent('').readTime).toBe(0);
+    });
+  });
+
+  describe('outline and links', () => {
+    it('should list headings in order with their anchors', () => {
+      expect(analyze('# Guide\n\n## Install *it*\n\ntext\n\n### Notes').outline).toEqual([
+        { level: 1, text: 'Guide', id: 'guide' },
+        { level: 2, text: 'Install it', id: 'install-it' },
+        { level: 3, text: 'Notes', id: 'notes' },
+      ]);
+    });
+
+    it('should list links and mark external ones', () => {
+      expect(analyze('See [docs](https://example.com/?a=1&b=2) and [home](/).').links).toEqual([
+        { href: 'https://example.com/?a=1&b=2', text: 'docs', external: true },
+        { href: '/', text: 'home', external: false },
+      ]);
+    });
+  });
+});
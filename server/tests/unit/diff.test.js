@@ -0,0 +1,75 @@
+// Unit tests for revision diffing
+
+const { diffText, diffList } = require('../../src/utils/diff');
+
+describe('Unit: Diff Utilities', () => {
+  describe('diffText', () => {
+    it('should diff by line by default', () => {
+      expect(diffText('a\nb\nc\n', 'a\nB\nc\nd\n')).toEqual([
+        { type: 'unchanged', value: 'a\n' },
+        { type: 'removed', value: 'b\n' },
+        { type: 'added', value: 'B\n' },
+        { type: 'unchanged', value: 'c\n' },
+        { type: 'added', value: 'd\n' },
+      ]);
+    });
+
+    it('should diff by word', () => {
+      expect(diffText('The quick brown fox', 'The slow brown fox', { by: 'word' })).toEqual([
+        { type: 'unchanged', value: 'The ' },
+        { type: 'removed', value: 'quick' },
+        { type: 'added', value: 'slow' },
+        { type: 'unchanged', value: ' brown fox' },
+      ]);
+    });
+
+    it('should handle empty and identical text', () => {
+      expect(diffText('', 'new text')).toEqual([{ type: 'added', value: 'new text' }]);
+      expect(diffText('old text', undefined)).toEqual([{ type: 'removed', value: 'old text' }]);
+      expect(diffText('same', 'same')).toEqual([{ type: 'unchanged', value: 'same' }]);
+    });
+
+    it('should diff long texts that differ throughout', () => {
+      const lines = (step, count) => Array.from({ length: count }, (value, i) => `line ${(i * step) % 997}\n`).join('');
+      const oldText = lines(7, 1000);
+      const newText = lines(13, 1000);
+
+      const changes = diffText(oldText, newText);
+
+      expect(changes.filter(change => change.type !== 'added').map(change => change.value).join('')).toBe(oldText);
+      expect(changes.filter(change => change.type !== 'removed').map(change => change.value).join('')).toBe(newText);
+      expect(changes.some(change => change.type === 'unchanged')).toBe(true);
+    });
+
+    it('should replace the whole changed block when it is too large to diff', () => {
+      const lines = (prefix) => Array.from({ length: 5000 }, (value, i) => `${prefix} ${i % 10}\n`).join('');
+
+      expect(diffText(`start\n${lines('old')}end\n`, `start\n${lines('new')}end\n`)).toEqual([
+        { type: 'unchanged', value: 'start\n' },
+        { type: 'removed', value: lines('old') },
+        { type: 'added', value: lines('new') },
+        { type: 'unchanged', value: 'end\n' },
+      ]);
+    });
+
+    it('should keep the longest run of unchanged lines', () => {
+      expect(diffText('a\nb\nc\nd\n', 'b\nx\nd\na\n')).toEqual([
+        { type: 'removed', value: 'a\n' },
+        { type: 'unchanged', value: 'b\n' },
+        { type: 'removed', value: 'c\n' },
+        { type: 'added', value: 'x\n' },
+        { type: 'unchanged', value: 'd\n' },
+        { type: 'added', value: 'a\n' },
+      ]);
+    });
+  });
+
+  describe('diffList', () => {
+    it('should report added and removed values', () => {
+      expect(diffList(['react', 'node'], ['node', 'mongodb'])).toEqual({
+        added: ['mongodb'],
+        removed: ['react'],
+      });
+    });
+  });
+});
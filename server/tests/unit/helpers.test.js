@@ -8,6 +8,9 @@ const {
   generateRandomString,
   calculateReadTime,
   formatDate,
+  paginate,
+  encodeCursor,
+  decodeCursor,
 } = require('../../src/utils/helpers');
 
 describe('Unit: Utility Functions', () => {
@@ -171,4 +174,91 @@ describe('Unit: Utility Functions', () => {
       expect(formatted).toBe(now.toISOString());
     });
   });
+
+  describe('encodeCursor / decodeCursor', () => {
+    it('should round-trip sort values, id and direction', () => {
+      const date = new Date('2024-01-15T10:30:00.000Z');
+      const cursor = encodeCursor([date, 42, 'title'], '507f1f77bcf86cd799439011', 'prev');
+
+      expect(decodeCursor(cursor)).toEqual({
+        values: [date, 42, 'title'],
+        id: '507f1f77bcf86cd799439011',
+        direction: 'prev',
+      });
+    });
+
+    it('should continue forwards by default', () => {
+      const cursor = encodeCursor(['a'], '507f1f77bcf86cd799439011');
+      expect(decodeCursor(cursor).direction).toBe('next');
+    });
+
+    it('should return null for malformed cursors', () => {
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('[["x"],"123","next"]').toString('base64url'))).toBeNull();
+      expect(decodeCursor(Buffer.from('[["x"],"507f1f77bcf86cd799439011","up"]').toString('base64url'))).toBeNull();
+    });
+
+    describe('with null sort values', () => {
+      const id = '507f1f77bcf86cd799439011';
+
+      // Records the keyset condition paginate() adds to the query
+      const captureCondition = async (sort, values, direction) => {
+        let condition;
+        const query = {
+          and: ([added]) => {
+            condition = added;
+            return query;
+          },
+          sort: () => query,
+          limit: async () => [],
+        };
+        await paginate(query, { cursor: encodeCursor(values, id, direction), sort });
+        return condition;
+      };
+
+      it('should continue past nulls, which sort first, in ascending order', async () => {
+        expect(await captureCondition({ publishedAt: 1 }, [null])).toEqual({
+          $or: [
+            { publishedAt: { $ne: null } },
+            { publishedAt: null, _id: { $gt: id } },
+          ],
+        });
+      });
+
+      it('should reach nulls after the other values in descending order', async () => {
+        const date = new Date('2024-01-15T10:30:00.000Z');
+
+        expect(await captureCondition({ publishedAt: -1 }, [date])).toEqual({
+          $or: [
+            { $or: [{ publishedAt: { $lt: date } }, { publishedAt: null }] },
+            { publishedAt: date, _id: { $lt: id } },
+          ],
+        });
+        expect(await captureCondition({ publishedAt: -1 }, [null])).toEqual({
+          $or: [{ publishedAt: null, _id: { $lt: id } }],
+        });
+      });
+
+      it('should walk back over nulls with a prev cursor', async () => {
+        expect(await captureCondition({ views: -1, likesCount: -1 }, [5, null], 'prev')).toEqual({
+          $or: [
+            { views: { $gt: 5 } },
+            { views: 5, likesCount: { $ne: null } },
+            { views: 5, likesCount: null, _id: { $gt: id } },
+          ],
+        });
+      });
+    });
+
+    it('should reject cursors carrying query operators', async () => {
+      const cursor = Buffer.from('[[{"$gte":0},0],"507f1f77bcf86cd799439011","next"]').toString('base64url');
+      const dateCursor = Buffer.from('[[{"$date":"2024-01-15T10:30:00.000Z","$ne":null}],"507f1f77bcf86cd799439011","next"]')
+        .toString('base64url');
+
+      expect(decodeCursor(cursor)).toBeNull();
+      expect(decodeCursor(dateCursor)).toBeNull();
+      await expect(paginate({}, { cursor, sort: { views: -1, likesCount: -1 } }))
+        .rejects.toMatchObject({ status: 400, message: 'Invalid cursor' });
+    });
+  });
 });
@@ -0,0 +1,62 @@
+// Unit tests for the mailer transports
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), error: jest.fn() }));
+
+const logger = require('../../src/utils/logger');
+
+const loadMailer = (env) => {
+  const original = { ...process.env };
+  Object.assign(process.env, env);
+  Object.keys(env).filter(key => env[key] === undefined).forEach(key => delete process.env[key]);
+
+  let mailer;
+  jest.isolateModules(() => {
+    mailer = require('../../src/utils/mailer');
+  });
+
+  process.env = original;
+  return mailer;
+};
+
+describe('Unit: Mailer', () => {
+  beforeEach(() => {
+    logger.info.mockClear();
+  });
+
+  it('should redact tokens in links', () => {
+    const { redactTokens } = loadMailer({});
+
+    expect(redactTokens('Open http://localhost:3000/reset-password?token=abc123 now'))
+      .toBe('Open http://localhost:3000/reset-password?token=[redacted] now');
+    expect(redactTokens('http://x.test/verify?lang=en&token=abc&next=1'))
+      .toBe('http://x.test/verify?lang=en&token=[redacted]&next=1');
+  });
+
+  it('should not log tokens through the console transport', async () => {
+    const { sendMail } = loadMailer({ NODE_ENV: 'development', MAIL_TRANSPORT: undefined });
+
+    await sendMail({
+      to: 'someone@example.com',
+      subject: 'Reset your password',
+      text: 'http://localhost:3000/reset-password?token=secret-token',
+    });
+
+    const logged = logger.info.mock.calls.map(([line]) => line).join('\n');
+    expect(logged).toContain('token=[redacted]');
+    expect(logged).not.toContain('secret-token');
+  });
+
+  it('should refuse to send in production without a configured transport', async () => {
+    const { sendMail, getTransport } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: undefined });
+
+    expect(getTransport().name).toBe('unconfigured');
+    await expect(sendMail({ to: 'someone@example.com', subject: 'Hi', text: 'Hello' }))
+      .rejects.toThrow('No mail transport configured');
+  });
+
+  it('should allow the console transport in production when asked for', () => {
+    const { getTransport } = loadMailer({ NODE_ENV: 'production', MAIL_TRANSPORT: 'console' });
+
+    expect(getTransport().name).toBe('console');
+  });
+});
@@ -0,0 +1,105 @@
+// Unit tests for Markdown rendering
+
+const { renderMarkdown, sanitizeHtml, htmlToText } = require('../../src/utils/markdown');
+
+describe('Unit: Markdown Rendering', () => {
+  describe('renderMarkdown', () => {
+    it('should render headings with unique anchors', () => {
+      expect(renderMarkdown('# Getting *Started*\n\n## Setup\n\n## Setup')).toBe([
+        '<h1 id="getting-started">Getting <em>Started</em></h1>',
+        '<h2 id="setup">Setup</h2>',
+        '<h2 id="setup-1">Setup</h2>',
+      ].join('\n'));
+    });
+
+    it('should render paragraphs with inline markup', () => {
+      expect(renderMarkdown('Some **bold**, _em_, ~~old~~ and `a < b` text.')).toBe(
+        '<p>Some <strong>bold</strong>, <em>em</em>, <del>old</del> and <code>a &lt; b</code> text.</p>'
+      );
+    });
+
+    it('should render lists, including nested and ordered lists', () => {
+      expect(renderMarkdown('- one\n  - nested\n- two\n\n3. three\n4. four')).toBe([
+        '<ul><li>one',
+        '<ul><li>nested</li></ul></li><li>two</li></ul>',
+        '<ol start="3"><li>three</li><li>four</li></ol>',
+      ].join('\n'));
+    });
+
+    it('should render quotes, rules and fenced code without markup inside code', () => {
+      expect(renderMarkdown('> quoted\n\n---\n\n```js\nconst a = **b** < c;\n```')).toBe([
+        '<blockquote><p>quoted</p></blockquote>',
+        '<hr>',
+        '<pre><code class="language-js">const a = **b** &lt; c;</code></pre>',
+      ].join('\n'));
+    });
+
+    it('should mark external links and keep relative ones as they are', () => {
+      expect(renderMarkdown('[docs](https://example.com/a_(b) "Docs") and [home](/)')).toBe(
+        '<p><a href="https://example.com/a_(b)" title="Docs" rel="nofollow noopener noreferrer">docs</a> and <a href="/">home</a></p>'
+      );
+    });
+
+    it('should escape raw HTML', () => {
+      expect(renderMarkdown('<script>alert(1)</script> <img src=x onerror=alert(1)>')).toBe(
+        '<p>&lt;script&gt;alert(1)&lt;/script&gt; &lt;img src=x onerror=alert(1)&gt;</p>'
+      );
+    });
+
+    it('should drop links and images with unsafe protocols', () => {
+      expect(renderMarkdown('[click](javascript:alert(1)) ![pic](data:image/png;base64,AAA) [x](JavaScript:void(0))')).toBe(
+        '<p>click pic x</p>'
+      );
+    });
+
+    it('should keep code spans in image alt text and link titles as plain text', () => {
+      expect(renderMarkdown('![`x` marks](http://a.test/x.png) [`a`](http://a.test "`t`")')).toBe(
+        '<p><img src="http://a.test/x.png" alt="x marks"> '
+        + '<a href="http://a.test" title="t" rel="nofollow noopener noreferrer"><code>a</code></a></p>'
+      );
+    });
+
+    it('should keep code spans in link and image URLs as plain text', () => {
+      expect(renderMarkdown('[x](`a`)')).toBe('<p><a href="a">x</a></p>');
+      expect(renderMarkdown('![x](`a`)')).toBe('<p><img src="a" alt="x"></p>');
+      expect(renderMarkdown('[x](`javascript:alert(1)`)')).toBe('<p>x</p>');
+    });
+
+    it('should ignore NUL characters in the source', () => {
+      expect(renderMarkdown('a\u00000\u0000b `c`')).toBe('<p>a0b <code>c</code></p>');
+    });
+
+    it('should only emit emphasis tags that pair up', () => {
+      expect(renderMarkdown('x*****')).toBe('<p>x*****</p>');
+      expect(renderMarkdown('***both***')).toBe('<p><em><strong>both</strong></em></p>');
+      expect(renderMarkdown('**open *inner** close*')).toBe('<p><em><em>open <em>inner</em></em> close</em></p>');
+      expect(renderMarkdown('**a*, *b** and ~~c~~~')).toBe('<p><em><em>a</em>, <em>b</em></em> and <del>c</del>~</p>');
+      expect(renderMarkdown('snake_case and x ** y ** z')).toBe('<p>snake_case and x ** y ** z</p>');
+    });
+
+    it('should handle empty content', () => {
+      expect(renderMarkdown('')).toBe('');
+      expect(renderMarkdown(undefined)).toBe('');
+    });
+  });
+
+  describe('sanitizeHtml', () => {
+    it('should remove tags and attributes that are not allow-listed', () => {
+      expect(sanitizeHtml('<p onclick="x()">Hi<script>bad()</script><iframe src="/"></iframe></p>')).toBe(
+        '<p>Hibad()</p>'
+      );
+    });
+
+    it('should remove unsafe URLs', () => {
+      expect(sanitizeHtml('<a href="java\tscript:alert(1)" title="t">x</a><img src="/a.png" alt="a">')).toBe(
+        '<a title="t">x</a><img src="/a.png" alt="a">'
+      );
+    });
+  });
+
+  describe('htmlToText', () => {
+    it('should strip tags and decode entities', () => {
+      expect(htmlToText('<h1 id="a">Title</h1>\n<p>One &amp; <strong>two</strong> &lt;3</p>')).toBe('Title\nOne & two <3');
+    });
+  });
+});
@@ -6,7 +6,8 @@ const { auth, optionalAuth, authorize } = require('../../src/middleware/auth');
 const errorHandler = require('../../src/middleware/errorHandler');
 const notFound = require('../../src/middleware/notFound');
 const User = require('../../src/models/User');
-const { generateToken } = require('../../src/utils/auth');
+const RevokedToken = require('../../src/models/RevokedToken');
+const { generateToken, verifyToken } = require('../../src/utils/auth');
 
 describe('Unit: Middleware Functions', () => {
   let app;
@@ -83,6 +84,28 @@ describe('Unit: Middleware Functions', () => {
       expect(response.status).toBe(401);
       expect(response.body.error).toContain('User not found');
     });
+
+    it('should reject a revoked token', async () => {
+      await RevokedToken.revoke(verifyToken(token));
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Token has been revoked');
+    });
+
+    it('should reject a token issued before the token version was bumped', async () => {
+      await User.updateOne({ _id: testUser._id }, { $inc: { tokenVersion: 1 } });
+
+      const response = await request(app)
+        .get('/protected')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Token has been revoked');
+    });
   });
 
   describe('Optional Auth Middleware', () => {
@@ -114,6 +137,17 @@ describe('Unit: Middleware Functions', () => {
       expect(response.body.user).toBe(null);
     });
 
+    it('should continue without auth for a revoked token', async () => {
+      await RevokedToken.revoke(verifyToken(token));
+
+      const response = await request(app)
+        .get('/optional')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.authenticated).toBe(false);
+    });
+
     it('should continue without auth for invalid token', async () => {
       const response = await request(app)
         .get('/optional')
@@ -134,6 +168,7 @@ describe('Unit: Middleware Functions', () => {
         email: 'admin@example.com',
         password: 'password123',
         role: 'admin',
+        twoFactor: { enabled: true },
       });
 
       adminToken = generateToken(adminUser);
@@ -196,6 +231,22 @@ describe('Unit: Middleware Functions', () => {
 
       expect(response.status).toBe(401);
     });
+
+    it('should deny admins without two-factor authentication', async () => {
+      const insecureAdmin = await User.create({
+        username: 'insecureadmin',
+        email: 'insecureadmin@example.com',
+        password: 'password123',
+        role: 'admin',
+      });
+
+      const response = await request(app)
+        .get('/admin-only')
+        .set('Authorization', `Bearer ${generateToken(insecureAdmin)}`);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('TWO_FACTOR_REQUIRED');
+    });
   });
 
   describe('Error Handler Middleware', () => {
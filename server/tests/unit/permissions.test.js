@@ -0,0 +1,69 @@
+// Unit tests for the permission policy
+
+const { hasPermission, needsTwoFactorFor, outranks } = require('../../src/utils/permissions');
+
+describe('Unit: Permission Policy', () => {
+  const user = { _id: 'user-id', role: 'user' };
+  const moderator = { _id: 'moderator-id', role: 'moderator' };
+  const admin = { _id: 'admin-id', role: 'admin', twoFactor: { enabled: true } };
+
+  const ownPost = { author: 'user-id' };
+  const otherPost = { author: { _id: 'someone-else' } };
+
+  describe('hasPermission', () => {
+    it('should let users act on their own resources only', () => {
+      expect(hasPermission(user, 'post:update', ownPost)).toBe(true);
+      expect(hasPermission(user, 'post:update', otherPost)).toBe(false);
+      expect(hasPermission(user, 'comment:delete', { user: 'user-id' })).toBe(true);
+      expect(hasPermission(user, 'user:read', { _id: 'user-id' })).toBe(true);
+      expect(hasPermission(user, 'user:read', { _id: 'other-id' })).toBe(false);
+    });
+
+    it('should let moderators moderate any content', () => {
+      expect(hasPermission(moderator, 'post:update', otherPost)).toBe(true);
+      expect(hasPermission(moderator, 'post:delete', otherPost)).toBe(true);
+      expect(hasPermission(moderator, 'comment:delete', { user: 'someone-else' })).toBe(true);
+      expect(hasPermission(moderator, 'user:ban')).toBe(true);
+    });
+
+    it('should keep account administration for admins', () => {
+      expect(hasPermission(moderator, 'user:delete')).toBe(false);
+      expect(hasPermission(moderator, 'user:role:update')).toBe(false);
+      expect(hasPermission(admin, 'user:delete')).toBe(true);
+      expect(hasPermission(admin, 'user:role:update')).toBe(true);
+    });
+
+    it('should grant nothing without a user', () => {
+      expect(hasPermission(null, 'post:read', ownPost)).toBe(false);
+      expect(hasPermission(undefined, 'post:create')).toBe(false);
+    });
+  });
+
+  describe('two-factor requirement', () => {
+    const insecureAdmin = { _id: 'insecure-id', role: 'admin' };
+
+    it('should limit admins without 2FA to user permissions', () => {
+      expect(hasPermission(insecureAdmin, 'user:delete')).toBe(false);
+      expect(hasPermission(insecureAdmin, 'post:create')).toBe(true);
+      expect(needsTwoFactorFor(insecureAdmin, 'user:delete')).toBe(true);
+      expect(needsTwoFactorFor(user, 'user:delete')).toBe(false);
+    });
+
+    it('should allow opting out with ADMIN_REQUIRE_2FA=false', () => {
+      process.env.ADMIN_REQUIRE_2FA = 'false';
+      try {
+        expect(hasPermission(insecureAdmin, 'user:delete')).toBe(true);
+      } finally {
+        delete process.env.ADMIN_REQUIRE_2FA;
+      }
+    });
+  });
+
+  describe('outranks', () => {
+    it('should compare roles', () => {
+      expect(outranks(moderator, user)).toBe(true);
+      expect(outranks(moderator, admin)).toBe(false);
+      expect(outranks(moderator, moderator)).toBe(false);
+    });
+  });
+});
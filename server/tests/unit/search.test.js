@@ -0,0 +1,126 @@
+// Unit tests for search query parsing and highlighting
+
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  highlight,
+  snippet,
+  editDistance,
+  correctTerms,
+  getRankingSettings,
+} = require('../../src/utils/search');
+
+describe('Unit: Search Utilities', () => {
+  describe('parseSearchQuery', () => {
+    it('should split terms, phrases and exclusions', () => {
+      expect(parseSearchQuery('testing "mern stack" -react -"class components"')).toEqual({
+        terms: ['testing'],
+        phrases: ['mern stack'],
+        excluded: ['class components', 'react'],
+      });
+    });
+
+    it('should need a term or phrase that is not excluded', () => {
+      expect(hasSearchTerms(parseSearchQuery('-react -vue'))).toBe(false);
+      expect(hasSearchTerms(parseSearchQuery('"jest"'))).toBe(true);
+    });
+  });
+
+  describe('highlight', () => {
+    it('should mark terms, including other forms of the word, and phrases', () => {
+      const parsed = parseSearchQuery('testing "mern stack"');
+
+      expect(highlight('Tests for the MERN stack, tested', parsed)).toBe(
+        '<mark>Tests</mark> for the <mark>MERN stack</mark>, <mark>tested</mark>'
+      );
+    });
+
+    it('should escape HTML in the text', () => {
+      expect(highlight('<b>jest</b> & co', parseSearchQuery('jest'))).toBe(
+        '&lt;b&gt;<mark>jest</mark>&lt;/b&gt; &amp; co'
+      );
+    });
+
+    it('should not mark matches inside other words', () => {
+      expect(highlight('Contest results', parseSearchQuery('test'))).toBe('Contest results');
+    });
+  });
+
+  describe('snippet', () => {
+    it('should cut the text around the first match without splitting words', () => {
+      const text = `${'lead in words '.repeat(10)}the jest runner ${'trailing words '.repeat(10)}`;
+
+      const result = snippet(text, parseSearchQuery('jest'), 60);
+
+      expect(result).toMatch(/^….*<mark>jest<\/mark>.*…$/);
+      expect(result).not.toMatch(/…(ead|n |ords)/);
+      expect(result.replace(/<\/?mark>|…/g, '').length).toBeLessThanOrEqual(60);
+    });
+
+    it('should return the whole text when it is short', () => {
+      expect(snippet('All about jest', parseSearchQuery('jest'))).toBe('All about <mark>jest</mark>');
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(snippet('Nothing to see', parseSearchQuery('jest'))).toBeNull();
+      expect(snippet(undefined, parseSearchQuery('jest'))).toBeNull();
+    });
+  });
+
+  describe('editDistance', () => {
+    it('should count insertions, deletions, substitutions and swaps', () => {
+      expect(editDistance('kitten', 'sitting')).toBe(3);
+      expect(editDistance('jset', 'jest')).toBe(1);
+      expect(editDistance('react', 'react')).toBe(0);
+    });
+
+    it('should stop early past the maximum', () => {
+      expect(editDistance('a', 'abcdef', 2)).toBe(3);
+    });
+  });
+
+  describe('correctTerms', () => {
+    const vocabulary = new Map([['testing', 5], ['jest', 3], ['react', 2], ['reach', 1]]);
+
+    it('should correct unknown terms to the closest known word', () => {
+      expect(correctTerms(['tseting', 'jset'], vocabulary)).toEqual(new Map([
+        ['tseting', 'testing'],
+        ['jset', 'jest'],
+      ]));
+    });
+
+    it('should prefer more frequent words at the same distance', () => {
+      expect(correctTerms(['reacx'], vocabulary).get('reacx')).toBe('react');
+    });
+
+    it('should leave known, short and unmatched terms alone', () => {
+      expect(correctTerms(['Testing', 'tests', 'js', 'kubernetes'], vocabulary).size).toBe(0);
+    });
+  });
+
+  describe('getRankingSettings', () => {
+    const names = ['SEARCH_RECENCY_WEIGHT', 'SEARCH_RECENCY_HALF_LIFE_DAYS', 'SEARCH_POPULARITY_WEIGHT'];
+
+    afterEach(() => {
+      names.forEach(name => delete process.env[name]);
+    });
+
+    it('should use the defaults when nothing is configured', () => {
+      expect(getRankingSettings()).toEqual({ recencyWeight: 0.5, recencyHalfLifeDays: 30, popularityWeight: 0.25 });
+    });
+
+    it('should allow turning the boosts off with a weight of zero', () => {
+      process.env.SEARCH_RECENCY_WEIGHT = '0';
+      process.env.SEARCH_POPULARITY_WEIGHT = '0';
+
+      expect(getRankingSettings()).toMatchObject({ recencyWeight: 0, popularityWeight: 0 });
+    });
+
+    it('should fall back to the defaults for invalid values', () => {
+      process.env.SEARCH_RECENCY_WEIGHT = 'heavy';
+      process.env.SEARCH_RECENCY_HALF_LIFE_DAYS = '0';
+
+      expect(getRankingSettings()).toMatchObject({ recencyWeight: 0.5, recencyHalfLifeDays: 30 });
+    });
+  });
+});
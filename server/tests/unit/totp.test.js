@@ -0,0 +1,77 @@
+// Unit tests for TOTP utilities
+
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+} = require('../../src/utils/totp');
+
+describe('Unit: TOTP Utilities', () => {
+  // RFC 6238 test secret ("12345678901234567890")
+  const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+
+  describe('base32', () => {
+    it('should round-trip arbitrary bytes', () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it('should reject invalid characters', () => {
+      expect(() => base32Decode('ABC1')).toThrow('Invalid base32 character');
+    });
+  });
+
+  describe('generateTotp', () => {
+    it('should match the RFC 6238 test vectors', () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037'],
+      ];
+
+      vectors.forEach(([seconds, expected]) => {
+        expect(generateTotp(rfcSecret, { time: seconds * 1000, digits: 8 })).toBe(expected);
+      });
+    });
+  });
+
+  describe('verifyTotp', () => {
+    const secret = generateSecret();
+    const now = Date.now();
+
+    it('should accept the current code and return its time step', () => {
+      const code = generateTotp(secret, { time: now });
+      expect(verifyTotp(secret, code, { time: now })).toBe(Math.floor(now / 30000));
+    });
+
+    it('should allow one step of clock drift', () => {
+      const code = generateTotp(secret, { time: now - 30 * 1000 });
+      expect(verifyTotp(secret, code, { time: now })).not.toBeNull();
+    });
+
+    it('should reject codes outside the window', () => {
+      const code = generateTotp(secret, { time: now - 5 * 60 * 1000 });
+      expect(verifyTotp(secret, code, { time: now })).toBeNull();
+    });
+
+    it('should reject malformed codes', () => {
+      expect(verifyTotp(secret, 'abcdef', { time: now })).toBeNull();
+      expect(verifyTotp(secret, '', { time: now })).toBeNull();
+      expect(verifyTotp(secret, undefined, { time: now })).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUri', () => {
+    it('should include the issuer, account and secret', () => {
+      const uri = buildOtpauthUri({ secret: 'JBSWY3DPEHPK3PXP', accountName: 'user@example.com', issuer: 'Blog' });
+
+      expect(uri).toMatch(/^otpauth:\/\/totp\/Blog%3Auser%40example\.com\?/);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Blog');
+    });
+  });
+});
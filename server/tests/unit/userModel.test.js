@@ -211,6 +211,35 @@ describe('Unit: User Model', () => {
         expect(updatedUser.lockUntil).toBeDefined();
         expect(updatedUser.isLocked).toBe(true);
       });
+
+      it('should respect configured lockout thresholds', async () => {
+        process.env.LOGIN_MAX_ATTEMPTS = '2';
+        process.env.LOGIN_LOCK_MINUTES = '10';
+
+        try {
+          user.loginAttempts = 1;
+          await user.save();
+
+          await user.incLoginAttempts();
+          const updatedUser = await User.findById(user._id);
+
+          expect(updatedUser.isLocked).toBe(true);
+          expect(updatedUser.lockUntil.getTime()).toBeLessThanOrEqual(Date.now() + 10 * 60 * 1000);
+        } finally {
+          delete process.env.LOGIN_MAX_ATTEMPTS;
+          delete process.env.LOGIN_LOCK_MINUTES;
+        }
+      });
+
+      it('should record failed attempt details', async () => {
+        await user.incLoginAttempts({ ip: '10.0.0.1', userAgent: 'jest' });
+        const updatedUser = await User.findById(user._id).select('+failedLogins');
+
+        expect(updatedUser.failedLogins).toHaveLength(1);
+        expect(updatedUser.failedLogins[0].ip).toBe('10.0.0.1');
+        expect(updatedUser.failedLogins[0].userAgent).toBe('jest');
+        expect(updatedUser.failedLogins[0].at).toBeDefined();
+      });
     });
   });
 
@@ -244,6 +273,21 @@ describe('Unit: User Model', () => {
         ).rejects.toThrow('Invalid credentials');
       });
 
+      it('should reject deactivated accounts like unknown ones without recording a login', async () => {
+        user.isActive = false;
+        user.loginAttempts = 2;
+        await user.save();
+
+        const error = await User.findByCredentials('test@example.com', 'password123').catch(err => err);
+
+        expect(error.code).toBe('INVALID_CREDENTIALS');
+        expect(error.message).toBe('Invalid credentials');
+
+        const stored = await User.findById(user._id);
+        expect(stored.loginAttempts).toBe(2);
+        expect(stored.lastLogin).toBeUndefined();
+      });
+
       it('should handle locked account', async () => {
         // Lock the account
         user.lockUntil = new Date(Date.now() + 3600000);
@@ -254,6 +298,17 @@ describe('Unit: User Model', () => {
         ).rejects.toThrow('Account temporarily locked');
       });
 
+      it('should include a retryAfter on lockout errors', async () => {
+        user.lockUntil = new Date(Date.now() + 60000);
+        await user.save();
+
+        const error = await User.findByCredentials('test@example.com', 'password123').catch(err => err);
+
+        expect(error.code).toBe('ACCOUNT_LOCKED');
+        expect(error.retryAfter).toBeGreaterThan(0);
+        expect(error.retryAfter).toBeLessThanOrEqual(60);
+      });
+
       it('should reset login attempts on successful login', async () => {
         // Set some login attempts
         user.loginAttempts = 3;